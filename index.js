@@ -1,11 +1,11 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { requireAuth } from '@clerk/express';
 import { clerkClient } from '@clerk/clerk-sdk-node';
 import { testConnection, sql } from './db/neon.js';
 import clerkWebhookRouter from './routes/webhooks/clerk.js';
+import billingWebhookRouter from './routes/webhooks/billing.js';
 import conversationRoutes from './routes/conversations.js';
 import messageRoutes from './routes/messages.js';
 import incomeRoutes from './routes/financial/income.js';
@@ -13,15 +13,40 @@ import debtRoutes from './routes/financial/debt.js';
 import expensesRoutes from './routes/financial/expenses.js';
 import savingsRoutes from './routes/financial/savings.js';
 import comprehensiveRoutes from './routes/financial/comprehensive.js';
+import budgetRoutes from './routes/financial/budget.js';
+import savingsGoalRoutes from './routes/financial/goals.js';
+import historyRoutes from './routes/financial/history.js';
+import importRoutes, { importBodyParser } from './routes/financial/import.js';
+import userExportRoutes from './routes/user/export.js';
+import userImportRoutes, { userImportBodyParser } from './routes/user/import.js';
+import userUsageRoutes from './routes/user/usage.js';
+import subscriptionRoutes from './routes/subscriptions.js';
+import adminFeedbackRoutes from './routes/admin/feedback.js';
+import sharedConversationRoutes from './routes/shared.js';
+import anonymousSessionRoutes from './routes/anonymous.js';
 import difyIncomeRoutes from './routes/dify/income.js';
 import difyDebtRoutes from './routes/dify/debt.js';
 import difyExpensesRoutes from './routes/dify/expenses.js';
 import difySavingsRoutes from './routes/dify/savings.js';
+import { getFinancialOverview } from './services/financialSummaryService.js';
+import { startSnapshotScheduler } from './services/snapshotService.js';
+import { startSummaryScheduler } from './services/summaryService.js';
 // import financialRoutes from './routes/financial.js';
 import { PrismaClient } from '@prisma/client';
 import { errorMiddleware } from './src/middleware/error.js';
 import { asyncHandler } from './src/utils/asyncHandler.js';
-import { wrapError } from './src/errors/index.js';
+import { wrapError, ValidationError } from './src/errors/index.js';
+import { wantsStream, openSseStream, relayChatStream } from './src/lib/chat-stream.js';
+import { getChatProvider, isSupportedModelPreference, MODEL_PREFERENCES } from './src/lib/llm/index.js';
+import { createChatTurn } from './services/chatService.js';
+import { getUserEntitlements } from './services/entitlementService.js';
+import { requireEntitlement } from './middleware/entitlements.js';
+import { enforceChatQuota } from './middleware/usage.js';
+import { FEATURES } from './src/lib/entitlements.js';
+import { QUOTA_HEADER_NAMES } from './src/lib/usage-quota.js';
+import { RATE_LIMIT_HEADER_NAMES } from './src/middleware/rate-limit.js';
+import { ANONYMOUS_SESSION_HEADER } from './src/lib/anonymous-session.js';
+import { toChatType } from './src/lib/conversation-threads.js';
 
 const latestVersion = '1.30.5';
 
@@ -55,6 +80,13 @@ process.on('SIGINT', async () => {
 });
 
 const app = express();
+
+// Behind a load balancer, TRUST_PROXY makes req.ip the client's address (used for rate limiting)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(cors({
   credentials: true,
   origin: [
@@ -65,11 +97,15 @@ app.use(cors({
     process.env.FRONTEND_URL
   ].filter(Boolean),
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'X-Client-Fingerprint', ANONYMOUS_SESSION_HEADER],
+  exposedHeaders: [...QUOTA_HEADER_NAMES, ...RATE_LIMIT_HEADER_NAMES],
   optionsSuccessStatus: 200 // For legacy browser support
 }));
 
 app.use('/v1/webhooks', clerkWebhookRouter);
+app.use('/v1/webhooks', billingWebhookRouter); // Signed billing events need the raw body too
+app.use('/v1/financial/import', importBodyParser); // Statement uploads need a larger body limit than the global parser
+app.use('/v1/user/import', userImportBodyParser); // Export bundles can be several megabytes
 
 app.use(express.json());
 
@@ -139,9 +175,32 @@ app.delete('/v1/income-sources/:id', requireAuth(), (req, res, next) => {
 });
 app.use('/v1/financial/debt', debtRoutes);
 app.use('/v1/financial/expenses', expensesRoutes);
+app.use('/v1/financial/savings/goals', savingsGoalRoutes); // Mount before the general savings routes
 app.use('/v1/financial/savings', savingsRoutes);
+app.use('/v1/financial/budget', budgetRoutes);
+app.use('/v1/financial/history', historyRoutes);
+app.use('/v1/financial/import', importRoutes);
 app.use('/v1/financial/all', comprehensiveRoutes);
 
+// User data export and restore
+app.use('/v1/user/export', userExportRoutes);
+app.use('/v1/user/import', userImportRoutes);
+
+// Chat usage and quotas for the settings page
+app.use('/v1/user/usage', userUsageRoutes);
+
+// Subscription lifecycle (activation, renewals and expiry arrive through /v1/webhooks/billing)
+app.use('/v1/subscriptions', subscriptionRoutes);
+
+// Operator reports (ADMIN_CLERK_USER_IDS only)
+app.use('/v1/admin/feedback', adminFeedbackRoutes);
+
+// Public read-only shared conversations (no auth required)
+app.use('/v1/shared', sharedConversationRoutes);
+
+// Anonymous sessions for logged-out chats, and merging them into an account after sign-up
+app.use('/v1/anonymous', anonymousSessionRoutes);
+
 // Public Dify routes (no auth required)
 app.use('/v1/dify/income', difyIncomeRoutes);
 app.use('/v1/dify/debt', difyDebtRoutes);
@@ -156,10 +215,11 @@ const APP_ID_MAP = {
   chat: process.env.DIFY_GRAYSON_FINANCE_APP_ID
 };
 
-const apiKey = process.env.DIFY_API_KEY;
+// The default provider serves public chats, so it must be usable at startup
+const { provider: defaultChatProvider } = getChatProvider();
 
-if (!apiKey) {
-  console.error('[Startup] ❌ DIFY_API_KEY is missing. Exiting...');
+if (!defaultChatProvider.isConfigured()) {
+  console.error(`[Startup] ❌ ${defaultChatProvider.label} credentials are missing (set DIFY_API_KEY or LLM_PROVIDER). Exiting...`);
   process.exit(1);
 }
 
@@ -223,7 +283,7 @@ app.post('/v1/opening/:type', requireAuth(), async (req, res) => {
   }
 });
 
-app.post('/v1/conversations/:type', requireAuth(), async (req, res) => {
+app.post('/v1/conversations/:type', requireAuth(), requireEntitlement(FEATURES.CHAT), enforceChatQuota(), async (req, res) => {
   const type = req.params?.type?.toLowerCase();
   const userQuery = (req.body.query || '').trim();
 
@@ -233,72 +293,58 @@ app.post('/v1/conversations/:type', requireAuth(), async (req, res) => {
     return res.status(400).json({ error: 'Missing or invalid input: query' });
   }
 
-  const appId = APP_ID_MAP[type];
-  if (!appId) {
-    return res.status(500).json({ error: `Missing Dify App ID for type "${type}"` });
+  if (!Object.hasOwn(APP_ID_MAP, type)) {
+    return res.status(400).json({ error: `Unknown conversation type "${type}"` });
   }
 
   try {
     const user = await getUserByClerkId(req.auth().userId);
     
-    const { findOrCreateConversation } = await import('./services/conversationService.js');
-    const { addMessagePair } = await import('./services/messageService.js');
-    
-    let conversation = await findOrCreateConversation(user.id, type);
-    let difyConversationId = conversation.conversationId;
-    
-    const isNewConversation = !conversation.conversationId.includes('dify-');
-    
-    const headers = {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'x-api-app-id': appId
-    };
-
-    console.log('[Server] 🧾 Headers:', headers);
-
-    const response = await axios.post(
-      'https://api.dify.ai/v1/chat-messages',
-      {
-        query: userQuery,
-        inputs: {},
-        response_mode: 'blocking',
-        conversation_id: isNewConversation ? null : difyConversationId,
-        user: user.id
-      },
-      { headers }
-    );
+    const { findOrCreateConversation, getConversationById } = await import('./services/conversationService.js');
 
-    const { answer, outputs = {}, conversation_id } = response.data;
+    // Post to a specific thread, or the most recent open thread of this type
+    let conversation;
+    if (req.body.conversationId) {
+      conversation = await getConversationById(req.body.conversationId);
 
-    if (conversation_id && isNewConversation) {
-      await prisma.conversation.update({
-        where: { id: conversation.id },
-        data: { conversationId: conversation_id }
-      });
-      difyConversationId = conversation_id;
+      if (!conversation || conversation.userId !== user.id || conversation.chatType !== toChatType(type)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      if (conversation.status !== 'open') {
+        return res.status(409).json({ error: `Conversation is ${conversation.status}` });
+      }
+    } else {
+      conversation = await findOrCreateConversation(user.id, type);
     }
 
-    await addMessagePair(conversation.id, userQuery, answer);
+    // Clients can opt out of sharing financial data with `?context=false` or `"includeContext": false`.
+    // Financial context is part of advanced chat; other tiers chat without it
+    const includeContext = req.query.context !== 'false' && req.body.includeContext !== false &&
+      req.entitlements.features.includes(FEATURES.ADVANCED_CHAT);
 
-    const structuredResponse = {
-      answer,
-      outputs,
-      userId: user.id,
-      conversation_id: difyConversationId,
-      conversationDbId: conversation.id
-    };
+    // Provider and model follow the user's modelPreference
+    const turn = await createChatTurn({ user, conversation, query: userQuery, inputs: {}, includeContext });
 
-    console.log('[Server] 📦 Structured Response: ', structuredResponse);
+    if (wantsStream(req)) {
+      const events = await turn.openStream();
+      return relayChatStream(events, openSseStream(res), {
+        onComplete: turn.complete,
+        logPrefix: '[Server]'
+      });
+    }
 
-    res.json({
-      answer,
-      outputs,
-      conversation_id: difyConversationId,
-      conversationDbId: conversation.id
+    const structuredResponse = await turn.complete(await turn.send());
+
+    console.log('[Server] 📦 Structured Response: ', {
+      ...structuredResponse,
+      userId: user.id,
+      provider: turn.provider
     });
+
+    res.json(structuredResponse);
   } catch (error) {
-    const statusCode = error.response?.status || 500;
+    const statusCode = error.response?.status || error.status || 500;
     const errorData = error.response?.data || error.message;
 
     console.error('[Server] 🔥 Full error object:', error);
@@ -403,16 +449,39 @@ app.get('/v1/user/profile', requireAuth(), asyncHandler(async (req, res, next) =
   }
 }));
 
+app.get('/v1/user/entitlements', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const entitlements = await getUserEntitlements(user);
+
+    res.json({
+      success: true,
+      data: entitlements
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/user/entitlements] retrieve entitlements', error, {
+      clerkUserId: req.auth().userId
+    }));
+  }
+}));
+
 app.put('/v1/user/profile', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const clerkUserId = req.auth().userId;
-    const { email, firstName } = req.body;
+    const { email, firstName, modelPreference } = req.body;
+
+    if (modelPreference !== undefined && !isSupportedModelPreference(modelPreference)) {
+      throw new ValidationError('Invalid modelPreference. Must be one of: ' + Object.keys(MODEL_PREFERENCES).join(', ') + ', or provider:model for a model in <PROVIDER>_ALLOWED_MODELS', {
+        modelPreference
+      });
+    }
 
     const user = await prisma.user.update({
       where: { authId: clerkUserId },
       data: {
         ...(email && { email }),
-        ...(firstName && { firstName })
+        ...(firstName && { firstName }),
+        ...(modelPreference && { modelPreference })
       }
     });
 
@@ -441,7 +510,8 @@ app.put('/v1/user/profile', requireAuth(), asyncHandler(async (req, res, next) =
     return next(wrapError('[PUT /v1/user/profile] update user profile', error, {
       clerkUserId: req.auth().userId,
       hasEmail: !!req.body.email,
-      hasFirstName: !!req.body.firstName
+      hasFirstName: !!req.body.firstName,
+      modelPreference: req.body.modelPreference
     }));
   }
 }));
@@ -451,34 +521,13 @@ app.get('/v1/user/financial-data', requireAuth(), asyncHandler(async (req, res,
     const clerkUserId = req.auth().userId;
     const user = await getUserByClerkId(clerkUserId);
     
-    const [incomeSources, debtSources, expenseSources, savingsSources] = await Promise.all([
-      prisma.incomeSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.debtSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.expenseSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.savingsSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } })
-    ]);
-    
-    const totalIncome = incomeSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalDebt = debtSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalExpenses = expenseSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalSavings = savingsSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
+    const { summary, data } = await getFinancialOverview(user.id);
 
     res.json({
       message: 'User financial data retrieved successfully',
       userId: clerkUserId,
-      summary: {
-        totalIncome,
-        totalDebt,
-        totalExpenses,
-        totalSavings,
-        netCashFlow: totalIncome - totalExpenses
-      },
-      data: {
-        income: incomeSources,
-        debt: debtSources,
-        expenses: expenseSources,
-        savings: savingsSources
-      }
+      summary,
+      data
     });
   } catch (error) {
     // TODO(josh): Database connection lost handling should be standardized
@@ -500,17 +549,7 @@ app.get('/v1/user-data', requireAuth(), asyncHandler(async (req, res, next) => {
     const clerkUserId = req.auth().userId;
     const user = await getUserByClerkId(clerkUserId);
     
-    const [incomeSources, debtSources, expenseSources, savingsSources] = await Promise.all([
-      prisma.incomeSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.debtSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.expenseSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.savingsSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } })
-    ]);
-    
-    const totalIncome = incomeSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalDebt = debtSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalExpenses = expenseSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalSavings = savingsSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
+    const { summary, data } = await getFinancialOverview(user.id);
 
     res.json({
       user: {
@@ -521,19 +560,8 @@ app.get('/v1/user-data', requireAuth(), asyncHandler(async (req, res, next) => {
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       },
-      summary: {
-        totalIncome,
-        totalDebt,
-        totalExpenses,
-        totalSavings,
-        netCashFlow: totalIncome - totalExpenses
-      },
-      data: {
-        income: incomeSources,
-        debt: debtSources,
-        expenses: expenseSources,
-        savings: savingsSources
-      },
+      summary,
+      data,
       message: 'User data retrieved successfully'
     });
   } catch (error) {
@@ -574,21 +602,49 @@ app.get('/v1/status', asyncHandler(async (req, res) => {
       ...Object.keys(APP_ID_MAP).map((t) => `/v1/opening/${t}`),
       // User endpoints
       '/v1/user/profile',
+      '/v1/user/entitlements',
+      '/v1/user/usage',
       '/v1/user/financial-data',
       '/v1/user-data',
+      '/v1/user/export',
+      '/v1/user/import',
+      '/v1/subscriptions',
+      '/v1/subscriptions/:subscriptionId/cancel',
       // Financial endpoints
       '/v1/financial/income',
       '/v1/financial/debt',
+      '/v1/financial/debt/payoff-plan',
       '/v1/financial/expenses',
       '/v1/financial/savings',
+      '/v1/financial/savings/goals',
+      '/v1/financial/budget',
+      '/v1/financial/budget/categories',
+      '/v1/financial/history',
+      '/v1/financial/import',
       '/v1/financial/all',
+      '/v1/financial/all/context',
       // Message & Conversation API endpoints
       '/v1/conversations',
+      '/v1/conversations/search',
+      '/v1/conversations/:conversationId',
+      '/v1/conversations/:conversationId/extractions',
+      '/v1/conversations/:conversationId/summary',
+      '/v1/conversations/:conversationId/export',
+      '/v1/conversations/:conversationId/share',
+      '/v1/conversations/shares',
+      '/v1/shared/:token',
+      '/v1/anonymous/session',
+      '/v1/anonymous/claim',
       '/v1/messages',
+      '/v1/messages/:messageId',
+      '/v1/messages/:messageId/regenerate',
+      '/v1/messages/:messageId/feedback',
+      '/v1/admin/feedback/report',
       // Status endpoint
       '/v1/status',
       // Webhook endpoints
-      '/v1/webhooks'
+      '/v1/webhooks',
+      '/v1/webhooks/billing'
     ]
   });
 }));
@@ -622,6 +678,14 @@ async function startServer() {
       console.warn('[Server] ⚠️ Server will continue but database features may not work');
     }
     
+    startSnapshotScheduler({
+      intervalHours: parseFloat(process.env.SNAPSHOT_INTERVAL_HOURS ?? '24')
+    });
+    
+    startSummaryScheduler({
+      intervalHours: parseFloat(process.env.SUMMARY_INTERVAL_HOURS ?? '6')
+    });
+    
     const server = app.listen(PORT, () => {
       console.log(`[Server] 🚀 ${process.env.NODE_ENV || 'development'} server running version ${latestVersion} on http://localhost:${PORT}`);
     });
@@ -0,0 +1,38 @@
+import { resolveAnonymousSession } from '../services/anonymousSessionService.js';
+import { ANONYMOUS_SESSION_HEADER } from '../src/lib/anonymous-session.js';
+import { wrapError } from '../src/errors/index.js';
+
+/**
+ * Read the anonymous session a public request carries in X-Anonymous-Session
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} AnonymousSession row, or null when there is no usable session
+ */
+export const getAnonymousSession = async (req) => {
+  const token = req.get(ANONYMOUS_SESSION_HEADER);
+  if (!token) return null;
+
+  const session = await resolveAnonymousSession(token);
+  if (!session) {
+    console.warn('[Anonymous Session] ⚠️ Ignoring invalid, expired or claimed session token', {
+      route: `${req.method} ${req.originalUrl}`
+    });
+  }
+
+  return session;
+};
+
+/**
+ * Middleware that sets req.anonymousSession for public routes (null without a usable session)
+ * Requests without a session keep working, they just aren't stored.
+ * @returns {Function} Express middleware
+ */
+export const attachAnonymousSession = () => {
+  return (req, res, next) => {
+    getAnonymousSession(req)
+      .then((session) => {
+        req.anonymousSession = session;
+        next();
+      })
+      .catch((error) => next(wrapError('[AnonymousSessionMiddleware.attachAnonymousSession]', error)));
+  };
+};
@@ -1,12 +1,38 @@
 import { PrismaClient } from '@prisma/client';
 import { clerkClient } from '@clerk/clerk-sdk-node';
 import { wrapError, ExternalServiceError } from '../src/errors/index.js';
+import { claimAnonymousSessionToken } from '../services/anonymousSessionService.js';
+import { ANONYMOUS_SESSION_METADATA_KEY } from '../src/lib/anonymous-session.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Merge the anonymous session the user signed up from, without ever failing the login
+ * The user.created webhook does the same; whichever runs first claims the session.
+ * @param {Object} user - The new user row
+ * @param {Object} clerkUser - Clerk user, whose unsafeMetadata may carry the session token
+ */
+const claimSignUpSession = async (user, clerkUser) => {
+  const token = clerkUser?.unsafeMetadata?.[ANONYMOUS_SESSION_METADATA_KEY];
+  if (!token) return;
+
+  try {
+    const claim = await claimAnonymousSessionToken(user, token);
+    console.log(`[Auth Middleware] 🔗 Anonymous session merge:`, {
+      databaseId: user.id,
+      found: !!claim,
+      claimed: claim?.claimed ?? false,
+      conversations: claim?.conversations ?? 0,
+      extractions: claim?.extractions ?? 0
+    });
+  } catch (error) {
+    console.warn(`[Auth Middleware] ⚠️ Failed to claim anonymous session for ${user.id}:`, error.message);
+  }
+};
+
 /**
  * Helper function to get user by Clerk ID
- * Creates user if doesn't exist
+ * Creates user if doesn't exist, merging the anonymous session they signed up from
  * @param {string} clerkUserId - The Clerk user ID from req.auth().userId
  * @returns {Promise<Object>} The user object
  */
@@ -60,6 +86,8 @@ export const getUserByClerkId = async (clerkUserId) => {
         email: user.email ? (process.env.NODE_ENV === 'production' ? user.email.replace(/(.{2}).*@/, '$1***@') : user.email) : 'null',
         firstName: user.firstName
       });
+
+      await claimSignUpSession(user, clerkUser);
     }
     
     return user;
@@ -125,4 +153,23 @@ export const requireJsonAuth = () => {
       res.status(500).json({ error: 'Authentication failed' });
     }
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware that limits a route to operators listed in ADMIN_CLERK_USER_IDS (comma-separated Clerk user IDs)
+ * Requires Clerk's requireAuth() to be applied first
+ */
+export const requireAdmin = () => {
+  return (req, res, next) => {
+    const adminIds = (process.env.ADMIN_CLERK_USER_IDS || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    if (!adminIds.includes(req.auth?.()?.userId)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+  };
+};
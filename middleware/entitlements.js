@@ -0,0 +1,39 @@
+import { getUserByClerkId } from './auth.js';
+import { getUserEntitlements } from '../services/entitlementService.js';
+import { describeMissingEntitlement } from '../src/lib/entitlements.js';
+import { EntitlementError, wrapError } from '../src/errors/index.js';
+
+/**
+ * Middleware that limits a route to users whose subscription includes a feature
+ * Requires Clerk's requireAuth() to be applied first. Sets req.user and req.entitlements.
+ * Missing features are passed to errorMiddleware as an EntitlementError: 402 when a higher tier
+ * is needed, 403 when the user's own subscription has lapsed.
+ * @param {string} feature - Feature name from FEATURES in src/lib/entitlements.js
+ * @returns {Function} Express middleware
+ */
+export const requireEntitlement = (feature) => {
+  return async (req, res, next) => {
+    try {
+      const user = await getUserByClerkId(req.auth().userId);
+      const entitlements = await getUserEntitlements(user);
+
+      req.user = user;
+      req.entitlements = entitlements;
+
+      const missing = describeMissingEntitlement(entitlements, feature);
+      if (missing) {
+        return next(new EntitlementError(missing.message, missing.details, {
+          code: missing.code,
+          status: missing.status
+        }));
+      }
+
+      next();
+    } catch (error) {
+      next(wrapError('[EntitlementMiddleware.requireEntitlement]', error, {
+        feature,
+        userId: req.auth?.()?.userId
+      }));
+    }
+  };
+};
@@ -0,0 +1,47 @@
+import { getUserByClerkId } from './auth.js';
+import { getUserEntitlements } from '../services/entitlementService.js';
+import { checkQuota } from '../services/usageService.js';
+import { quotaHeaders } from '../src/lib/usage-quota.js';
+import { QuotaExceededError, wrapError } from '../src/errors/index.js';
+
+/**
+ * Middleware that stops chat requests once the user's daily or monthly quota is used up
+ * Requires Clerk's requireAuth() to be applied first; reuses req.user and req.entitlements from
+ * requireEntitlement() when present. Sets the X-Quota-* headers on every response and passes a
+ * QuotaExceededError (429, with Retry-After) to errorMiddleware when a limit is reached.
+ * Usage itself is recorded when the turn completes (see ChatService).
+ * @returns {Function} Express middleware
+ */
+export const enforceChatQuota = () => {
+  return async (req, res, next) => {
+    try {
+      const user = req.user ?? await getUserByClerkId(req.auth().userId);
+      const entitlements = req.entitlements ?? await getUserEntitlements(user);
+
+      const status = await checkQuota(user.id, entitlements.tier);
+      res.set(quotaHeaders(status));
+
+      if (!status.allowed) {
+        const { period, metric, limit, used, resetsAt } = status.exceeded;
+
+        res.set('Retry-After', String(Math.max(Math.ceil((resetsAt.getTime() - Date.now()) / 1000), 1)));
+        return next(new QuotaExceededError(`${period === 'day' ? 'Daily' : 'Monthly'} chat ${metric} quota reached`, {
+          tier: entitlements.tier,
+          period,
+          metric,
+          limit,
+          used,
+          resetsAt: resetsAt.toISOString()
+        }));
+      }
+
+      req.user = user;
+      req.entitlements = entitlements;
+      next();
+    } catch (error) {
+      next(wrapError('[UsageMiddleware.enforceChatQuota]', error, {
+        userId: req.auth?.()?.userId
+      }));
+    }
+  };
+};
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "public"."budget_categories" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "monthly_limit" DECIMAL(65,30) NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "budget_categories_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."expense_sources" ADD COLUMN "category_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budget_categories_user_id_name_key" ON "public"."budget_categories"("user_id", "name");
+
+-- CreateIndex
+CREATE INDEX "expense_sources_category_id_idx" ON "public"."expense_sources"("category_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."budget_categories" ADD CONSTRAINT "budget_categories_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."expense_sources" ADD CONSTRAINT "expense_sources_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "public"."budget_categories"("id") ON DELETE SET NULL ON UPDATE CASCADE;
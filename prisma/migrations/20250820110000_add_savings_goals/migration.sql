@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "public"."savings_goals" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "target_amount" DECIMAL(65,30) NOT NULL,
+    "current_amount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "target_date" TIMESTAMP(3),
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "savings_goals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."savings_goal_sources" (
+    "goal_id" TEXT NOT NULL,
+    "savings_source_id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "savings_goal_sources_pkey" PRIMARY KEY ("goal_id","savings_source_id")
+);
+
+-- CreateIndex
+CREATE INDEX "savings_goals_user_id_idx" ON "public"."savings_goals"("user_id");
+
+-- CreateIndex
+CREATE INDEX "savings_goal_sources_savings_source_id_idx" ON "public"."savings_goal_sources"("savings_source_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."savings_goals" ADD CONSTRAINT "savings_goals_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."savings_goal_sources" ADD CONSTRAINT "savings_goal_sources_goal_id_fkey" FOREIGN KEY ("goal_id") REFERENCES "public"."savings_goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."savings_goal_sources" ADD CONSTRAINT "savings_goal_sources_savings_source_id_fkey" FOREIGN KEY ("savings_source_id") REFERENCES "public"."savings_sources"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "public"."financial_snapshots" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "net_worth" DECIMAL(65,30) NOT NULL,
+    "total_debt" DECIMAL(65,30) NOT NULL,
+    "total_savings" DECIMAL(65,30) NOT NULL,
+    "monthly_income" DECIMAL(65,30) NOT NULL,
+    "monthly_expenses" DECIMAL(65,30) NOT NULL,
+    "monthly_cash_flow" DECIMAL(65,30) NOT NULL,
+    "summary" JSONB NOT NULL,
+    "captured_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "financial_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "financial_snapshots_user_id_captured_at_idx" ON "public"."financial_snapshots"("user_id", "captured_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."financial_snapshots" ADD CONSTRAINT "financial_snapshots_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
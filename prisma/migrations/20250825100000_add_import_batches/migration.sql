@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."import_batches" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "file_hash" TEXT NOT NULL,
+    "file_name" TEXT,
+    "format" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'preview',
+    "transaction_count" INTEGER NOT NULL,
+    "proposals" JSONB NOT NULL,
+    "result" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "committed_at" TIMESTAMP(3),
+
+    CONSTRAINT "import_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "import_batches_user_id_file_hash_key" ON "public"."import_batches"("user_id", "file_hash");
+
+-- AddForeignKey
+ALTER TABLE "public"."import_batches" ADD CONSTRAINT "import_batches_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."extractions" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "conversation_id" TEXT NOT NULL,
+    "message_id" TEXT,
+    "category" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "proposed" JSONB NOT NULL,
+    "source_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "resolved_at" TIMESTAMP(3),
+
+    CONSTRAINT "extractions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "extractions_conversation_id_status_idx" ON "public"."extractions"("conversation_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."extractions" ADD CONSTRAINT "extractions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."extractions" ADD CONSTRAINT "extractions_conversation_id_fkey" FOREIGN KEY ("conversation_id") REFERENCES "public"."conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."extractions" ADD CONSTRAINT "extractions_message_id_fkey" FOREIGN KEY ("message_id") REFERENCES "public"."messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
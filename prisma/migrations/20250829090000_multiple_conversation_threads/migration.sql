@@ -0,0 +1,24 @@
+-- Allow several conversations (threads) per user and chat type
+ALTER TABLE "public"."conversations" DROP CONSTRAINT "conversations_user_id_chat_type_key";
+
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN "title" TEXT,
+ADD COLUMN "archived_at" TIMESTAMP(3);
+
+-- Status was added as nullable; every existing conversation is an open thread
+UPDATE "public"."conversations" SET "status" = 'open' WHERE "status" IS NULL;
+ALTER TABLE "public"."conversations" ALTER COLUMN "status" SET NOT NULL;
+
+-- Title existing threads after their first user message, as new threads are titled
+UPDATE "public"."conversations" AS c
+SET "title" = LEFT(regexp_replace(btrim(m."content"), '\s+', ' ', 'g'), 60)
+FROM (
+    SELECT DISTINCT ON ("conversation_id") "conversation_id", "content"
+    FROM "public"."messages"
+    WHERE "role" = 'user'
+    ORDER BY "conversation_id", "created_at"
+) AS m
+WHERE m."conversation_id" = c."id" AND c."title" IS NULL;
+
+-- CreateIndex
+CREATE INDEX "conversations_user_id_chat_type_status_idx" ON "public"."conversations"("user_id", "chat_type", "status");
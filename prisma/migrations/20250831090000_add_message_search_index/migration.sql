@@ -0,0 +1,3 @@
+-- CreateIndex
+-- Expression index used by conversation search; Prisma schema cannot express it
+CREATE INDEX "messages_content_search_idx" ON "public"."messages" USING GIN (to_tsvector('english', "content"));
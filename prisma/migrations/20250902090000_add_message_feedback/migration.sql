@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."message_feedback" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "message_id" TEXT,
+    "chat_type" "public"."ChatType" NOT NULL,
+    "rating" TEXT NOT NULL,
+    "reason" TEXT,
+    "comment" TEXT,
+    "provider" TEXT,
+    "forwarded_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "message_feedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_feedback_message_id_key" ON "public"."message_feedback"("message_id");
+
+-- CreateIndex
+CREATE INDEX "message_feedback_chat_type_created_at_idx" ON "public"."message_feedback"("chat_type", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."message_feedback" ADD CONSTRAINT "message_feedback_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."message_feedback" ADD CONSTRAINT "message_feedback_message_id_fkey" FOREIGN KEY ("message_id") REFERENCES "public"."messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN     "summarized_message_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "summarized_through" TIMESTAMP(3),
+ADD COLUMN     "summary" TEXT,
+ADD COLUMN     "summary_updated_at" TIMESTAMP(3);
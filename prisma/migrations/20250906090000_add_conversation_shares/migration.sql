@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "public"."conversation_shares" (
+    "id" TEXT NOT NULL,
+    "conversation_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "last_accessed_at" TIMESTAMP(3),
+    "access_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "conversation_shares_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "conversation_shares_token_hash_key" ON "public"."conversation_shares"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "conversation_shares_user_id_revoked_at_idx" ON "public"."conversation_shares"("user_id", "revoked_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."conversation_shares" ADD CONSTRAINT "conversation_shares_conversation_id_fkey" FOREIGN KEY ("conversation_id") REFERENCES "public"."conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."conversation_shares" ADD CONSTRAINT "conversation_shares_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
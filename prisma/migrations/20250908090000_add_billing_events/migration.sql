@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."subscriptions" ADD COLUMN     "current_period_end" TIMESTAMP(3),
+ADD COLUMN     "external_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."billing_events" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "subscription_id" TEXT,
+    "payload" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "billing_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscriptions_external_id_key" ON "public"."subscriptions"("external_id");
+
+-- CreateIndex
+CREATE INDEX "billing_events_subscription_id_idx" ON "public"."billing_events"("subscription_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."billing_events" ADD CONSTRAINT "billing_events_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "public"."subscriptions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
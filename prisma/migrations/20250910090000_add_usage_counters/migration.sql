@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."usage_counters" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "period_start" TIMESTAMP(3) NOT NULL,
+    "requests" INTEGER NOT NULL DEFAULT 0,
+    "prompt_tokens" INTEGER NOT NULL DEFAULT 0,
+    "completion_tokens" INTEGER NOT NULL DEFAULT 0,
+    "total_tokens" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "usage_counters_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "usage_counters_user_id_period_period_start_key" ON "public"."usage_counters"("user_id", "period", "period_start");
+
+-- AddForeignKey
+ALTER TABLE "public"."usage_counters" ADD CONSTRAINT "usage_counters_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "public"."rate_limit_counters" (
+    "key" TEXT NOT NULL,
+    "window_start" BIGINT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "expires_at" BIGINT NOT NULL,
+
+    CONSTRAINT "rate_limit_counters_pkey" PRIMARY KEY ("key","window_start")
+);
+
+-- CreateIndex
+CREATE INDEX "rate_limit_counters_expires_at_idx" ON "public"."rate_limit_counters"("expires_at");
@@ -0,0 +1,41 @@
+-- DropForeignKey
+ALTER TABLE "public"."conversations" DROP CONSTRAINT "conversations_user_id_fkey";
+
+-- DropForeignKey
+ALTER TABLE "public"."extractions" DROP CONSTRAINT "extractions_user_id_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN     "anonymous_session_id" TEXT,
+ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."extractions" ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "public"."anonymous_sessions" (
+    "id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "claimed_by_user_id" TEXT,
+    "claimed_at" TIMESTAMP(3),
+
+    CONSTRAINT "anonymous_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "anonymous_sessions_claimed_by_user_id_idx" ON "public"."anonymous_sessions"("claimed_by_user_id");
+
+-- CreateIndex
+CREATE INDEX "conversations_anonymous_session_id_idx" ON "public"."conversations"("anonymous_session_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."conversations" ADD CONSTRAINT "conversations_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."conversations" ADD CONSTRAINT "conversations_anonymous_session_id_fkey" FOREIGN KEY ("anonymous_session_id") REFERENCES "public"."anonymous_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."extractions" ADD CONSTRAINT "extractions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."anonymous_sessions" ADD CONSTRAINT "anonymous_sessions_claimed_by_user_id_fkey" FOREIGN KEY ("claimed_by_user_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."conversations" ADD COLUMN     "restored_from_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "conversations_user_id_restored_from_id_idx" ON "public"."conversations"("user_id", "restored_from_id");
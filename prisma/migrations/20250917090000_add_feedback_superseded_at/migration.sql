@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."message_feedback" ADD COLUMN     "superseded_at" TIMESTAMP(3);
@@ -0,0 +1,43 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { requireAdmin } from '../../middleware/auth.js';
+import { getFeedbackReport } from '../../services/feedbackService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { parseDateParam } from '../../src/utils/queryParams.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /v1/admin/feedback/report
+ * Likes, dislikes and dislike reasons per chat type
+ * Query: ?from=2025-09-01&to=2025-09-30
+ */
+router.get('/report', requireAuth(), requireAdmin(), asyncHandler(async (req, res, next) => {
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+
+    if (from && to && from > to) {
+      throw new ValidationError('from must be before to', { from, to });
+    }
+
+    const report = await getFeedbackReport({ from, to });
+
+    res.json({
+      success: true,
+      data: {
+        range: { from: from ?? null, to: to ?? null },
+        ...report
+      }
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/admin/feedback/report] build feedback report', error, {
+      userId: req.auth().userId,
+      from: req.query.from,
+      to: req.query.to
+    }));
+  }
+}));
+
+export default router;
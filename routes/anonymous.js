@@ -0,0 +1,83 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../middleware/auth.js';
+import { claimAnonymousSessionToken, createAnonymousSession } from '../services/anonymousSessionService.js';
+import { ANONYMOUS_SESSION_HEADER, anonymousSessionTtlDays } from '../src/lib/anonymous-session.js';
+import { rateLimit } from '../src/middleware/rate-limit.js';
+import { asyncHandler } from '../src/utils/asyncHandler.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const router = express.Router();
+
+/**
+ * POST /v1/anonymous/session
+ * Start an anonymous session for a logged-out visitor (no auth required)
+ * Send the returned token as X-Anonymous-Session on public chat requests to have them stored
+ */
+router.post('/session', rateLimit('anonymous-session'), asyncHandler(async (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (!process.env.ANONYMOUS_SESSION_SECRET) {
+      console.error('[Anonymous Session] ❌ ANONYMOUS_SESSION_SECRET not configured in environment');
+      return res.status(500).json({ error: 'Server configuration error: anonymous session secret missing' });
+    }
+
+    const { session, token } = await createAnonymousSession();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        header: ANONYMOUS_SESSION_HEADER,
+        createdAt: session.createdAt,
+        expiresAfterDaysUnused: anonymousSessionTtlDays()
+      }
+    });
+  } catch (error) {
+    // Never log the token itself
+    return next(wrapError('[POST /v1/anonymous/session] start anonymous session', error));
+  }
+}));
+
+/**
+ * POST /v1/anonymous/claim
+ * Merge an anonymous session's conversations and extracted figures into the signed-in account
+ * Call after sign-in when the token wasn't passed through Clerk sign-up (see the user.created webhook)
+ * Token: X-Anonymous-Session header, or { token } in the body
+ */
+router.post('/claim', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const token = req.get(ANONYMOUS_SESSION_HEADER) || req.body?.token;
+
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError(`An anonymous session token is required in ${ANONYMOUS_SESSION_HEADER} or the body`);
+    }
+
+    const user = await getUserByClerkId(req.auth().userId);
+    const result = await claimAnonymousSessionToken(user, token);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Anonymous session not found' });
+    }
+
+    if (result.claimedByOther) {
+      return res.status(409).json({ error: 'Anonymous session was already claimed by another account' });
+    }
+
+    res.json({
+      success: true,
+      message: result.alreadyClaimed ? 'Anonymous session was already claimed' : 'Anonymous session claimed successfully',
+      data: {
+        conversations: result.conversations,
+        extractions: result.extractions
+      }
+    });
+  } catch (error) {
+    return next(wrapError('[POST /v1/anonymous/claim] claim anonymous session', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+export default router;
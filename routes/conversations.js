@@ -1,32 +1,84 @@
 import express from 'express';
 import { requireAuth } from '@clerk/express';
 import { getUserByClerkId } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { enforceChatQuota } from '../middleware/usage.js';
 import {
-  findOrCreateConversation,
+  createConversation,
+  deleteConversation,
   getConversationByType,
   getConversationById,
-  getUserConversations
+  getUserConversations,
+  updateConversation
 } from '../services/conversationService.js';
-import { getMessages } from '../services/messageService.js';
+import { CONVERSATION_STATUSES, toChatType } from '../src/lib/conversation-threads.js';
+import { getMessagePage, searchMessages } from '../services/messageService.js';
+import { parsePageParams } from '../src/lib/cursor.js';
+import { FEATURES } from '../src/lib/entitlements.js';
+import { TRANSCRIPT_FORMATS, buildTranscript, renderMarkdownTranscript } from '../src/lib/transcript.js';
+import { createPdfDocument, renderTranscript } from '../src/lib/pdf-report.js';
+import {
+  EXTRACTION_STATUSES,
+  acceptExtraction,
+  listExtractions,
+  rejectExtraction
+} from '../services/extractionService.js';
+import { recordSnapshotForAuthId } from '../services/snapshotService.js';
+import { getConversationSummary, summarizeConversation } from '../services/summaryService.js';
+import { createShare, listShares, revokeShare } from '../services/shareService.js';
 import { asyncHandler } from '../src/utils/asyncHandler.js';
+import { parseDateParam } from '../src/utils/queryParams.js';
 import { wrapError, ValidationError } from '../src/errors/index.js';
 
 const router = express.Router();
 
+const validChatTypes = ['INCOME', 'DEBT', 'EXPENSES', 'SAVINGS', 'OPEN_CHAT'];
+
+const SEARCH_QUERY_MIN_LENGTH = 2;
+const SEARCH_QUERY_MAX_LENGTH = 200;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+/**
+ * Set download headers for a transcript file
+ */
+const setTranscriptAttachment = (res, conversation, contentType, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const type = conversation.chatType.toLowerCase().replace('_', '-');
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="grayson-${type}-conversation-${date}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+/**
+ * Stream a transcript as PDF
+ */
+const sendTranscriptPdf = (res, conversation, transcript) => new Promise((resolve, reject) => {
+  const doc = createPdfDocument({ title: transcript.conversation.title });
+
+  doc.on('error', reject);
+  res.on('close', resolve);
+
+  setTranscriptAttachment(res, conversation, 'application/pdf', 'pdf');
+  doc.pipe(res);
+  renderTranscript(doc, transcript);
+  doc.end();
+});
+
 /**
  * POST /v1/conversations
- * Create a new conversation
+ * Start a new conversation thread
+ * Body: { chatType, title?, difyConversationId? }
  */
 router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const user = await getUserByClerkId(req.auth().userId);
-    const { chatType, difyConversationId } = req.body;
+    const { chatType, title, difyConversationId } = req.body;
     
     if (!chatType) {
       throw new ValidationError('Missing required field: chatType');
     }
 
-    const validChatTypes = ['INCOME', 'DEBT', 'EXPENSES', 'SAVINGS', 'OPEN_CHAT'];
     if (!validChatTypes.includes(chatType.toUpperCase())) {
       throw new ValidationError('Invalid chatType. Must be one of: ' + validChatTypes.join(', '), {
         chatType,
@@ -34,11 +86,11 @@ router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
       });
     }
 
-    const conversation = await findOrCreateConversation(
-      user.id,
-      chatType,
-      difyConversationId
-    );
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+      throw new ValidationError('title must be a non-empty string', { title });
+    }
+
+    const conversation = await createConversation(user.id, chatType, { title, difyConversationId });
     
     res.status(201).json({
       success: true,
@@ -52,9 +104,111 @@ router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
   }
 }));
 
+/**
+ * GET /v1/conversations/search
+ * Full-text search across the authenticated user's messages
+ * Query: ?q=text&chatType=income&from=2025-01-01&to=2025-06-30&limit=20&offset=0
+ */
+router.get('/search', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (query.length < SEARCH_QUERY_MIN_LENGTH || query.length > SEARCH_QUERY_MAX_LENGTH) {
+      throw new ValidationError(
+        `q must be between ${SEARCH_QUERY_MIN_LENGTH} and ${SEARCH_QUERY_MAX_LENGTH} characters`,
+        { q: req.query.q }
+      );
+    }
+
+    const chatType = req.query.chatType ? toChatType(req.query.chatType) : undefined;
+    if (chatType && !validChatTypes.includes(chatType)) {
+      throw new ValidationError('Invalid chatType. Must be one of: ' + validChatTypes.join(', '), {
+        chatType: req.query.chatType,
+        validTypes: validChatTypes
+      });
+    }
+
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    if (from && to && from > to) {
+      throw new ValidationError('from must be before to', { from, to });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { results, total } = await searchMessages(user.id, { query, chatType, from, to, limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        query,
+        results,
+        pagination: { limit, offset, total }
+      }
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/conversations/search] search messages', error, {
+      userId: req.auth().userId,
+      chatType: req.query.chatType,
+      from: req.query.from,
+      to: req.query.to
+    }));
+  }
+}));
+
+/**
+ * GET /v1/conversations/shares
+ * List the authenticated user's active share links
+ * Query: ?conversationId= to limit to one conversation
+ */
+router.get('/shares', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const shares = await listShares(user.id, { conversationId: req.query.conversationId });
+
+    res.json({
+      success: true,
+      data: shares
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/conversations/shares] list share links', error, {
+      userId: req.auth().userId,
+      conversationId: req.query.conversationId
+    }));
+  }
+}));
+
+/**
+ * DELETE /v1/conversations/shares/:shareId
+ * Revoke a share link
+ */
+router.delete('/shares/:shareId', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const result = await revokeShare(user.id, req.params.shareId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    res.json({
+      success: true,
+      message: result.alreadyRevoked ? 'Share was already revoked' : 'Share revoked successfully',
+      data: result.share
+    });
+  } catch (error) {
+    return next(wrapError(`[DELETE /v1/conversations/shares/${req.params.shareId}] revoke share link`, error, {
+      shareId: req.params.shareId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
 /**
  * GET /v1/conversations/:chatType
- * Get conversation by chat type for the authenticated user
+ * Get the most recent open conversation of a chat type for the authenticated user
  */
 router.get('/:chatType', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
@@ -87,13 +241,16 @@ router.get('/:chatType', requireAuth(), asyncHandler(async (req, res, next) => {
 
 /**
  * GET /v1/conversations/:conversationId/messages
- * Get all messages for a specific conversation
+ * Get a page of messages for a specific conversation
+ * Query: ?limit=50&orderBy=asc|desc, then ?after=<nextCursor> or ?before=<prevCursor> (or &offset=)
  */
 router.get('/:conversationId/messages', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const user = await getUserByClerkId(req.auth().userId);
     const { conversationId } = req.params;
-    const { limit = 50, offset = 0, orderBy = 'asc' } = req.query;
+    const { limit, before, after } = parsePageParams(req.query);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const orderBy = req.query.orderBy === 'desc' ? 'desc' : 'asc';
     
     // First verify the conversation belongs to the user
     const conversation = await getConversationById(conversationId);
@@ -106,10 +263,12 @@ router.get('/:conversationId/messages', requireAuth(), asyncHandler(async (req,
       return res.status(403).json({ error: 'Access denied to this conversation' });
     }
     
-    const messages = await getMessages(conversationId, {
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      orderBy: orderBy === 'desc' ? 'desc' : 'asc'
+    const { messages, nextCursor, prevCursor } = await getMessagePage(conversation.id, {
+      limit,
+      offset,
+      orderBy,
+      before,
+      after
     });
     
     res.json({
@@ -124,9 +283,11 @@ router.get('/:conversationId/messages', requireAuth(), asyncHandler(async (req,
         },
         messages,
         pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          total: messages.length
+          limit,
+          offset,
+          total: messages.length,
+          nextCursor,
+          prevCursor
         }
       }
     });
@@ -140,23 +301,398 @@ router.get('/:conversationId/messages', requireAuth(), asyncHandler(async (req,
   }
 }));
 
+/**
+ * GET /v1/conversations/:conversationId/summary
+ * Get the rolling summary of a conversation's older messages
+ */
+router.get('/:conversationId/summary', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    res.json({
+      success: true,
+      data: await getConversationSummary(conversation)
+    });
+  } catch (error) {
+    return next(wrapError(`[GET /v1/conversations/${req.params.conversationId}/summary] fetch conversation summary`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * POST /v1/conversations/:conversationId/summary
+ * Fold the waiting messages, except the most recent ones, into the summary now
+ * The summary is written by the LLM, so it counts against the user's chat quota
+ */
+router.post('/:conversationId/summary', requireAuth(), requireEntitlement(FEATURES.ADVANCED_CHAT), enforceChatQuota(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const { updated, summarized, remaining } = await summarizeConversation(conversation, { force: true, recordUsage: true });
+    const refreshed = updated ? await getConversationById(conversation.id) : conversation;
+
+    res.json({
+      success: true,
+      data: {
+        ...(await getConversationSummary(refreshed)),
+        updated,
+        summarized,
+        remaining
+      }
+    });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/conversations/${req.params.conversationId}/summary] summarize conversation`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * GET /v1/conversations/:conversationId/export
+ * Download the full transcript
+ * Query: ?format=md|pdf|json (default: md)
+ */
+router.get('/:conversationId/export', requireAuth(), requireEntitlement(FEATURES.EXPORT), asyncHandler(async (req, res, next) => {
+  try {
+    const format = String(req.query.format ?? 'md').toLowerCase();
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      throw new ValidationError('Invalid format. Must be one of: ' + TRANSCRIPT_FORMATS.join(', '), {
+        format,
+        validFormats: TRANSCRIPT_FORMATS
+      });
+    }
+
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const transcript = buildTranscript(conversation, conversation.messages);
+
+    if (format === 'pdf') {
+      return await sendTranscriptPdf(res, conversation, transcript);
+    }
+
+    if (format === 'md') {
+      setTranscriptAttachment(res, conversation, 'text/markdown; charset=utf-8', 'md');
+      return res.send(renderMarkdownTranscript(transcript));
+    }
+
+    setTranscriptAttachment(res, conversation, 'application/json', 'json');
+    res.send(JSON.stringify(transcript, null, 2));
+  } catch (error) {
+    // Once streaming has started the only option is to abort the download
+    if (res.headersSent) {
+      console.error(`[GET /v1/conversations/${req.params.conversationId}/export] ❌ Export stream failed:`, error.message);
+      return res.destroy(error);
+    }
+
+    return next(wrapError(`[GET /v1/conversations/${req.params.conversationId}/export] export conversation`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId,
+      format: req.query.format
+    }));
+  }
+}));
+
+/**
+ * POST /v1/conversations/:conversationId/share
+ * Create a read-only share link
+ * Body: { expiresInDays? }
+ */
+router.post('/:conversationId/share', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const { share, token } = await createShare(user.id, conversation, { expiresInDays: req.body?.expiresInDays });
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...share,
+        token,
+        url: `${baseUrl.replace(/\/$/, '')}/v1/shared/${token}`
+      }
+    });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/conversations/${req.params.conversationId}/share] create share link`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * GET /v1/conversations/:conversationId/extractions
+ * List sources proposed by the assistant in a conversation
+ * Query: ?status=pending|accepted|rejected
+ */
+router.get('/:conversationId/extractions', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { status } = req.query;
+
+    if (status !== undefined && !EXTRACTION_STATUSES.includes(status)) {
+      throw new ValidationError('Invalid status. Must be one of: ' + EXTRACTION_STATUSES.join(', '), { status });
+    }
+
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const extractions = await listExtractions(user.id, conversation.id, { status });
+
+    res.json({
+      success: true,
+      data: extractions
+    });
+  } catch (error) {
+    return next(wrapError(`[GET /v1/conversations/${req.params.conversationId}/extractions] list extractions`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * POST /v1/conversations/:conversationId/extractions/:extractionId/accept
+ * Write a proposed source to the user's financial data
+ * Body (optional overrides): { sourceName, amount, frequency, notes, interestRate, minPayment }
+ */
+router.post('/:conversationId/extractions/:extractionId/accept', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const accepted = await acceptExtraction(user.id, conversation.id, req.params.extractionId, req.body ?? {});
+
+    if (!accepted) {
+      return res.status(404).json({ error: 'Extraction not found' });
+    }
+
+    if (accepted.alreadyResolved) {
+      return res.status(409).json({ error: `Extraction already ${accepted.extraction.status}` });
+    }
+
+    recordSnapshotForAuthId(req.auth().userId, 'extraction.accept');
+
+    res.status(accepted.action === 'created' ? 201 : 200).json({
+      success: true,
+      data: {
+        extraction: accepted.extraction,
+        source: accepted.source,
+        action: accepted.action
+      }
+    });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/conversations/${req.params.conversationId}/extractions/${req.params.extractionId}/accept] accept extraction`, error, {
+      conversationId: req.params.conversationId,
+      extractionId: req.params.extractionId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * POST /v1/conversations/:conversationId/extractions/:extractionId/reject
+ * Dismiss a proposed source without writing it
+ */
+router.post('/:conversationId/extractions/:extractionId/reject', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const rejected = await rejectExtraction(user.id, conversation.id, req.params.extractionId);
+
+    if (!rejected) {
+      return res.status(404).json({ error: 'Extraction not found' });
+    }
+
+    if (rejected.alreadyResolved) {
+      return res.status(409).json({ error: `Extraction already ${rejected.extraction.status}` });
+    }
+
+    res.json({
+      success: true,
+      data: rejected.extraction
+    });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/conversations/${req.params.conversationId}/extractions/${req.params.extractionId}/reject] reject extraction`, error, {
+      conversationId: req.params.conversationId,
+      extractionId: req.params.extractionId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * PATCH /v1/conversations/:conversationId
+ * Rename a thread or change its status
+ * Body: { title?, status? } where status is open, archived or closed
+ */
+router.patch('/:conversationId', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { title, status } = req.body;
+
+    if (title === undefined && status === undefined) {
+      throw new ValidationError('Nothing to update: provide title or status');
+    }
+
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    const updated = await updateConversation(conversation, { title, status });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    return next(wrapError(`[PATCH /v1/conversations/${req.params.conversationId}] update conversation`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId,
+      status: req.body.status
+    }));
+  }
+}));
+
+/**
+ * DELETE /v1/conversations/:conversationId
+ * Delete a thread with its messages
+ */
+router.delete('/:conversationId', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const conversation = await getConversationById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (conversation.userId !== user.id) {
+      return res.status(403).json({ error: 'Access denied to this conversation' });
+    }
+
+    await deleteConversation(conversation.id);
+
+    res.json({ success: true, message: 'Conversation deleted successfully' });
+  } catch (error) {
+    return next(wrapError(`[DELETE /v1/conversations/${req.params.conversationId}] delete conversation`, error, {
+      conversationId: req.params.conversationId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
 /**
  * GET /v1/conversations
- * Get all conversations for the authenticated user
+ * List the authenticated user's conversation threads
+ * Query: ?chatType=income&status=open|archived|closed|all (archived threads are hidden by default)
+ * Paging: ?limit=50&after=<nextCursor> or ?before=<prevCursor>
  */
 router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const user = await getUserByClerkId(req.auth().userId);
-    
-    const conversations = await getUserConversations(user.id);
+    const { chatType, status } = req.query;
+
+    if (chatType !== undefined && !validChatTypes.includes(String(chatType).toUpperCase())) {
+      throw new ValidationError('Invalid chatType. Must be one of: ' + validChatTypes.join(', '), {
+        chatType,
+        validTypes: validChatTypes
+      });
+    }
+
+    if (status !== undefined && status !== 'all' && !CONVERSATION_STATUSES.includes(status)) {
+      throw new ValidationError('Invalid status. Must be one of: ' + [...CONVERSATION_STATUSES, 'all'].join(', '), { status });
+    }
+
+    const { limit, before, after } = parsePageParams(req.query);
+    const { conversations, nextCursor, prevCursor } = await getUserConversations(user.id, {
+      chatType,
+      status,
+      limit,
+      before,
+      after
+    });
     
     res.json({
       success: true,
-      data: conversations
+      data: conversations,
+      pagination: { limit, nextCursor, prevCursor }
     });
   } catch (error) {
     return next(wrapError('[GET /v1/conversations] fetch user conversations', error, {
-      userId: req.auth().userId
+      userId: req.auth().userId,
+      chatType: req.query.chatType,
+      status: req.query.status
     }));
   }
 }));
@@ -1,37 +1,44 @@
 import express from 'express';
-import axios from 'axios';
 import { ValidationError, ExternalServiceError } from '../../src/errors/index.js';
 import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { rateLimit } from '../../src/middleware/rate-limit.js';
+import { attachAnonymousSession } from '../../middleware/anonymousSession.js';
 import { normalizeDifyResponse } from '../../src/lib/dify-normalizer.js';
+import { wantsStream, openSseStream, relayChatStream } from '../../src/lib/chat-stream.js';
+import { createAnonymousChatTurn, requireChatProvider } from '../../services/chatService.js';
+import { getAnonymousConversation } from '../../services/anonymousSessionService.js';
 
 const router = express.Router();
 
-// Environment variables for Dify integration
-const DIFY_API_KEY = process.env.DIFY_API_KEY;
-const DIFY_APP_ID = process.env.DIFY_GRAYSON_FINANCE_APP_ID; // Public app, not PRO
-
-if (!DIFY_API_KEY) {
-  console.error('[Debt Conversation Routes] ❌ DIFY_API_KEY is missing');
-}
-
-if (!DIFY_APP_ID) {
-  console.error('[Debt Conversation Routes] ❌ DIFY_GRAYSON_FINANCE_APP_ID is missing');
-}
-
 /**
  * GET /v1/conversations/debt
  * Public endpoint to get debt conversation status (no auth required)
- * Returns benign "no history yet" structure when no conversation exists
+ * With an X-Anonymous-Session token, returns the session's latest debt conversation;
+ * otherwise (or when there is none) returns a benign "no history yet" structure
  */
-router.get('/', asyncHandler(async (req, res, next) => {
+router.get('/', attachAnonymousSession(), asyncHandler(async (req, res, next) => {
   console.log(`[Debt Conversations] 📥 ${req.method} ${req.originalUrl}`);
   
   try {
-    // For public routes, we don't maintain conversation history in DB
-    // Always return a "no conversation yet" response with 200 status
+    const conversation = req.anonymousSession
+      ? await getAnonymousConversation(req.anonymousSession, 'DEBT')
+      : null;
+
+    if (!conversation) {
+      return res.status(200).json({
+        conversationId: null,
+        messages: []
+      });
+    }
+
     res.status(200).json({
-      conversationId: null,
-      messages: []
+      conversationId: conversation.conversationId,
+      messages: conversation.messages.map((message) => ({
+        role: message.role,
+        content: message.content,
+        meta: message.meta,
+        createdAt: message.createdAt
+      }))
     });
   } catch (error) {
     console.error(`[Debt Conversations] 🔥 Error in GET /:`, {
@@ -45,69 +52,103 @@ router.get('/', asyncHandler(async (req, res, next) => {
   }
 }));
 
+/**
+ * Build the new-conversation response from a normalized Dify response
+ */
+const buildConversationResponse = (normalized) => ({
+  conversationId: normalized.conversation_id,
+  message: {
+    role: 'assistant',
+    content: normalized.text || 'I\'m here to help you with your debt situation. Please tell me about your current debt.',
+    userData: {
+      valid: normalized.valid,
+      isValid: normalized.isValid,
+      ambiguous: normalized.ambiguous
+    },
+    metadata: normalized.outputs,
+    createdAt: new Date().toISOString()
+  }
+});
+
+/**
+ * Start a debt conversation stored against the visitor's anonymous session
+ */
+const startAnonymousConversation = async (req, res, query, inputs) => {
+  const turn = await createAnonymousChatTurn({
+    session: req.anonymousSession,
+    chatType: 'DEBT',
+    query,
+    inputs
+  });
+
+  if (wantsStream(req)) {
+    const events = await turn.openStream();
+    return relayChatStream(events, openSseStream(res), {
+      onComplete: async (result) => {
+        await turn.complete(result);
+        return buildConversationResponse(normalizeDifyResponse(result));
+      },
+      logPrefix: '[Debt Conversations]'
+    });
+  }
+
+  const result = await turn.send();
+  const { conversationDbId } = await turn.complete(result);
+  const normalized = normalizeDifyResponse(result);
+
+  console.log(`[Debt Conversations] ✅ Anonymous conversation created successfully:`, {
+    conversationId: normalized.conversation_id,
+    conversationDbId
+  });
+
+  res.status(201).json(buildConversationResponse(normalized));
+};
+
 /**
  * POST /v1/conversations/debt
  * Public endpoint to create/start debt conversation (no auth required)
- * Creates a new Dify conversation and returns the conversation ID
+ * Creates a new Dify conversation and returns the conversation ID. With an
+ * X-Anonymous-Session token the conversation and its messages are stored for the session.
  */
-router.post('/', asyncHandler(async (req, res, next) => {
+router.post('/', rateLimit('public-conversation'), attachAnonymousSession(), asyncHandler(async (req, res, next) => {
   console.log(`[Debt Conversations] 📥 ${req.method} ${req.originalUrl}`);
   
   try {
     const { query, inputs = {} } = req.body;
     
-    // Validate required environment variables
-    if (!DIFY_API_KEY || !DIFY_APP_ID) {
-      const error = new ExternalServiceError('Dify', 'Configuration error: missing API credentials');
-      error.code = 'INTERNAL_ERROR';
-      error.status = 500;
-      throw error;
+    // Create initial message or use default debt opening
+    const initialQuery = query || "I want to discuss my debt situation and get help with debt management.";
+
+    if (req.anonymousSession) {
+      return await startAnonymousConversation(req, res, initialQuery, { topic: 'debt', ...inputs });
     }
     
-    // Prepare headers for Dify API call
-    const headers = {
-      'Authorization': `Bearer ${DIFY_API_KEY}`,
-      'Content-Type': 'application/json',
-      'x-api-app-id': DIFY_APP_ID
-    };
+    // Public requests use the default provider (or LLM_PROVIDER)
+    const { provider, model } = requireChatProvider();
     
-    // Create initial message or use default debt opening
-    const initialQuery = query || "I want to discuss my debt situation and get help with debt management.";
+    const params = {
+      query: initialQuery,
+      inputs: { topic: 'debt', ...inputs },
+      conversationId: null, // Always create new conversation for public requests
+      user: 'public-user', // Anonymous user identifier
+      model
+    };
+
+    if (wantsStream(req)) {
+      const events = await provider.openStream(params);
+      return relayChatStream(events, openSseStream(res), {
+        onComplete: async (result) => buildConversationResponse(normalizeDifyResponse(result)),
+        logPrefix: '[Debt Conversations]'
+      });
+    }
     
-    // Make request to Dify API to start new conversation
-    const difyResponse = await axios.post(
-      'https://api.dify.ai/v1/chat-messages',
-      {
-        query: initialQuery,
-        inputs: { topic: 'debt', ...inputs },
-        response_mode: 'blocking',
-        conversation_id: null, // Always create new conversation for public requests
-        user: 'public-user' // Anonymous user identifier
-      },
-      { 
-        headers,
-        timeout: 30000 // 30 second timeout
-      }
-    );
+    const result = await provider.chat(params);
     
     // Use normalizer to extract correct flags from parsed JSON content
-    const normalized = normalizeDifyResponse(difyResponse.data);
+    const normalized = normalizeDifyResponse(result);
     
     // Return the conversation with initial message
-    const response = {
-      conversationId: normalized.conversation_id,
-      message: {
-        role: 'assistant',
-        content: normalized.text || 'I\'m here to help you with your debt situation. Please tell me about your current debt.',
-        userData: {
-          valid: normalized.valid,
-          isValid: normalized.isValid,
-          ambiguous: normalized.ambiguous
-        },
-        metadata: normalized.outputs,
-        createdAt: new Date().toISOString()
-      }
-    };
+    const response = buildConversationResponse(normalized);
     
     console.log(`[Debt Conversations] ✅ Conversation created successfully:`, {
       conversationId: normalized.conversation_id
@@ -122,21 +163,21 @@ router.post('/', asyncHandler(async (req, res, next) => {
     });
     
     if (error.response?.status) {
-      // Dify API error
+      // Provider API error
       const status = error.response.status;
       const errorData = error.response.data || error.message;
       
-      const difyError = new ExternalServiceError('Dify', 'Dify call failed', { status, errorData });
-      difyError.code = 'UPSTREAM_ERROR';
-      difyError.status = 502;
-      throw difyError;
+      const upstreamError = new ExternalServiceError('LLM', 'Upstream call failed', { status, errorData });
+      upstreamError.code = 'UPSTREAM_ERROR';
+      upstreamError.status = 502;
+      throw upstreamError;
     } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-      const timeoutError = new ExternalServiceError('Dify', 'Dify call failed', { timeout: true });
+      const timeoutError = new ExternalServiceError('LLM', 'Upstream call failed', { timeout: true });
       timeoutError.code = 'UPSTREAM_ERROR';
       timeoutError.status = 502;
       throw timeoutError;
     } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      const networkError = new ExternalServiceError('Dify', 'Dify call failed', { networkError: true });
+      const networkError = new ExternalServiceError('LLM', 'Upstream call failed', { networkError: true });
       networkError.code = 'UPSTREAM_ERROR';
       networkError.status = 502;
       throw networkError;
@@ -37,7 +37,7 @@ const validateIncomeData = (income, currency, source) => {
 
 /**
  * GET /v1/conversations/income
- * Get the income conversation for the authenticated user
+ * Get the most recent open income conversation for the authenticated user
  */
 router.get('/', requireAuth(), async (req, res) => {
   try {
@@ -88,7 +88,7 @@ router.post('/', requireAuth(), async (req, res) => {
       });
     }
 
-    // Find or create the income conversation
+    // Add to the most recent open income thread, or start one
     let conversation = await getConversationByType(user.id, 'INCOME');
     let isNew = false;
     
@@ -152,11 +152,6 @@ router.post('/', requireAuth(), async (req, res) => {
   } catch (error) {
     console.error('Error creating income conversation:', error);
     
-    if (error.code === 'P2002' && error.meta?.target?.includes('user_id') && error.meta?.target?.includes('chat_type')) {
-      // Unique constraint violation - conversation already exists
-      return res.status(409).json({ error: 'Income conversation already exists for this user' });
-    }
-    
     res.status(500).json({ error: 'Failed to create income conversation' });
   }
 });
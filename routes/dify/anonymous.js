@@ -0,0 +1,40 @@
+import { normalizeDifyResponse } from '../../src/lib/dify-normalizer.js';
+import { wantsStream, openSseStream, relayChatStream } from '../../src/lib/chat-stream.js';
+import { createAnonymousChatTurn } from '../../services/chatService.js';
+import { getAnonymousConversation } from '../../services/anonymousSessionService.js';
+
+/**
+ * Answer an analyze request for the visitor's anonymous session
+ * The session's open conversation of the chat type is continued (or started) and stored
+ * @param {Object} req - Express request with req.anonymousSession set
+ * @param {Object} res - Express response
+ * @param {Object} options - Options
+ * @param {string} options.chatType - The chat type (e.g. 'INCOME')
+ * @param {string} options.query - The trimmed query
+ * @param {Function} options.buildResponse - Maps a normalized response to the analyze response body
+ * @param {string} options.logPrefix - Prefix for stream log messages
+ */
+export const answerAnonymousAnalyze = async (req, res, { chatType, query, buildResponse, logPrefix }) => {
+  const session = req.anonymousSession;
+  const turn = await createAnonymousChatTurn({
+    session,
+    conversation: await getAnonymousConversation(session, chatType),
+    chatType,
+    query
+  });
+
+  if (wantsStream(req)) {
+    const events = await turn.openStream();
+    return relayChatStream(events, openSseStream(res), {
+      onComplete: async (result) => {
+        await turn.complete(result);
+        return buildResponse(normalizeDifyResponse(result));
+      },
+      logPrefix
+    });
+  }
+
+  const result = await turn.send();
+  await turn.complete(result);
+  return res.status(200).json(buildResponse(normalizeDifyResponse(result)));
+};
@@ -1,28 +1,35 @@
 import express from 'express';
-import axios from 'axios';
 import { ValidationError, ExternalServiceError } from '../../src/errors/index.js';
 import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { rateLimit } from '../../src/middleware/rate-limit.js';
+import { attachAnonymousSession } from '../../middleware/anonymousSession.js';
 import { normalizeDifyResponse } from '../../src/lib/dify-normalizer.js';
+import { wantsStream, openSseStream, relayChatStream } from '../../src/lib/chat-stream.js';
+import { requireChatProvider } from '../../services/chatService.js';
+import { answerAnonymousAnalyze } from './anonymous.js';
 
 const router = express.Router();
 
-// Environment variables for Dify integration
-const DIFY_API_KEY = process.env.DIFY_API_KEY;
-const DIFY_APP_ID = process.env.DIFY_GRAYSON_FINANCE_APP_ID; // Public app, not PRO
-
-if (!DIFY_API_KEY) {
-  console.error('[Dify Expenses Routes] ❌ DIFY_API_KEY is missing');
-}
-
-if (!DIFY_APP_ID) {
-  console.error('[Dify Expenses Routes] ❌ DIFY_GRAYSON_FINANCE_APP_ID is missing');
-}
+/**
+ * Map a normalized Dify response to the analyze response body
+ */
+const buildAnalyzeResponse = (normalized) => ({
+  text: normalized.text || 'I apologize, but I was unable to analyze your expenses information. Please try again.',
+  answer: normalized.answer,
+  valid: normalized.valid,
+  isValid: normalized.isValid,
+  ambiguous: normalized.ambiguous,
+  conversation_id: normalized.conversation_id,
+  outputs: normalized.outputs,
+  raw: normalized.raw
+});
 
 /**
  * POST /v1/dify/expenses/analyze
  * Public endpoint for logged-out expenses analysis
+ * With an X-Anonymous-Session token, the session's expenses conversation is continued and stored
  */
-router.post('/analyze', asyncHandler(async (req, res, next) => {
+router.post('/analyze', rateLimit('public-analyze'), attachAnonymousSession(), asyncHandler(async (req, res, next) => {
   // Request logging
   console.log(`[Dify Expenses] 📥 ${req.method} ${req.originalUrl}`);
   
@@ -35,52 +42,40 @@ router.post('/analyze', asyncHandler(async (req, res, next) => {
       error.code = 'BAD_REQUEST';
       throw error;
     }
-    
-    // Ensure required environment variables are present
-    if (!DIFY_API_KEY || !DIFY_APP_ID) {
-      const error = new ExternalServiceError('Dify', 'Configuration error: missing API credentials');
-      error.code = 'INTERNAL_ERROR';
-      error.status = 500;
-      throw error;
+
+    if (req.anonymousSession) {
+      return await answerAnonymousAnalyze(req, res, {
+        chatType: 'EXPENSES',
+        query: query.trim(),
+        buildResponse: buildAnalyzeResponse,
+        logPrefix: '[Dify Expenses]'
+      });
     }
     
-    // Prepare headers for Dify API call
-    const headers = {
-      'Authorization': `Bearer ${DIFY_API_KEY}`,
-      'Content-Type': 'application/json',
-      'x-api-app-id': DIFY_APP_ID
+    // Public requests use the default provider (or LLM_PROVIDER)
+    const { provider, model } = requireChatProvider();
+    
+    const params = {
+      query: query.trim(),
+      inputs: {},
+      conversationId: provider.ownsConversationId(conversationId) ? conversationId : null,
+      user: 'public-user', // Anonymous user identifier
+      model
     };
+
+    if (wantsStream(req)) {
+      const events = await provider.openStream(params);
+      return relayChatStream(events, openSseStream(res), {
+        onComplete: async (result) => buildAnalyzeResponse(normalizeDifyResponse(result)),
+        logPrefix: '[Dify Expenses]'
+      });
+    }
     
-    // Make request to Dify API
-    const difyResponse = await axios.post(
-      'https://api.dify.ai/v1/chat-messages',
-      {
-        query: query.trim(),
-        inputs: {},
-        response_mode: 'blocking',
-        conversation_id: conversationId || null,
-        user: 'public-user' // Anonymous user identifier
-      },
-      { 
-        headers,
-        timeout: 30000 // 30 second timeout
-      }
-    );
+    const result = await provider.chat(params);
     
     // Use normalizer to extract correct flags from parsed JSON content
-    const normalized = normalizeDifyResponse(difyResponse.data);
-    
-    // Return normalized response
-    const mappedResponse = {
-      text: normalized.text || 'I apologize, but I was unable to analyze your expenses information. Please try again.',
-      answer: normalized.answer,
-      valid: normalized.valid,
-      isValid: normalized.isValid,
-      ambiguous: normalized.ambiguous,
-      conversation_id: normalized.conversation_id,
-      outputs: normalized.outputs,
-      raw: normalized.raw
-    };
+    const normalized = normalizeDifyResponse(result);
+    const mappedResponse = buildAnalyzeResponse(normalized);
     
     console.log(`[Dify Expenses] ✅ Analysis completed successfully`);
     
@@ -94,21 +89,21 @@ router.post('/analyze', asyncHandler(async (req, res, next) => {
     });
     
     if (error.response?.status) {
-      // Dify API error
+      // Provider API error
       const status = error.response.status;
       const errorData = error.response.data || error.message;
       
-      const difyError = new ExternalServiceError('Dify', 'Dify call failed', { status, errorData });
-      difyError.code = 'UPSTREAM_ERROR';
-      difyError.status = 502;
-      throw difyError;
+      const upstreamError = new ExternalServiceError('LLM', 'Upstream call failed', { status, errorData });
+      upstreamError.code = 'UPSTREAM_ERROR';
+      upstreamError.status = 502;
+      throw upstreamError;
     } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-      const timeoutError = new ExternalServiceError('Dify', 'Dify call failed', { timeout: true });
+      const timeoutError = new ExternalServiceError('LLM', 'Upstream call failed', { timeout: true });
       timeoutError.code = 'UPSTREAM_ERROR';
       timeoutError.status = 502;
       throw timeoutError;
     } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      const networkError = new ExternalServiceError('Dify', 'Dify call failed', { networkError: true });
+      const networkError = new ExternalServiceError('LLM', 'Upstream call failed', { networkError: true });
       networkError.code = 'UPSTREAM_ERROR';
       networkError.status = 502;
       throw networkError;
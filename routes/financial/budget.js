@@ -0,0 +1,155 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { PrismaClient } from '@prisma/client';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import { getBudgetCategories, getBudgetReport } from '../../services/budgetService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+router.use(snapshotOnMutation('budget'));
+
+/**
+ * Validate a monthly limit value
+ */
+const parseMonthlyLimit = (monthlyLimit) => {
+  const value = parseFloat(monthlyLimit);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new ValidationError('monthlyLimit must be a non-negative number', { monthlyLimit });
+  }
+  return value;
+};
+
+/**
+ * Validate a category name
+ */
+const parseCategoryName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new ValidationError('name must be a non-empty string', { name });
+  }
+  return name.trim();
+};
+
+// Get budgeted vs. actual report for user
+router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const report = await getBudgetReport(user.id);
+    
+    res.json({ success: true, data: report });
+  } catch (error) {
+    return next(wrapError('[GET /v1/financial/budget] build budget report', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+// Get all budget categories for user
+router.get('/categories', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const categories = await getBudgetCategories(user.id);
+    
+    res.json({ success: true, data: categories });
+  } catch (error) {
+    return next(wrapError('[GET /v1/financial/budget/categories] fetch budget categories', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+// Create new budget category
+router.post('/categories', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { name, monthlyLimit, notes } = req.body;
+    
+    if (!name || monthlyLimit === undefined || monthlyLimit === null || monthlyLimit === '') {
+      throw new ValidationError('Missing required fields: name, monthlyLimit', {
+        provided: { name: !!name, monthlyLimit: monthlyLimit !== undefined && monthlyLimit !== null }
+      });
+    }
+    
+    const category = await prisma.budgetCategory.create({
+      data: {
+        userId: user.id,
+        name: parseCategoryName(name),
+        monthlyLimit: parseMonthlyLimit(monthlyLimit),
+        notes: notes || null
+      }
+    });
+    
+    res.status(201).json({ success: true, data: category });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A budget category with this name already exists' });
+    }
+    
+    return next(wrapError('[POST /v1/financial/budget/categories] create budget category', error, {
+      userId: req.auth().userId,
+      name: req.body.name
+    }));
+  }
+}));
+
+// Update budget category
+router.put('/categories/:id', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { id } = req.params;
+    const { name, monthlyLimit, notes } = req.body;
+    
+    const category = await prisma.budgetCategory.updateMany({
+      where: { id, userId: user.id },
+      data: {
+        ...(name !== undefined && { name: parseCategoryName(name) }),
+        ...(monthlyLimit !== undefined && { monthlyLimit: parseMonthlyLimit(monthlyLimit) }),
+        ...(notes !== undefined && { notes })
+      }
+    });
+    
+    if (category.count === 0) {
+      return res.status(404).json({ error: 'Budget category not found' });
+    }
+    
+    const updatedCategory = await prisma.budgetCategory.findUnique({ where: { id } });
+    res.json({ success: true, data: updatedCategory });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A budget category with this name already exists' });
+    }
+    
+    return next(wrapError(`[PUT /v1/financial/budget/categories/${req.params.id}] update budget category`, error, {
+      userId: req.auth().userId,
+      budgetCategoryId: req.params.id
+    }));
+  }
+}));
+
+// Delete budget category (linked expense sources become uncategorized)
+router.delete('/categories/:id', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { id } = req.params;
+    
+    const deleted = await prisma.budgetCategory.deleteMany({
+      where: { id, userId: user.id }
+    });
+    
+    if (deleted.count === 0) {
+      return res.status(404).json({ error: 'Budget category not found' });
+    }
+    
+    res.json({ success: true, message: 'Budget category deleted successfully' });
+  } catch (error) {
+    return next(wrapError(`[DELETE /v1/financial/budget/categories/${req.params.id}] delete budget category`, error, {
+      userId: req.auth().userId,
+      budgetCategoryId: req.params.id
+    }));
+  }
+}));
+
+export default router;
\ No newline at end of file
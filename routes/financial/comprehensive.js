@@ -1,31 +1,24 @@
 import express from 'express';
 import { requireAuth } from '@clerk/express';
-import { PrismaClient } from '@prisma/client';
 import { getUserByClerkId } from '../../middleware/auth.js';
+import { getFinancialOverview } from '../../services/financialSummaryService.js';
+import { getBudgetReport } from '../../services/budgetService.js';
+import { getFinancialContext } from '../../services/financialContextService.js';
 import { asyncHandler } from '../../src/utils/asyncHandler.js';
 import { wrapError } from '../../src/errors/index.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
 // Get all financial data for user (for LLM context)
 router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const user = await getUserByClerkId(req.auth().userId);
     
-    const [incomeSources, debtSources, expenseSources, savingsSources] = await Promise.all([
-      prisma.incomeSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.debtSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.expenseSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } }),
-      prisma.savingsSource.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'desc' } })
+    const [{ summary, data }, budget] = await Promise.all([
+      getFinancialOverview(user.id),
+      getBudgetReport(user.id)
     ]);
     
-    // Calculate totals
-    const totalIncome = incomeSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalDebt = debtSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalExpenses = expenseSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    const totalSavings = savingsSources.reduce((sum, source) => sum + parseFloat(source.amount), 0);
-    
     res.json({
       success: true,
       data: {
@@ -34,17 +27,12 @@ router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
           authId: user.authId,
           email: user.email
         },
-        summary: {
-          totalIncome,
-          totalDebt,
-          totalExpenses,
-          totalSavings,
-          netCashFlow: totalIncome - totalExpenses
-        },
-        income: incomeSources,
-        debt: debtSources,
-        expenses: expenseSources,
-        savings: savingsSources
+        summary,
+        budget,
+        income: data.income,
+        debt: data.debt,
+        expenses: data.expenses,
+        savings: data.savings
       }
     });
   } catch (error) {
@@ -54,4 +42,25 @@ router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
   }
 }));
 
+/**
+ * GET /v1/financial/all/context
+ * Preview the financial context sent with the user's chat requests
+ */
+router.get('/context', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+
+    const context = await getFinancialContext(user.id);
+
+    res.json({
+      success: true,
+      data: context
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/financial/all/context] build chat context', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
 export default router;
\ No newline at end of file
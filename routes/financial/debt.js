@@ -2,12 +2,18 @@ import express from 'express';
 import { requireAuth } from '@clerk/express';
 import { PrismaClient } from '@prisma/client';
 import { getUserByClerkId } from '../../middleware/auth.js';
+import { requireEntitlement } from '../../middleware/entitlements.js';
 import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
 import { wrapError, ValidationError } from '../../src/errors/index.js';
+import { buildPayoffPlan, PAYOFF_STRATEGIES } from '../../src/lib/debt-payoff.js';
+import { FEATURES } from '../../src/lib/entitlements.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+router.use(snapshotOnMutation('debt', { ignorePaths: ['/payoff-plan'] }));
+
 // Get all debt sources for user
 router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
@@ -63,6 +69,56 @@ router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
   }
 }));
 
+// Build a payoff plan from the user's debt sources
+router.post('/payoff-plan', requireAuth(), requireEntitlement(FEATURES.PLANNING), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { strategy = 'avalanche', order, extraPayment = 0 } = req.body;
+
+    if (!PAYOFF_STRATEGIES.includes(strategy)) {
+      throw new ValidationError('Invalid strategy. Must be one of: ' + PAYOFF_STRATEGIES.join(', '), {
+        strategy,
+        validStrategies: PAYOFF_STRATEGIES
+      });
+    }
+
+    const extra = parseFloat(extraPayment);
+    if (!Number.isFinite(extra) || extra < 0) {
+      throw new ValidationError('extraPayment must be a non-negative number', { extraPayment });
+    }
+
+    const debtSources = await prisma.debtSource.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (strategy === 'custom') {
+      if (!Array.isArray(order) || order.length === 0) {
+        throw new ValidationError('order must be a non-empty array of debt source IDs for the custom strategy');
+      }
+
+      const knownIds = new Set(debtSources.map((debt) => debt.id));
+      const unknownIds = order.filter((id) => !knownIds.has(id));
+      if (unknownIds.length > 0) {
+        throw new ValidationError('order contains unknown debt source IDs', { unknownIds });
+      }
+    }
+
+    const plan = buildPayoffPlan(debtSources, {
+      strategy,
+      order: strategy === 'custom' ? order : [],
+      extraPayment: extra
+    });
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    return next(wrapError('[POST /v1/financial/debt/payoff-plan] build debt payoff plan', error, {
+      userId: req.auth().userId,
+      strategy: req.body.strategy
+    }));
+  }
+}));
+
 // Update debt source
 router.put('/:id', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
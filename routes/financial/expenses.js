@@ -3,11 +3,34 @@ import { requireAuth } from '@clerk/express';
 import { PrismaClient } from '@prisma/client';
 import { getUserByClerkId } from '../../middleware/auth.js';
 import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
 import { wrapError, ValidationError } from '../../src/errors/index.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+router.use(snapshotOnMutation('expenses'));
+
+/**
+ * Resolve a categoryId from the request body, ensuring it belongs to the user
+ * Returns undefined when not provided and null when explicitly cleared
+ */
+const resolveCategoryId = async (categoryId, userId) => {
+  if (categoryId === undefined) return undefined;
+  if (categoryId === null || categoryId === '') return null;
+  
+  const category = await prisma.budgetCategory.findFirst({
+    where: { id: categoryId, userId },
+    select: { id: true }
+  });
+  
+  if (!category) {
+    throw new ValidationError('Budget category not found', { categoryId });
+  }
+  
+  return category.id;
+};
+
 // Get all expense sources for user
 router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
@@ -29,7 +52,7 @@ router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
 router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const user = await getUserByClerkId(req.auth().userId);
-    const { sourceName, amount, frequency, notes } = req.body;
+    const { sourceName, amount, frequency, notes, categoryId } = req.body;
     
     if (!sourceName || !amount || !frequency) {
       throw new ValidationError('Missing required fields: sourceName, amount, frequency', {
@@ -37,13 +60,16 @@ router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
       });
     }
     
+    const resolvedCategoryId = await resolveCategoryId(categoryId, user.id);
+    
     const expenseSource = await prisma.expenseSource.create({
       data: {
         userId: user.id,
         sourceName,
         amount: parseFloat(amount),
         frequency,
-        notes: notes || null
+        notes: notes || null,
+        categoryId: resolvedCategoryId ?? null
       }
     });
     
@@ -61,7 +87,9 @@ router.put('/:id', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
     const user = await getUserByClerkId(req.auth().userId);
     const { id } = req.params;
-    const { sourceName, amount, frequency, notes } = req.body;
+    const { sourceName, amount, frequency, notes, categoryId } = req.body;
+    
+    const resolvedCategoryId = await resolveCategoryId(categoryId, user.id);
     
     const expenseSource = await prisma.expenseSource.updateMany({
       where: { id, userId: user.id },
@@ -69,7 +97,8 @@ router.put('/:id', requireAuth(), asyncHandler(async (req, res, next) => {
         ...(sourceName && { sourceName }),
         ...(amount && { amount: parseFloat(amount) }),
         ...(frequency && { frequency }),
-        ...(notes !== undefined && { notes })
+        ...(notes !== undefined && { notes }),
+        ...(resolvedCategoryId !== undefined && { categoryId: resolvedCategoryId })
       }
     });
     
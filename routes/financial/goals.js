@@ -0,0 +1,199 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { PrismaClient } from '@prisma/client';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import {
+  getSavingsGoals,
+  getSavingsGoal,
+  createSavingsGoal,
+  updateSavingsGoal,
+  verifySavingsSourceIds
+} from '../../services/savingsGoalService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+router.use(snapshotOnMutation('savings_goals'));
+
+/**
+ * Build goal fields from the request body
+ * Only fields present in the body are returned, so it works for create and update
+ */
+const parseGoalFields = (body) => {
+  const { name, targetAmount, currentAmount, targetDate, priority, notes } = body;
+  const data = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new ValidationError('name must be a non-empty string', { name });
+    }
+    data.name = name.trim();
+  }
+
+  if (targetAmount !== undefined) {
+    const value = parseFloat(targetAmount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new ValidationError('targetAmount must be a positive number', { targetAmount });
+    }
+    data.targetAmount = value;
+  }
+
+  if (currentAmount !== undefined) {
+    const value = parseFloat(currentAmount);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ValidationError('currentAmount must be a non-negative number', { currentAmount });
+    }
+    data.currentAmount = value;
+  }
+
+  if (targetDate !== undefined) {
+    if (targetDate === null || targetDate === '') {
+      data.targetDate = null;
+    } else {
+      const date = new Date(targetDate);
+      if (Number.isNaN(date.getTime())) {
+        throw new ValidationError('targetDate must be a valid date', { targetDate });
+      }
+      data.targetDate = date;
+    }
+  }
+
+  if (priority !== undefined) {
+    const value = Number(priority);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new ValidationError('priority must be a non-negative integer', { priority });
+    }
+    data.priority = value;
+  }
+
+  if (notes !== undefined) {
+    data.notes = notes || null;
+  }
+
+  return data;
+};
+
+/**
+ * Validate the savingsSourceIds body field
+ */
+const parseSavingsSourceIds = (savingsSourceIds) => {
+  if (savingsSourceIds === undefined) return undefined;
+  if (!Array.isArray(savingsSourceIds) || savingsSourceIds.some((id) => typeof id !== 'string')) {
+    throw new ValidationError('savingsSourceIds must be an array of savings source IDs');
+  }
+  return savingsSourceIds;
+};
+
+// Get all savings goals with projections
+router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const goals = await getSavingsGoals(user.id);
+
+    res.json({ success: true, data: goals });
+  } catch (error) {
+    return next(wrapError('[GET /v1/financial/savings/goals] fetch savings goals', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+// Get a single savings goal with its projection
+router.get('/:id', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const goal = await getSavingsGoal(user.id, req.params.id);
+
+    if (!goal) {
+      return res.status(404).json({ error: 'Savings goal not found' });
+    }
+
+    res.json({ success: true, data: goal });
+  } catch (error) {
+    return next(wrapError(`[GET /v1/financial/savings/goals/${req.params.id}] fetch savings goal`, error, {
+      userId: req.auth().userId,
+      savingsGoalId: req.params.id
+    }));
+  }
+}));
+
+// Create new savings goal
+router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { name, targetAmount } = req.body;
+
+    if (!name || !targetAmount) {
+      throw new ValidationError('Missing required fields: name, targetAmount', {
+        provided: { name: !!name, targetAmount: !!targetAmount }
+      });
+    }
+
+    const data = parseGoalFields(req.body);
+    const savingsSourceIds = await verifySavingsSourceIds(user.id, parseSavingsSourceIds(req.body.savingsSourceIds));
+
+    const goal = await createSavingsGoal(user.id, data, savingsSourceIds);
+
+    res.status(201).json({ success: true, data: goal });
+  } catch (error) {
+    return next(wrapError('[POST /v1/financial/savings/goals] create savings goal', error, {
+      userId: req.auth().userId,
+      name: req.body.name
+    }));
+  }
+}));
+
+// Update savings goal (savingsSourceIds replaces the linked sources when provided)
+router.put('/:id', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { id } = req.params;
+
+    const data = parseGoalFields(req.body);
+    const requestedIds = parseSavingsSourceIds(req.body.savingsSourceIds);
+    const savingsSourceIds = requestedIds === undefined
+      ? undefined
+      : await verifySavingsSourceIds(user.id, requestedIds);
+
+    const goal = await updateSavingsGoal(user.id, id, data, savingsSourceIds);
+
+    if (!goal) {
+      return res.status(404).json({ error: 'Savings goal not found' });
+    }
+
+    res.json({ success: true, data: goal });
+  } catch (error) {
+    return next(wrapError(`[PUT /v1/financial/savings/goals/${req.params.id}] update savings goal`, error, {
+      userId: req.auth().userId,
+      savingsGoalId: req.params.id
+    }));
+  }
+}));
+
+// Delete savings goal
+router.delete('/:id', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { id } = req.params;
+
+    const deleted = await prisma.savingsGoal.deleteMany({
+      where: { id, userId: user.id }
+    });
+
+    if (deleted.count === 0) {
+      return res.status(404).json({ error: 'Savings goal not found' });
+    }
+
+    res.json({ success: true, message: 'Savings goal deleted successfully' });
+  } catch (error) {
+    return next(wrapError(`[DELETE /v1/financial/savings/goals/${req.params.id}] delete savings goal`, error, {
+      userId: req.auth().userId,
+      savingsGoalId: req.params.id
+    }));
+  }
+}));
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import { getSnapshotHistory } from '../../services/snapshotService.js';
+import { HISTORY_GRANULARITIES } from '../../src/lib/snapshot-history.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { parseDateParam } from '../../src/utils/queryParams.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 365;
+
+// Get net worth, debt, savings and cash flow over time
+router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { granularity = 'day' } = req.query;
+    
+    if (!HISTORY_GRANULARITIES.includes(granularity)) {
+      throw new ValidationError('Invalid granularity. Must be one of: ' + HISTORY_GRANULARITIES.join(', '), {
+        granularity,
+        validGranularities: HISTORY_GRANULARITIES
+      });
+    }
+    
+    const to = parseDateParam(req.query.to, 'to') ?? new Date();
+    const from = parseDateParam(req.query.from, 'from') ??
+      new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    
+    if (from > to) {
+      throw new ValidationError('from must be before to', { from, to });
+    }
+    
+    const points = await getSnapshotHistory(user.id, { from, to, granularity });
+    
+    res.json({
+      success: true,
+      data: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        granularity,
+        points
+      }
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/financial/history] fetch financial history', error, {
+      userId: req.auth().userId,
+      query: req.query
+    }));
+  }
+}));
+
+export default router;
\ No newline at end of file
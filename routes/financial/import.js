@@ -0,0 +1,138 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import { previewImport, getImportBatch, commitImport } from '../../services/importService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+import { detectStatementFormat, STATEMENT_FORMATS } from '../../src/lib/statement-parser.js';
+
+const router = express.Router();
+
+const IMPORT_BODY_LIMIT = process.env.IMPORT_MAX_BYTES || '5mb';
+
+/**
+ * Body parsers for statement uploads, mounted ahead of the global JSON parser
+ * Accepts JSON ({ content, format, mapping, ... }) or the raw CSV/OFX file as the request body
+ */
+export const importBodyParser = [
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({
+    limit: IMPORT_BODY_LIMIT,
+    type: ['text/csv', 'text/plain', 'application/csv', 'application/ofx', 'application/x-ofx', 'application/vnd.intu.qfx']
+  })
+];
+
+// Previews don't change financial data; only commits do
+router.use(snapshotOnMutation('import', { ignorePaths: ['/'] }));
+
+/**
+ * Normalize an upload from either a JSON body or a raw file body
+ * Raw uploads pass format, fileName and mapping (as JSON) in the query string
+ */
+const parseUpload = (req) => {
+  const raw = typeof req.body === 'string';
+  const source = raw ? req.query : (req.body ?? {});
+
+  let content = raw ? req.body : source.content;
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new ValidationError('Missing statement content');
+  }
+
+  if (!raw && source.encoding === 'base64') {
+    content = Buffer.from(content, 'base64').toString('utf8');
+  }
+
+  let mapping = source.mapping ?? {};
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new ValidationError('mapping must be valid JSON', { mapping }, error);
+    }
+  }
+
+  const fileName = typeof source.fileName === 'string' ? source.fileName : null;
+  let format = source.format ? String(source.format).toLowerCase() : detectStatementFormat(content, fileName ?? '');
+  if (format === 'qfx') format = 'ofx';
+
+  if (!STATEMENT_FORMATS.includes(format)) {
+    throw new ValidationError('Invalid format. Must be one of: ' + STATEMENT_FORMATS.join(', '), {
+      format,
+      validFormats: STATEMENT_FORMATS
+    });
+  }
+
+  return { content, format, fileName, mapping };
+};
+
+// Upload a statement and preview the proposed sources
+router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const upload = parseUpload(req);
+
+    const { batch, alreadyImported, skippedRows } = await previewImport(user.id, upload);
+
+    res.status(alreadyImported ? 200 : 201).json({
+      success: true,
+      data: batch,
+      alreadyImported,
+      skippedRows
+    });
+  } catch (error) {
+    return next(wrapError('[POST /v1/financial/import] preview statement import', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+// Get an import batch
+router.get('/:batchId', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const batch = await getImportBatch(user.id, req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    return next(wrapError(`[GET /v1/financial/import/${req.params.batchId}] fetch import batch`, error, {
+      userId: req.auth().userId,
+      batchId: req.params.batchId
+    }));
+  }
+}));
+
+// Confirm an import and create the accepted sources
+router.post('/:batchId/commit', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { proposalKeys, overrides } = req.body ?? {};
+
+    if (proposalKeys !== undefined && (!Array.isArray(proposalKeys) || proposalKeys.some((key) => typeof key !== 'string'))) {
+      throw new ValidationError('proposalKeys must be an array of proposal keys');
+    }
+
+    if (overrides !== undefined && (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides))) {
+      throw new ValidationError('overrides must be an object keyed by proposal key');
+    }
+
+    const committed = await commitImport(user.id, req.params.batchId, { proposalKeys, overrides });
+
+    if (!committed) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    res.json({ success: true, data: committed.batch, alreadyImported: committed.alreadyImported });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/financial/import/${req.params.batchId}/commit] commit statement import`, error, {
+      userId: req.auth().userId,
+      batchId: req.params.batchId
+    }));
+  }
+}));
+
+export default router;
@@ -3,11 +3,14 @@ import { requireAuth } from '@clerk/express';
 import { PrismaClient } from '@prisma/client';
 import { getUserByClerkId } from '../../middleware/auth.js';
 import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
 import { wrapError, ValidationError } from '../../src/errors/index.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+router.use(snapshotOnMutation('savings'));
+
 // Get all savings sources for user
 router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
   try {
@@ -1,33 +1,30 @@
 import express from 'express';
 import { requireAuth } from '@clerk/express';
-import axios from 'axios';
 import { getUserByClerkId } from '../middleware/auth.js';
+import { getAnonymousSession } from '../middleware/anonymousSession.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { enforceChatQuota } from '../middleware/usage.js';
 import { getConversationById } from '../services/conversationService.js';
 import {
   addMessage,
   addMessagePair,
   deleteMessage,
   getMessageCount,
-  getMessages
+  getMessageForUser,
+  getMessagePage
 } from '../services/messageService.js';
+import { parsePageParams } from '../src/lib/cursor.js';
+import { FEATURES } from '../src/lib/entitlements.js';
 import { asyncHandler } from '../src/utils/asyncHandler.js';
+import { enforceRateLimit } from '../src/middleware/rate-limit.js';
 import { wrapError, ValidationError, ExternalServiceError } from '../src/errors/index.js';
 import { normalizeDifyResponse } from '../src/lib/dify-normalizer.js';
+import { wantsStream, openSseStream, relayChatStream } from '../src/lib/chat-stream.js';
+import { createAnonymousChatTurn, createRevisionTurn, requireChatProvider } from '../services/chatService.js';
+import { submitFeedback } from '../services/feedbackService.js';
 
 const router = express.Router();
 
-// Environment variables for Dify integration
-const DIFY_API_KEY = process.env.DIFY_API_KEY;
-const DIFY_APP_ID = process.env.DIFY_GRAYSON_FINANCE_APP_ID; // Public app, not PRO
-
-if (!DIFY_API_KEY) {
-  console.error('[Message Routes] ❌ DIFY_API_KEY is missing');
-}
-
-if (!DIFY_APP_ID) {
-  console.error('[Message Routes] ❌ DIFY_GRAYSON_FINANCE_APP_ID is missing');
-}
-
 /**
  * Validate conversationId parameter (UUID, hex format, or Dify conversation ID)
  */
@@ -73,6 +70,90 @@ const isDifyConversationId = (conversationId) => {
   return difyIdRegex.test(conversationId) && conversationId.length >= 8;
 };
 
+/**
+ * Build the message pair response for a public Dify conversation
+ */
+const buildPublicMessageResponse = (query, normalized) => ({
+  success: true,
+  data: {
+    userMessage: {
+      role: 'user',
+      content: query,
+      createdAt: new Date().toISOString()
+    },
+    botResponse: {
+      role: 'assistant',
+      content: normalized.text || 'I apologize, but I was unable to process your debt information. Please try again.',
+      userData: {
+        valid: normalized.valid,
+        isValid: normalized.isValid,
+        ambiguous: normalized.ambiguous
+      },
+      metadata: normalized.outputs,
+      createdAt: new Date().toISOString()
+    },
+    conversation_id: normalized.conversation_id
+  }
+});
+
+/**
+ * Map a failed provider call to a 502 UPSTREAM_ERROR
+ * @param {Error} error - Error thrown by the provider call
+ * @returns {ExternalServiceError|null} The upstream error, or null for other errors
+ */
+const toUpstreamError = (error) => {
+  let meta = null;
+  if (error.response?.status) {
+    meta = { status: error.response.status, errorData: error.response.data || error.message };
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    meta = { timeout: true };
+  } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+    meta = { networkError: true };
+  }
+
+  if (!meta) return null;
+
+  const upstreamError = new ExternalServiceError('LLM', 'Upstream call failed', meta);
+  upstreamError.code = 'UPSTREAM_ERROR';
+  upstreamError.status = 502;
+  return upstreamError;
+};
+
+/**
+ * Answer a message for the visitor's anonymous session
+ * Without a stored conversation, a new debt conversation is started and stored
+ */
+const continueAnonymousConversation = async (req, res, session, conversation, query) => {
+  const chatType = conversation?.chatType ?? 'DEBT';
+  const turn = await createAnonymousChatTurn({
+    session,
+    conversation,
+    chatType,
+    query,
+    inputs: { topic: chatType.toLowerCase() }
+  });
+
+  if (wantsStream(req)) {
+    const events = await turn.openStream();
+    return relayChatStream(events, openSseStream(res), {
+      onComplete: async (result) => {
+        const { conversation_id } = await turn.complete(result);
+        return buildPublicMessageResponse(query, { ...normalizeDifyResponse(result), conversation_id });
+      },
+      logPrefix: '[Messages]'
+    });
+  }
+
+  const result = await turn.send();
+  const { conversation_id } = await turn.complete(result);
+
+  console.log(`[Messages] ✅ Anonymous message processed successfully:`, {
+    conversationId: conversation_id
+  });
+
+  return res.status(201).json(buildPublicMessageResponse(query, { ...normalizeDifyResponse(result), conversation_id }));
+};
+
 /**
  * POST /:conversationId/messages
  * Add a message to a specific conversation (handles both authenticated DB conversations and public Dify conversations)
@@ -98,9 +179,15 @@ router.post('/:conversationId/messages', asyncHandler(async (req, res, next) =>
       console.log(`[Messages] 📥 Conversation not found in DB, treating as Dify: ${conversationId}`);
     }
     
+    // Conversations stored for an anonymous session are only reachable with its token
+    const isAnonymousConversation = Boolean(conversation) && !conversation.userId;
+    
     // If no conversation found in DB, treat as public Dify conversation
-    if (!conversation) {
+    if (!conversation || isAnonymousConversation) {
       console.log(`[Messages] 📥 Public Dify message request: ${conversationId}`);
+
+      // Public requests all reach the provider as one anonymous user, so they are rate limited per client
+      await enforceRateLimit(req, res, 'public-message');
       
       const { query } = req.body;
       
@@ -110,64 +197,44 @@ router.post('/:conversationId/messages', asyncHandler(async (req, res, next) =>
         error.code = 'BAD_REQUEST';
         throw error;
       }
-      
-      // Ensure required environment variables are present
-      if (!DIFY_API_KEY || !DIFY_APP_ID) {
-        const error = new ExternalServiceError('Dify', 'Configuration error: missing API credentials');
-        error.code = 'INTERNAL_ERROR';
-        error.status = 500;
-        throw error;
+
+      const session = await getAnonymousSession(req);
+
+      if (isAnonymousConversation && session?.id !== conversation.anonymousSessionId) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      // The provider conversation of an unstored ID belongs to 'public-user', so a session starts a stored one instead
+      if (session) {
+        return await continueAnonymousConversation(req, res, session, isAnonymousConversation ? conversation : null, query.trim());
       }
       
-      // Prepare headers for Dify API call
-      const headers = {
-        'Authorization': `Bearer ${DIFY_API_KEY}`,
-        'Content-Type': 'application/json',
-        'x-api-app-id': DIFY_APP_ID
+      // Public requests use the default provider (or LLM_PROVIDER)
+      const { provider, model } = requireChatProvider();
+      
+      const params = {
+        query: query.trim(),
+        inputs: { topic: 'debt' },
+        conversationId: provider.ownsConversationId(conversationId) ? conversationId : null,
+        user: 'public-user', // Anonymous user identifier
+        model
       };
       
-      // Make request to Dify API
-      const difyResponse = await axios.post(
-        'https://api.dify.ai/v1/chat-messages',
-        {
-          query: query.trim(),
-          inputs: { topic: 'debt' },
-          response_mode: 'blocking',
-          conversation_id: conversationId,
-          user: 'public-user' // Anonymous user identifier
-        },
-        {
-          headers,
-          timeout: 30000 // 30 second timeout
-        }
-      );
+      if (wantsStream(req)) {
+        const events = await provider.openStream(params);
+        return relayChatStream(events, openSseStream(res), {
+          onComplete: async (result) => buildPublicMessageResponse(query.trim(), normalizeDifyResponse(result)),
+          logPrefix: '[Messages]'
+        });
+      }
+      
+      const result = await provider.chat(params);
       
       // Use normalizer to extract correct flags from parsed JSON content
-      const normalized = normalizeDifyResponse(difyResponse.data);
+      const normalized = normalizeDifyResponse(result);
       
       // Format response to match expected message structure
-      const response = {
-        success: true,
-        data: {
-          userMessage: {
-            role: 'user',
-            content: query.trim(),
-            createdAt: new Date().toISOString()
-          },
-          botResponse: {
-            role: 'assistant',
-            content: normalized.text || 'I apologize, but I was unable to process your debt information. Please try again.',
-            userData: {
-              valid: normalized.valid,
-              isValid: normalized.isValid,
-              ambiguous: normalized.ambiguous
-            },
-            metadata: normalized.outputs,
-            createdAt: new Date().toISOString()
-          },
-          conversation_id: normalized.conversation_id
-        }
-      };
+      const response = buildPublicMessageResponse(query.trim(), normalized);
       
       console.log(`[Messages] ✅ Dify message processed successfully:`, {
         conversationId: normalized.conversation_id
@@ -198,33 +265,21 @@ router.post('/:conversationId/messages', asyncHandler(async (req, res, next) =>
       return res.status(403).json({ error: 'Access denied to this conversation' });
     }
 
-    const messages = await addMessagePair(conversationId, userMessage, botResponse);
+    if (conversation.status !== 'open') {
+      return res.status(409).json({ error: `Conversation is ${conversation.status}` });
+    }
+
+    const messages = await addMessagePair(conversation.id, userMessage, botResponse);
     
     res.status(201).json({
       success: true,
       data: messages
     });
   } catch (error) {
-    // Handle Dify-specific errors
-    if (error.response?.status) {
-      // Dify API error
-      const status = error.response.status;
-      const errorData = error.response.data || error.message;
-      
-      const difyError = new ExternalServiceError('Dify', 'Dify call failed', { status, errorData });
-      difyError.code = 'UPSTREAM_ERROR';
-      difyError.status = 502;
-      return next(difyError);
-    } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-      const timeoutError = new ExternalServiceError('Dify', 'Dify call failed', { timeout: true });
-      timeoutError.code = 'UPSTREAM_ERROR';
-      timeoutError.status = 502;
-      return next(timeoutError);
-    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      const networkError = new ExternalServiceError('Dify', 'Dify call failed', { networkError: true });
-      networkError.code = 'UPSTREAM_ERROR';
-      networkError.status = 502;
-      return next(networkError);
+    // Handle provider errors
+    const upstreamError = toUpstreamError(error);
+    if (upstreamError) {
+      return next(upstreamError);
     }
     
     const userId = req.auth?.()?.userId || 'public-user';
@@ -237,12 +292,15 @@ router.post('/:conversationId/messages', asyncHandler(async (req, res, next) =>
 
 /**
  * GET /:conversationId/messages
- * Get all messages for a specific conversation (handles both authenticated DB conversations and public Dify conversations)
+ * Get a page of messages for a specific conversation (handles both authenticated DB conversations and public Dify conversations)
+ * Query: ?limit=50&orderBy=asc|desc, then ?after=<nextCursor> or ?before=<prevCursor> (or &offset=)
  */
 router.get('/:conversationId/messages', asyncHandler(async (req, res, next) => {
   try {
     const { conversationId } = req.params;
-    const { limit = 50, offset = 0, orderBy = 'asc' } = req.query;
+    const { limit, before, after } = parsePageParams(req.query);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const orderBy = req.query.orderBy === 'desc' ? 'desc' : 'asc';
     
     // Validate conversationId parameter
     if (!validateConversationId(conversationId)) {
@@ -280,32 +338,44 @@ router.get('/:conversationId/messages', asyncHandler(async (req, res, next) => {
           },
           messages: [],
           pagination: {
-            limit: parseInt(limit),
-            offset: parseInt(offset),
-            total: 0
+            limit,
+            offset,
+            total: 0,
+            nextCursor: null,
+            prevCursor: null
           }
         }
       });
     }
     
-    // For database conversations, require authentication
-    if (!req.auth || !req.auth().userId) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Authentication required for database conversations'
-      });
-    }
-    
-    const user = await getUserByClerkId(req.auth().userId);
-    
-    if (conversation.userId !== user.id) {
-      return res.status(403).json({ error: 'Access denied to this conversation' });
+    // Conversations stored for an anonymous session are only readable with its token
+    if (!conversation.userId) {
+      const session = await getAnonymousSession(req);
+      if (session?.id !== conversation.anonymousSessionId) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    } else {
+      // For database conversations, require authentication
+      if (!req.auth || !req.auth().userId) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Authentication required for database conversations'
+        });
+      }
+      
+      const user = await getUserByClerkId(req.auth().userId);
+      
+      if (conversation.userId !== user.id) {
+        return res.status(403).json({ error: 'Access denied to this conversation' });
+      }
     }
     
-    const messages = await getMessages(conversationId, {
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      orderBy: orderBy === 'desc' ? 'desc' : 'asc'
+    const { messages, nextCursor, prevCursor } = await getMessagePage(conversation.id, {
+      limit,
+      offset,
+      orderBy,
+      before,
+      after
     });
     
     res.json({
@@ -320,9 +390,11 @@ router.get('/:conversationId/messages', asyncHandler(async (req, res, next) => {
         },
         messages,
         pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          total: messages.length
+          limit,
+          offset,
+          total: messages.length,
+          nextCursor,
+          prevCursor
         }
       }
     });
@@ -411,7 +483,11 @@ router.post('/pair', requireAuth(), asyncHandler(async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied to this conversation' });
     }
 
-    const messages = await addMessagePair(conversationId, userMessage, botResponse);
+    if (conversation.status !== 'open') {
+      return res.status(409).json({ error: `Conversation is ${conversation.status}` });
+    }
+
+    const messages = await addMessagePair(conversation.id, userMessage, botResponse);
     
     res.status(201).json({
       success: true,
@@ -425,6 +501,171 @@ router.post('/pair', requireAuth(), asyncHandler(async (req, res, next) => {
   }
 }));
 
+/**
+ * Run a revision turn and send the result, streaming when the client asks for it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - createRevisionTurn options
+ * @returns {Promise<void>}
+ */
+const respondWithRevision = async (req, res, options) => {
+  // Clients can opt out of sharing financial data with `?context=false` or `"includeContext": false`
+  const includeContext = req.query.context !== 'false' && req.body?.includeContext !== false;
+  const turn = await createRevisionTurn({ ...options, includeContext });
+
+  if (wantsStream(req)) {
+    const events = await turn.openStream();
+    return relayChatStream(events, openSseStream(res), {
+      onComplete: turn.complete,
+      logPrefix: '[Messages]'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await turn.complete(await turn.send())
+  });
+};
+
+/**
+ * Load a message for editing or regenerating, answering 404/409 when it can't be revised
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User row
+ * @returns {Promise<Object|null>} The message with its conversation, or null if a response was sent
+ */
+const loadRevisableMessage = async (req, res, user) => {
+  const message = await getMessageForUser(req.params.messageId, user.id);
+
+  if (!message) {
+    res.status(404).json({ error: 'Message not found or unauthorized' });
+    return null;
+  }
+
+  if (message.conversation.status !== 'open') {
+    res.status(409).json({ error: `Conversation is ${message.conversation.status}` });
+    return null;
+  }
+
+  return message;
+};
+
+/**
+ * PATCH /v1/messages/:messageId
+ * Edit a user message: later messages are dropped and the assistant answers the new text
+ * Body: { content, includeContext? }. Supports `?stream=true`
+ */
+router.patch('/:messageId', requireAuth(), requireEntitlement(FEATURES.ADVANCED_CHAT), enforceChatQuota(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { content } = req.body;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw new ValidationError('content is required');
+    }
+
+    const message = await loadRevisableMessage(req, res, user);
+    if (!message) return;
+
+    if (message.role !== 'user') {
+      throw new ValidationError('Only user messages can be edited; regenerate assistant replies instead', {
+        messageId: message.id,
+        role: message.role
+      });
+    }
+
+    await respondWithRevision(req, res, {
+      user,
+      conversation: message.conversation,
+      message,
+      content: content.trim()
+    });
+  } catch (error) {
+    const upstreamError = toUpstreamError(error);
+    if (upstreamError) {
+      return next(upstreamError);
+    }
+
+    return next(wrapError(`[PATCH /v1/messages/${req.params.messageId}] edit message`, error, {
+      messageId: req.params.messageId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * POST /v1/messages/:messageId/regenerate
+ * Replace an assistant reply with a new answer to the same prompt; later messages are dropped
+ * Supports `?stream=true`
+ */
+router.post('/:messageId/regenerate', requireAuth(), requireEntitlement(FEATURES.ADVANCED_CHAT), enforceChatQuota(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+
+    const message = await loadRevisableMessage(req, res, user);
+    if (!message) return;
+
+    if (message.role !== 'assistant') {
+      throw new ValidationError('Only assistant replies can be regenerated', {
+        messageId: message.id,
+        role: message.role
+      });
+    }
+
+    await respondWithRevision(req, res, {
+      user,
+      conversation: message.conversation,
+      message
+    });
+  } catch (error) {
+    const upstreamError = toUpstreamError(error);
+    if (upstreamError) {
+      return next(upstreamError);
+    }
+
+    return next(wrapError(`[POST /v1/messages/${req.params.messageId}/regenerate] regenerate reply`, error, {
+      messageId: req.params.messageId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * POST /v1/messages/:messageId/feedback
+ * Rate an assistant reply; rating it again replaces the earlier rating
+ * Body: { rating: 'like'|'dislike', reason?, comment? }
+ */
+router.post('/:messageId/feedback', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const message = await getMessageForUser(req.params.messageId, user.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    if (message.role !== 'assistant') {
+      throw new ValidationError('Only assistant replies can be rated', {
+        messageId: message.id,
+        role: message.role
+      });
+    }
+
+    const { rating, reason, comment } = req.body;
+    const feedback = await submitFeedback(user.id, message, { rating, reason, comment });
+
+    res.json({
+      success: true,
+      data: feedback
+    });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/messages/${req.params.messageId}/feedback] submit feedback`, error, {
+      messageId: req.params.messageId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
 /**
  * DELETE /v1/messages/:messageId
  * Delete a specific message
@@ -0,0 +1,34 @@
+import express from 'express';
+import { getSharedTranscript } from '../services/shareService.js';
+import { asyncHandler } from '../src/utils/asyncHandler.js';
+import { wrapError } from '../src/errors/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /v1/shared/:token
+ * Public, read-only view of a shared conversation (no auth required)
+ * Unknown, revoked and expired links all return the same 404
+ */
+router.get('/:token', asyncHandler(async (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    const transcript = await getSharedTranscript(req.params.token);
+
+    if (!transcript) {
+      return res.status(404).json({ error: 'Shared conversation not found' });
+    }
+
+    res.json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    // Never log the token itself
+    return next(wrapError('[GET /v1/shared/:token] open shared conversation', error));
+  }
+}));
+
+export default router;
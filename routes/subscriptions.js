@@ -0,0 +1,80 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../middleware/auth.js';
+import { cancelSubscription, createSubscription, listSubscriptions } from '../services/subscriptionService.js';
+import { asyncHandler } from '../src/utils/asyncHandler.js';
+import { wrapError } from '../src/errors/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /v1/subscriptions
+ * List the authenticated user's subscriptions, newest first
+ */
+router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const data = await listSubscriptions(user);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/subscriptions] list subscriptions', error, {
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+/**
+ * POST /v1/subscriptions
+ * Start a subscription; it becomes active when the billing provider reports the first payment
+ * Body: { tier }
+ */
+router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const subscription = await createSubscription(user, { tier: req.body?.tier });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription started. Pass its id to checkout as the subscription reference.',
+      data: subscription
+    });
+  } catch (error) {
+    return next(wrapError('[POST /v1/subscriptions] start subscription', error, {
+      userId: req.auth().userId,
+      tier: req.body?.tier
+    }));
+  }
+}));
+
+/**
+ * POST /v1/subscriptions/:subscriptionId/cancel
+ * Cancel a subscription at the end of its paid period
+ * Body: { reason? }
+ */
+router.post('/:subscriptionId/cancel', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const result = await cancelSubscription(user, req.params.subscriptionId, { reason: req.body?.reason });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      success: true,
+      message: result.alreadyCanceled ? 'Subscription was already canceled' : 'Subscription canceled successfully',
+      data: result.subscription
+    });
+  } catch (error) {
+    return next(wrapError(`[POST /v1/subscriptions/${req.params.subscriptionId}/cancel] cancel subscription`, error, {
+      subscriptionId: req.params.subscriptionId,
+      userId: req.auth().userId
+    }));
+  }
+}));
+
+export default router;
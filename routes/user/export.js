@@ -0,0 +1,112 @@
+import express from 'express';
+import archiver from 'archiver';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import { getAccountExport } from '../../services/exportService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+import { EXPORT_FORMATS, flattenExportTables, toCsv } from '../../src/lib/export-format.js';
+import { createPdfDocument, renderFinancialReport } from '../../src/lib/pdf-report.js';
+
+const router = express.Router();
+
+/**
+ * Set download headers for an export file
+ */
+const setAttachment = (res, contentType, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="grayson-export-${date}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+/**
+ * Stream a zip with one CSV per table
+ */
+const sendCsvZip = (res, data) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', reject);
+  res.on('close', resolve);
+
+  setAttachment(res, 'application/zip', 'zip');
+  archive.pipe(res);
+
+  for (const [table, rows] of Object.entries(flattenExportTables(data))) {
+    archive.append(toCsv(rows), { name: `${table}.csv` });
+  }
+
+  archive.finalize();
+});
+
+/**
+ * Stream the printable financial report
+ */
+const sendPdf = (res, data) => new Promise((resolve, reject) => {
+  const doc = createPdfDocument({ title: 'Grayson Finance Report' });
+
+  doc.on('error', reject);
+  res.on('close', resolve);
+
+  setAttachment(res, 'application/pdf', 'pdf');
+  doc.pipe(res);
+
+  renderFinancialReport(doc, {
+    user: data.user,
+    summary: data.summary,
+    sources: {
+      income: data.incomeSources,
+      debt: data.debtSources,
+      expenses: data.expenseSources,
+      savings: data.savingsSources
+    },
+    generatedAt: data.exportedAt
+  });
+
+  doc.end();
+});
+
+// Export all of the user's data (json, csv zip or pdf report)
+router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const format = String(req.query.format ?? 'json').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError('Invalid format. Must be one of: ' + EXPORT_FORMATS.join(', '), {
+        format,
+        validFormats: EXPORT_FORMATS
+      });
+    }
+
+    const user = await getUserByClerkId(req.auth().userId);
+    const data = await getAccountExport(user.id);
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (format === 'csv') {
+      return await sendCsvZip(res, data);
+    }
+
+    if (format === 'pdf') {
+      return await sendPdf(res, data);
+    }
+
+    setAttachment(res, 'application/json', 'json');
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    // Once streaming has started the only option is to abort the download
+    if (res.headersSent) {
+      console.error('[GET /v1/user/export] ❌ Export stream failed:', error.message);
+      return res.destroy(error);
+    }
+
+    return next(wrapError('[GET /v1/user/export] export user data', error, {
+      userId: req.auth().userId,
+      format: req.query.format
+    }));
+  }
+}));
+
+export default router;
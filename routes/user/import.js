@@ -0,0 +1,47 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import { restoreAccountBundle } from '../../services/restoreService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { snapshotOnMutation } from '../../src/middleware/snapshot.js';
+import { wrapError, ValidationError } from '../../src/errors/index.js';
+import { IMPORT_MODES } from '../../src/lib/import-bundle.js';
+
+const router = express.Router();
+
+/**
+ * JSON parser for export bundles, mounted ahead of the global parser
+ * Bundles include every message, so they can be far larger than a normal request
+ */
+export const userImportBodyParser = express.json({ limit: process.env.USER_IMPORT_MAX_BYTES || '25mb' });
+
+router.use(snapshotOnMutation('restore'));
+
+// Restore an export bundle into the user's account
+router.post('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const body = req.body ?? {};
+    // Accept { mode, bundle } or the export file itself with ?mode=
+    const bundle = body.bundle ?? body;
+    const mode = String(body.mode ?? req.query.mode ?? 'merge').toLowerCase();
+
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new ValidationError('Invalid mode. Must be one of: ' + IMPORT_MODES.join(', '), {
+        mode,
+        validModes: IMPORT_MODES
+      });
+    }
+
+    const user = await getUserByClerkId(req.auth().userId);
+    const result = await restoreAccountBundle(user.id, bundle, { mode });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    return next(wrapError('[POST /v1/user/import] restore account data', error, {
+      userId: req.auth().userId,
+      mode: req.body?.mode ?? req.query.mode
+    }));
+  }
+}));
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import { requireAuth } from '@clerk/express';
+import { getUserByClerkId } from '../../middleware/auth.js';
+import { getUserEntitlements } from '../../services/entitlementService.js';
+import { getUsageSummary } from '../../services/usageService.js';
+import { asyncHandler } from '../../src/utils/asyncHandler.js';
+import { wrapError } from '../../src/errors/index.js';
+
+const router = express.Router();
+
+// Chat usage for the current day and month against the user's quotas, plus daily history
+// Query: ?days=30 (max 90)
+router.get('/', requireAuth(), asyncHandler(async (req, res, next) => {
+  try {
+    const user = await getUserByClerkId(req.auth().userId);
+    const { tier } = await getUserEntitlements(user);
+    const usage = await getUsageSummary(user.id, tier, { days: req.query.days });
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    return next(wrapError('[GET /v1/user/usage] retrieve usage', error, {
+      userId: req.auth().userId,
+      days: req.query.days
+    }));
+  }
+}));
+
+export default router;
@@ -0,0 +1,107 @@
+import express from 'express';
+import { applyBillingEvent } from '../../services/subscriptionService.js';
+import { BILLING_SIGNATURE_HEADER, parseBillingEvent, verifyBillingSignature } from '../../src/lib/billing-webhook.js';
+
+const router = express.Router();
+
+router.post('/billing', express.raw({ type: 'application/json' }), async (req, res) => {
+  const startTime = Date.now();
+  let evt;
+
+  try {
+    // Validate request has body
+    if (!req.body || req.body.length === 0) {
+      console.error('[Billing Webhook] ❌ Empty request body');
+      return res.status(400).json({ error: 'Request body is required' });
+    }
+
+    const signature = req.headers[BILLING_SIGNATURE_HEADER];
+    if (!signature) {
+      console.error(`[Billing Webhook] ❌ Missing webhook header: ${BILLING_SIGNATURE_HEADER}`);
+      return res.status(400).json({
+        error: 'Missing required webhook headers',
+        missingHeaders: [BILLING_SIGNATURE_HEADER]
+      });
+    }
+
+    // Validate environment configuration
+    const webhookSecret = process.env.BILLING_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      console.error('[Billing Webhook] ❌ BILLING_WEBHOOK_SECRET not configured in environment');
+      return res.status(500).json({ error: 'Server configuration error: webhook secret missing' });
+    }
+
+    // Verify against the raw body; re-serialized JSON would not match the signature
+    const payload = req.body.toString();
+    const verification = verifyBillingSignature(payload, signature, webhookSecret);
+
+    if (!verification.valid) {
+      console.error('[Billing Webhook] ❌ Webhook verification failed:', { reason: verification.reason });
+      return res.status(401).json({ error: 'Webhook verification failed' });
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(payload);
+      evt = parseBillingEvent(raw);
+    } catch (err) {
+      console.error('[Billing Webhook] ❌ Invalid event:', { error: err.message, meta: err.meta });
+      return res.status(400).json({ error: 'Invalid event data structure', message: err.message });
+    }
+
+    console.log(`[Billing Webhook] 📨 Received event: ${evt.type} (event-id: ${evt.id})`);
+
+    const result = await applyBillingEvent(evt, raw);
+
+    if (result.duplicate) {
+      console.log(`[Billing Webhook] ℹ️ Event already processed: ${evt.id}`);
+      return res.status(200).json({ message: 'Event already processed', eventType: evt.type });
+    }
+
+    // Unknown subscriptions get a 404 so the provider retries; the event may have arrived before its checkout
+    if (!result.subscription) {
+      console.warn('[Billing Webhook] ⚠️ Subscription not found for event:', {
+        eventId: evt.id,
+        subscriptionId: evt.subscriptionId,
+        externalId: evt.externalId
+      });
+      return res.status(404).json({ error: 'Subscription not found', eventType: evt.type });
+    }
+
+    const processingTime = Date.now() - startTime;
+    console.log(`[Billing Webhook] ✅ Event applied in ${processingTime}ms:`, {
+      eventId: evt.id,
+      subscriptionId: result.subscription.id,
+      status: result.subscription.status,
+      current: result.subscription.current
+    });
+
+    return res.status(200).json({
+      message: 'Webhook processed successfully',
+      eventType: evt.type,
+      subscriptionId: result.subscription.id,
+      processingTimeMs: processingTime
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    console.error('[Billing Webhook] ❌ Unexpected error during webhook processing:', {
+      error: error.message,
+      stack: error.stack,
+      eventId: evt?.id,
+      eventType: evt?.type || 'unknown',
+      processingTimeMs: processingTime,
+      timestamp: new Date().toISOString()
+    });
+
+    const statusCode = error.status === 400 ? 400 : 500;
+
+    return res.status(statusCode).json({
+      error: 'Webhook processing failed',
+      timestamp: new Date().toISOString(),
+      eventId: evt?.id
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { Webhook } from 'svix';
 import { pool } from '../../db/neon.js';
+import { claimAnonymousSessionToken } from '../../services/anonymousSessionService.js';
+import { ANONYMOUS_SESSION_METADATA_KEY } from '../../src/lib/anonymous-session.js';
 
 const router = express.Router();
 
@@ -90,7 +92,7 @@ router.post('/clerk', express.raw({ type: 'application/json' }), async (req, res
     }
 
     if (evt.type === 'user.created') {
-      const { id: clerkUserId, email_addresses, first_name, last_name } = evt.data;
+      const { id: clerkUserId, email_addresses, first_name, last_name, unsafe_metadata } = evt.data;
 
       // Extract data with comprehensive logging for debugging
       const email = email_addresses?.[0]?.email_address || null;
@@ -160,6 +162,29 @@ router.post('/clerk', express.raw({ type: 'application/json' }), async (req, res
         });
         
         await prisma.$disconnect();
+
+        // The frontend passes the visitor's anonymous session through sign-up so their chats carry over
+        const anonymousSessionToken = unsafe_metadata?.[ANONYMOUS_SESSION_METADATA_KEY];
+        if (anonymousSessionToken) {
+          try {
+            const claim = await claimAnonymousSessionToken(user, anonymousSessionToken);
+
+            console.log(`[Clerk Webhook] 🔗 Anonymous session merge:`, {
+              databaseId: user.id,
+              found: !!claim,
+              claimed: claim?.claimed ?? false,
+              conversations: claim?.conversations ?? 0,
+              extractions: claim?.extractions ?? 0
+            });
+          } catch (claimError) {
+            // Failing the webhook makes Clerk retry; the upsert and the claim are both safe to repeat
+            console.error('[Clerk Webhook] ❌ Database error claiming anonymous session:', {
+              error: claimError.message,
+              clerkUserId
+            });
+            return res.status(500).json({ error: 'Database error claiming anonymous session' });
+          }
+        }
       } catch (dbError) {
         console.error('[Clerk Webhook] ❌ Database error creating user:', {
           error: dbError.message,
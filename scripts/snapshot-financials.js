@@ -0,0 +1,20 @@
+import { recordScheduledSnapshots } from '../services/snapshotService.js';
+
+// Record a financial snapshot for every user without one in the last N hours.
+// Intended for an external cron; the server also runs this on SNAPSHOT_INTERVAL_HOURS.
+async function snapshotFinancials() {
+  const minIntervalHours = parseFloat(process.argv[2] ?? process.env.SNAPSHOT_INTERVAL_HOURS ?? '24');
+
+  console.log(`📸 Recording snapshots for users without one in the last ${minIntervalHours}h...`);
+
+  try {
+    const { recorded, failed } = await recordScheduledSnapshots({ minIntervalHours });
+    console.log(`✅ Recorded ${recorded} snapshot(s), ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Snapshot run failed:', error.message);
+    process.exit(1);
+  }
+}
+
+snapshotFinancials();
@@ -0,0 +1,110 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { signBillingPayload, BILLING_SIGNATURE_HEADER } from '../src/lib/billing-webhook.js';
+
+dotenv.config();
+
+// Usage: node scripts/test-billing-webhook.js [clerkUserId] [tier]
+// The user must already exist (sign in once, or run scripts/test-clerk-webhook.js first)
+const clerkUserId = process.argv[2] || 'user_test_123456789';
+const tier = process.argv[3] || 'plus';
+const webhookUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/v1/webhooks/billing`;
+const secret = process.env.BILLING_WEBHOOK_SECRET;
+
+const externalId = `sub_test_${crypto.randomBytes(6).toString('hex')}`;
+const periodEnd = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+// A subscription's life: started, first payment, then canceled at the end of the period
+const mockEvents = [
+  {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'subscription.created',
+    created: Math.floor(Date.now() / 1000),
+    data: { external_id: externalId, user_id: clerkUserId, tier, status: 'incomplete' }
+  },
+  {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'payment.succeeded',
+    created: Math.floor(Date.now() / 1000),
+    data: { external_id: externalId, current_period_end: periodEnd }
+  },
+  {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'subscription.canceled',
+    created: Math.floor(Date.now() / 1000),
+    data: { external_id: externalId, reason: 'test_cancellation', ends_at: periodEnd }
+  }
+];
+
+async function sendEvent(event, { signingSecret = secret } = {}) {
+  const payload = JSON.stringify(event);
+
+  const response = await axios.post(webhookUrl, payload, {
+    headers: {
+      'content-type': 'application/json',
+      [BILLING_SIGNATURE_HEADER]: signBillingPayload(payload, signingSecret)
+    },
+    timeout: 10000,
+    validateStatus: () => true
+  });
+
+  console.log(`📡 ${event.type} (${event.id}) → ${response.status}`, response.data);
+  return response;
+}
+
+async function testBillingWebhook() {
+  if (!secret) {
+    console.error('❌ BILLING_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`🧪 Testing billing webhook at ${webhookUrl} for ${clerkUserId} (${tier})...\n`);
+
+    for (const event of mockEvents) {
+      await sendEvent(event);
+    }
+
+    console.log('\n🔁 Redelivering the payment event (should be skipped)...');
+    await sendEvent(mockEvents[1]);
+
+    console.log('\n🔐 Sending an event signed with the wrong secret (should be rejected with 401)...');
+    await sendEvent({ ...mockEvents[1], id: `evt_${crypto.randomBytes(8).toString('hex')}` }, { signingSecret: 'wrong-secret' });
+
+    console.log('\n🔍 Verifying subscription in database...');
+
+    const { sql } = await import('../db/neon.js');
+    const subscriptions = await sql`
+      SELECT s.id, s.tier, s.status, s.total_billing_cycles, s.end_date, s.canceled_reason,
+             u.current_subscription_id = s.id AS is_current
+      FROM subscriptions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.external_id = ${externalId}
+    `;
+
+    if (subscriptions.length > 0) {
+      const [subscription] = subscriptions;
+      console.log('✅ Subscription found in database:');
+      console.log('Subscription ID:', subscription.id);
+      console.log('Tier:', subscription.tier);
+      console.log('Status:', subscription.status);
+      console.log('Billing Cycles:', subscription.total_billing_cycles, '(expected 1)');
+      console.log('End Date:', subscription.end_date);
+      console.log('Canceled Reason:', subscription.canceled_reason);
+      console.log('Current for User:', subscription.is_current);
+    } else {
+      console.log('❌ Subscription not found in database');
+    }
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+
+    if (error.response) {
+      console.error('Response Status:', error.response.status);
+      console.error('Response Data:', error.response.data);
+    }
+  }
+}
+
+// Run the test
+testBillingWebhook();
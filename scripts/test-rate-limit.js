@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+
+// Usage: node scripts/test-rate-limit.js
+// Runs against the in-memory store with small limits; no server or database needed
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_POLICIES = JSON.stringify({
+  'public-message': {
+    ip: [{ windowSeconds: 60, max: 5 }],
+    fingerprint: [{ windowSeconds: 60, max: 5 }],
+    global: [{ windowSeconds: 60, max: 20 }]
+  }
+});
+
+const { enforceRateLimit } = await import('../src/middleware/rate-limit.js');
+
+// Just enough of an Express request and response for enforceRateLimit
+function mockRequest(ip) {
+  const headers = { 'user-agent': `test-client-${ip}`, 'x-client-fingerprint': `fingerprint-${ip.replaceAll('.', '-')}` };
+  return { ip, method: 'POST', originalUrl: '/v1/messages/test/messages', get: (name) => headers[name.toLowerCase()] };
+}
+
+function mockResponse() {
+  const headers = {};
+  return {
+    headers,
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(headers, name);
+      else headers[name] = value;
+    }
+  };
+}
+
+async function send(ip) {
+  try {
+    await enforceRateLimit(mockRequest(ip), mockResponse(), 'public-message');
+    return { allowed: true };
+  } catch (error) {
+    return { allowed: false, bucket: error.details?.bucket };
+  }
+}
+
+async function sendMany(ip, count) {
+  const results = [];
+  for (let i = 0; i < count; i += 1) results.push(await send(ip));
+  return results;
+}
+
+async function testRateLimit() {
+  // Silence the per-request warnings; the assertions say what happened
+  console.warn = () => {};
+
+  console.log('🧪 One client sends 100 requests against a limit of 5 (global limit 20)...');
+  const flood = await sendMany('203.0.113.1', 100);
+  assert.equal(flood.filter((result) => result.allowed).length, 5);
+  assert.ok(flood.slice(5).every((result) => !result.allowed && result.bucket !== 'global'));
+  console.log('✅ 5 allowed, the other 95 rejected by the client\'s own buckets');
+
+  console.log('\n🧪 A different client sends 5 requests...');
+  const other = await sendMany('198.51.100.7', 5);
+  assert.ok(other.every((result) => result.allowed), 'the flooding client must not use up the global limit');
+  console.log('✅ All allowed: rejected requests did not count against the global limit');
+
+  console.log('\n🧪 More clients send until the global limit is reached...');
+  const clients = ['192.0.2.1', '192.0.2.2'];
+  const rest = [];
+  for (const ip of clients) rest.push(...await sendMany(ip, 5));
+  assert.equal(rest.filter((result) => result.allowed).length, 10);
+
+  const overGlobal = await send('192.0.2.3');
+  assert.equal(overGlobal.allowed, false);
+  assert.equal(overGlobal.bucket, 'global');
+  console.log('✅ The 21st admitted request is limited on the global bucket');
+
+  console.log('\n🎉 Rate limit checks passed');
+}
+
+testRateLimit().catch((error) => {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+import { randomUUID } from 'node:crypto';
+import { PrismaClient } from '@prisma/client';
+import {
+  isAnonymousSessionExpired,
+  signAnonymousSessionToken,
+  verifyAnonymousSessionToken
+} from '../src/lib/anonymous-session.js';
+import { toChatType } from '../src/lib/conversation-threads.js';
+import { assignExtractionsToUser } from './extractionService.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+// lastSeenAt is only refreshed this often, so every public message doesn't write the session row
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Start an anonymous session for a logged-out visitor
+ * @param {string} secret - ANONYMOUS_SESSION_SECRET
+ * @returns {Promise<Object>} { session, token }
+ */
+export const createAnonymousSession = async (secret = process.env.ANONYMOUS_SESSION_SECRET) => {
+  try {
+    const session = await prisma.anonymousSession.create({ data: {} });
+    return { session, token: signAnonymousSessionToken(session.id, secret) };
+  } catch (error) {
+    throw wrapError('[AnonymousSessionService.createAnonymousSession]', error);
+  }
+};
+
+/**
+ * Look up the usable session a token refers to
+ * Claimed and expired sessions are not usable; the visitor is treated as having no session.
+ * @param {string} token - Token from the client
+ * @param {string} secret - ANONYMOUS_SESSION_SECRET
+ * @returns {Promise<Object|null>} AnonymousSession row, or null
+ */
+export const resolveAnonymousSession = async (token, secret = process.env.ANONYMOUS_SESSION_SECRET) => {
+  const sessionId = verifyAnonymousSessionToken(token, secret);
+  if (!sessionId) return null;
+
+  try {
+    const session = await prisma.anonymousSession.findUnique({ where: { id: sessionId } });
+    if (!session || session.claimedByUserId || isAnonymousSessionExpired(session)) return null;
+
+    if (Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) return session;
+
+    return await prisma.anonymousSession.update({
+      where: { id: session.id },
+      data: { lastSeenAt: new Date() }
+    });
+  } catch (error) {
+    throw wrapError('[AnonymousSessionService.resolveAnonymousSession]', error, { sessionId });
+  }
+};
+
+/**
+ * Store a conversation started by an anonymous session
+ * @param {Object} session - AnonymousSession row
+ * @param {string} chatType - The chat type
+ * @param {string} providerConversationId - conversation_id issued by the provider
+ * @returns {Promise<Object>} The conversation object
+ */
+export const createAnonymousConversation = async (session, chatType, providerConversationId) => {
+  try {
+    return await prisma.conversation.create({
+      data: {
+        anonymousSessionId: session.id,
+        chatType: toChatType(chatType),
+        conversationId: providerConversationId
+      }
+    });
+  } catch (error) {
+    throw wrapError('[AnonymousSessionService.createAnonymousConversation]', error, {
+      sessionId: session?.id,
+      chatType
+    });
+  }
+};
+
+/**
+ * Get an anonymous session's most recent open conversation for a chat type
+ * @param {Object} session - AnonymousSession row
+ * @param {string} chatType - The chat type
+ * @returns {Promise<Object|null>} The conversation with its messages, or null
+ */
+export const getAnonymousConversation = async (session, chatType) => {
+  try {
+    return await prisma.conversation.findFirst({
+      where: {
+        anonymousSessionId: session.id,
+        chatType: toChatType(chatType),
+        status: 'open'
+      },
+      include: {
+        messages: {
+          orderBy: { createdAt: 'asc' }
+        }
+      },
+      orderBy: { updatedAt: 'desc' }
+    });
+  } catch (error) {
+    throw wrapError('[AnonymousSessionService.getAnonymousConversation]', error, {
+      sessionId: session?.id,
+      chatType
+    });
+  }
+};
+
+/**
+ * Merge an anonymous session's conversations and extracted figures into an account
+ * Conversations get a placeholder provider ID, since the provider only lets the user that
+ * started a conversation continue it; the next turn starts a new provider conversation.
+ * Claiming is idempotent for the same user.
+ * @param {Object} user - User row
+ * @param {string} sessionId - AnonymousSession ID
+ * @returns {Promise<Object|null>} { claimed, alreadyClaimed, claimedByOther, conversations, extractions }, or null if not found
+ */
+export const claimAnonymousSession = async (user, sessionId) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const session = await tx.anonymousSession.findUnique({ where: { id: sessionId } });
+      if (!session) return null;
+
+      // Claim the session first so two concurrent claims can't both move the conversations
+      const claimed = await tx.anonymousSession.updateMany({
+        where: { id: sessionId, claimedByUserId: null },
+        data: { claimedByUserId: user.id, claimedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        const current = await tx.anonymousSession.findUnique({ where: { id: sessionId } });
+        return {
+          claimed: false,
+          alreadyClaimed: true,
+          claimedByOther: current?.claimedByUserId !== user.id,
+          conversations: 0,
+          extractions: 0
+        };
+      }
+
+      const conversations = await tx.conversation.findMany({
+        where: { anonymousSessionId: sessionId },
+        select: { id: true, chatType: true }
+      });
+
+      for (const conversation of conversations) {
+        await tx.conversation.update({
+          where: { id: conversation.id },
+          data: {
+            userId: user.id,
+            anonymousSessionId: null,
+            conversationId: `${user.id}-${conversation.chatType}-${randomUUID()}`
+          }
+        });
+      }
+
+      const extractions = conversations.length > 0
+        ? await assignExtractionsToUser(tx, user.id, conversations.map(({ id }) => id))
+        : 0;
+
+      return {
+        claimed: true,
+        alreadyClaimed: false,
+        claimedByOther: false,
+        conversations: conversations.length,
+        extractions
+      };
+    });
+  } catch (error) {
+    throw wrapError('[AnonymousSessionService.claimAnonymousSession]', error, { userId: user?.id, sessionId });
+  }
+};
+
+/**
+ * Claim the session a token refers to
+ * @param {Object} user - User row
+ * @param {string} token - Token from the client or the Clerk user's unsafe_metadata
+ * @param {string} secret - ANONYMOUS_SESSION_SECRET
+ * @returns {Promise<Object|null>} Output of claimAnonymousSession, or null for an invalid token or unknown session
+ */
+export const claimAnonymousSessionToken = async (user, token, secret = process.env.ANONYMOUS_SESSION_SECRET) => {
+  const sessionId = verifyAnonymousSessionToken(token, secret);
+  return sessionId ? claimAnonymousSession(user, sessionId) : null;
+};
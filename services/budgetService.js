@@ -0,0 +1,53 @@
+import { PrismaClient } from '@prisma/client';
+import { buildBudgetReport } from '../src/lib/budget-report.js';
+import { buildFinancialSummary, roundCurrency } from '../src/lib/financial-summary.js';
+import { getFinancialSources } from './financialSummaryService.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all budget categories for a user
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Array>} Array of budget category objects, alphabetical
+ */
+export const getBudgetCategories = async (userId) => {
+  try {
+    const categories = await prisma.budgetCategory.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' }
+    });
+
+    return categories;
+  } catch (error) {
+    throw wrapError('[BudgetService.getBudgetCategories]', error, { userId });
+  }
+};
+
+/**
+ * Build the budgeted vs. actual report for a user
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Object>} Budget report with monthly income for context
+ */
+export const getBudgetReport = async (userId) => {
+  try {
+    const [categories, sources] = await Promise.all([
+      getBudgetCategories(userId),
+      getFinancialSources(userId)
+    ]);
+
+    const report = buildBudgetReport(categories, sources.expenses);
+    const summary = buildFinancialSummary(sources);
+
+    return {
+      ...report,
+      income: {
+        monthly: summary.monthly.income,
+        unbudgeted: roundCurrency(summary.monthly.income - report.totals.budgeted),
+        remainingAfterExpenses: summary.monthly.netCashFlow
+      }
+    };
+  } catch (error) {
+    throw wrapError('[BudgetService.getBudgetReport]', error, { userId });
+  }
+};
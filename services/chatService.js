@@ -0,0 +1,400 @@
+import { PrismaClient } from '@prisma/client';
+import { getChatProvider } from '../src/lib/llm/index.js';
+import {
+  addMessagePair,
+  findPromptMessage,
+  getMessages,
+  getMessagesBefore,
+  reviseMessage
+} from './messageService.js';
+import { ensureConversationTitle } from './conversationService.js';
+import { recordExtractions } from './extractionService.js';
+import { getFinancialContext } from './financialContextService.js';
+import { recordChatUsage } from './usageService.js';
+import { createAnonymousConversation } from './anonymousSessionService.js';
+import { anonymousProviderUser } from '../src/lib/anonymous-session.js';
+import { normalizeDifyResponse } from '../src/lib/dify-normalizer.js';
+import { ExternalServiceError, ValidationError, wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+// Messages replayed to providers that don't keep history themselves
+const HISTORY_LIMIT = 20;
+
+/**
+ * Get a configured chat provider, failing the same way the routes always have when credentials are missing
+ * @param {string} preference - User.modelPreference, or undefined for public requests
+ * @returns {Object} { provider, model }
+ */
+export const requireChatProvider = (preference) => {
+  const selection = getChatProvider(preference);
+
+  if (!selection.provider.isConfigured()) {
+    const error = new ExternalServiceError(selection.provider.label, 'Configuration error: missing API credentials', {
+      provider: selection.provider.name
+    });
+    error.code = 'INTERNAL_ERROR';
+    error.status = 500;
+    throw error;
+  }
+
+  return selection;
+};
+
+/**
+ * Load the user's financial context without ever failing the chat turn
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<string|null>} Serialized context, or null on failure
+ */
+const loadFinancialContext = async (userId) => {
+  try {
+    return JSON.stringify(await getFinancialContext(userId));
+  } catch (error) {
+    console.error('[ChatService] ⚠️ Failed to build financial context:', {
+      userId,
+      message: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Record pending extractions for an answer without ever failing the chat turn
+ * @param {Object} conversation - Conversation row
+ * @param {string} messageId - The stored assistant message ID
+ * @param {string} answer - The assistant's answer
+ * @returns {Promise<Array>} Created extractions (empty on failure)
+ */
+const proposeExtractions = async (conversation, messageId, answer) => {
+  try {
+    return await recordExtractions(conversation, messageId, normalizeDifyResponse({ answer }));
+  } catch (error) {
+    console.error('[ChatService] ⚠️ Failed to record extractions:', {
+      conversationId: conversation.id,
+      message: error.message
+    });
+    return [];
+  }
+};
+
+/**
+ * The stored provider conversation ID to continue, if the provider can use it
+ * Placeholder IDs (`${userId}-${chatType}-...`) and other providers' IDs start a new provider conversation
+ * @param {Object} provider - Chat provider
+ * @param {Object} conversation - Conversation row
+ * @returns {string|null} Provider conversation ID, or null for a new one
+ */
+const continuableConversationId = (provider, conversation) => {
+  const storedId = conversation.conversationId;
+  const isPlaceholder = storedId.startsWith(`${conversation.userId}-`);
+  return !isPlaceholder && provider.ownsConversationId(storedId) ? storedId : null;
+};
+
+/**
+ * Store the provider's conversation ID when it issued a new one
+ * @param {Object} conversation - Conversation row
+ * @param {string} conversationId - conversation_id returned by the provider
+ * @returns {Promise<string>} The provider conversation ID now stored
+ */
+const syncProviderConversationId = async (conversation, conversationId) => {
+  const providerConversationId = conversationId ?? conversation.conversationId;
+
+  if (providerConversationId !== conversation.conversationId) {
+    await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { conversationId: providerConversationId }
+    });
+  }
+
+  return providerConversationId;
+};
+
+/**
+ * Metadata stored on an assistant message
+ * @param {Object} provider - Chat provider
+ * @param {string} model - Requested model, or null for the provider default
+ * @param {Object} result - Provider result
+ * @returns {Object} { provider, model, providerMessageId, usage? }
+ */
+const replyMeta = (provider, model, { message_id, metadata }) => ({
+  provider: provider.name,
+  model: model ?? metadata?.model ?? null,
+  providerMessageId: message_id ?? null,
+  ...(metadata?.usage && { usage: metadata.usage })
+});
+
+/**
+ * Provider inputs for a turn: the caller's inputs plus the financial context and,
+ * when the provider won't see the full history, the conversation summary
+ * @param {Object} options - Options
+ * @param {Object} options.user - User row
+ * @param {Object} options.inputs - Caller inputs
+ * @param {boolean} options.includeContext - Add `financial_context`
+ * @param {string|null} options.summary - Conversation summary to add as `conversation_summary`
+ * @returns {Promise<Object>} Inputs
+ */
+const buildTurnInputs = async ({ user, inputs, includeContext, summary }) => {
+  const financialContext = includeContext ? await loadFinancialContext(user.id) : null;
+
+  return {
+    ...inputs,
+    ...(financialContext && { financial_context: financialContext }),
+    ...(summary && { conversation_summary: summary })
+  };
+};
+
+/**
+ * Prepare one chat turn in a stored conversation
+ * The provider and model come from the user's modelPreference. Call `send()` or `openStream()`
+ * to get the answer, then `complete(result)` to persist it and build the response body.
+ * @param {Object} options - Turn options
+ * @param {Object} options.user - User row
+ * @param {Object} options.conversation - Conversation row
+ * @param {string} options.query - The user's message
+ * @param {Object} options.inputs - Provider inputs
+ * @param {boolean} options.includeContext - Send the user's financial summary as `inputs.financial_context`
+ * @returns {Promise<Object>} { provider, model, send, openStream, complete }
+ */
+export const createChatTurn = async ({ user, conversation, query, inputs = {}, includeContext = true }) => {
+  try {
+    const { provider, model } = requireChatProvider(user.modelPreference);
+
+    const conversationId = continuableConversationId(provider, conversation);
+
+    // Messages already in the summary are sent as the summary instead
+    const history = provider.keepsHistory
+      ? []
+      : (await getMessages(conversation.id, { limit: HISTORY_LIMIT, orderBy: 'desc' }))
+        .filter(({ createdAt }) => !conversation.summarizedThrough || createdAt > conversation.summarizedThrough)
+        .reverse()
+        .map(({ role, content }) => ({ role, content }));
+
+    const useSummary = !provider.keepsHistory || !conversationId;
+
+    const params = {
+      query,
+      inputs: await buildTurnInputs({
+        user,
+        inputs,
+        includeContext,
+        summary: useSummary ? conversation.summary : null
+      }),
+      conversationId,
+      user: user.id,
+      model,
+      history
+    };
+
+    /**
+     * Persist the finished answer and build the response body
+     * Untitled threads are named after this message, and sources the answer reports are
+     * stored as pending extractions for the user to confirm
+     * @param {Object} result - Provider result ({ answer, outputs, conversation_id, message_id, metadata })
+     * @returns {Promise<Object>} { answer, outputs, conversation_id, conversationDbId, title, extractions }
+     */
+    const complete = async (result) => {
+      const { answer, outputs = {}, conversation_id } = result;
+      const providerConversationId = await syncProviderConversationId(conversation, conversation_id);
+      await recordChatUsage(user.id, result);
+
+      const { botMessage } = await addMessagePair(conversation.id, query, answer, replyMeta(provider, model, result));
+
+      const generatedTitle = await ensureConversationTitle(conversation, query);
+
+      return {
+        answer,
+        outputs,
+        conversation_id: providerConversationId,
+        conversationDbId: conversation.id,
+        title: conversation.title ?? generatedTitle,
+        extractions: await proposeExtractions(conversation, botMessage.id, answer)
+      };
+    };
+
+    return {
+      provider: provider.name,
+      model,
+      send: () => provider.chat(params),
+      openStream: () => provider.openStream(params),
+      complete
+    };
+  } catch (error) {
+    throw wrapError('[ChatService.createChatTurn]', error, {
+      userId: user?.id,
+      conversationId: conversation?.id
+    });
+  }
+};
+
+/**
+ * Prepare one chat turn for a logged-out visitor's anonymous session
+ * Uses the default provider like other public requests. Without a conversation the turn
+ * starts one, stored once the provider has issued its conversation ID. There is no financial
+ * context or usage metering; the public rate limits apply instead.
+ * @param {Object} options - Turn options
+ * @param {Object} options.session - AnonymousSession row
+ * @param {Object} options.conversation - The session's conversation row, or null to start one
+ * @param {string} options.chatType - Chat type for a new conversation
+ * @param {string} options.query - The visitor's message
+ * @param {Object} options.inputs - Provider inputs
+ * @returns {Promise<Object>} { provider, model, send, openStream, complete }
+ */
+export const createAnonymousChatTurn = async ({ session, conversation = null, chatType, query, inputs = {} }) => {
+  try {
+    const { provider, model } = requireChatProvider();
+
+    const history = provider.keepsHistory || !conversation
+      ? []
+      : (await getMessages(conversation.id, { limit: HISTORY_LIMIT, orderBy: 'desc' }))
+        .reverse()
+        .map(({ role, content }) => ({ role, content }));
+
+    const params = {
+      query,
+      inputs,
+      conversationId: conversation ? continuableConversationId(provider, conversation) : null,
+      user: anonymousProviderUser(session.id),
+      model,
+      history
+    };
+
+    /**
+     * Persist the finished answer
+     * Sources the answer reports are stored as pending extractions, handed to the account
+     * that claims the session
+     * @param {Object} result - Provider result ({ answer, outputs, conversation_id, message_id, metadata })
+     * @returns {Promise<Object>} { answer, outputs, conversation_id, conversationDbId }
+     */
+    const complete = async (result) => {
+      const { answer, outputs = {}, conversation_id } = result;
+      const stored = conversation ?? await createAnonymousConversation(session, chatType, conversation_id);
+      const providerConversationId = await syncProviderConversationId(stored, conversation_id);
+
+      const { botMessage } = await addMessagePair(stored.id, query, answer, replyMeta(provider, model, result));
+      await ensureConversationTitle(stored, query);
+      await proposeExtractions(stored, botMessage.id, answer);
+
+      return {
+        answer,
+        outputs,
+        conversation_id: providerConversationId,
+        conversationDbId: stored.id
+      };
+    };
+
+    return {
+      provider: provider.name,
+      model,
+      send: () => provider.chat(params),
+      openStream: () => provider.openStream(params),
+      complete
+    };
+  } catch (error) {
+    throw wrapError('[ChatService.createAnonymousChatTurn]', error, {
+      sessionId: session?.id,
+      conversationId: conversation?.id
+    });
+  }
+};
+
+/**
+ * Prepare a turn that answers again from an earlier point of a conversation
+ * Editing a user message re-answers it with the new text; regenerating an assistant reply
+ * re-answers the same prompt. `complete(result)` rewrites the message and drops everything
+ * after it, keeping the superseded versions in the message's `meta.versions`.
+ * @param {Object} options - Turn options
+ * @param {Object} options.user - User row
+ * @param {Object} options.conversation - Conversation row
+ * @param {Object} options.message - The user message being edited, or the assistant reply being regenerated
+ * @param {string} options.content - New text for an edited user message
+ * @param {Object} options.inputs - Provider inputs
+ * @param {boolean} options.includeContext - Send the user's financial summary as `inputs.financial_context`
+ * @returns {Promise<Object>} { provider, model, send, openStream, complete }
+ */
+export const createRevisionTurn = async ({ user, conversation, message, content, inputs = {}, includeContext = true }) => {
+  try {
+    const isEdit = message.role === 'user';
+    const prompt = isEdit ? message : await findPromptMessage(message);
+
+    if (!prompt) {
+      throw new ValidationError('No user message found for this reply', { messageId: message.id });
+    }
+
+    const query = isEdit ? content : prompt.content;
+    const { provider, model } = requireChatProvider(user.modelPreference);
+    const earlier = await getMessagesBefore(prompt, { limit: HISTORY_LIMIT });
+
+    // Providers that keep history branch from the last answer before the prompt; without one, start over
+    const lastReply = earlier.findLast((item) => item.role === 'assistant');
+    const parentMessageId = lastReply?.meta?.provider === provider.name ? lastReply.meta.providerMessageId ?? null : null;
+    const conversationId = provider.keepsHistory && !parentMessageId
+      ? null
+      : continuableConversationId(provider, conversation);
+
+    // The summary only helps when it ends before the prompt being answered again
+    const summaryApplies = conversation.summarizedThrough && conversation.summarizedThrough < prompt.createdAt;
+    const useSummary = summaryApplies && (!provider.keepsHistory || !conversationId);
+
+    const params = {
+      query,
+      inputs: await buildTurnInputs({
+        user,
+        inputs,
+        includeContext,
+        summary: useSummary ? conversation.summary : null
+      }),
+      conversationId,
+      parentMessageId,
+      user: user.id,
+      model,
+      history: provider.keepsHistory
+        ? []
+        : earlier
+          .filter(({ createdAt }) => !summaryApplies || createdAt > conversation.summarizedThrough)
+          .map(({ role, content: text }) => ({ role, content: text }))
+    };
+
+    /**
+     * Persist the new answer and build the response body
+     * @param {Object} result - Provider result ({ answer, outputs, conversation_id, message_id, metadata })
+     * @returns {Promise<Object>} { answer, outputs, conversation_id, conversationDbId, title, messageId, replyId, truncated, extractions }
+     */
+    const complete = async (result) => {
+      const { answer, outputs = {}, conversation_id } = result;
+      const providerConversationId = await syncProviderConversationId(conversation, conversation_id);
+      await recordChatUsage(user.id, result);
+      const meta = replyMeta(provider, model, result);
+
+      const revised = isEdit
+        ? await reviseMessage(message, { content, reason: 'edited', reply: { content: answer, meta } })
+        : await reviseMessage(message, { content: answer, reason: 'regenerated', meta });
+      const reply = isEdit ? revised.reply : revised.message;
+
+      return {
+        answer,
+        outputs,
+        conversation_id: providerConversationId,
+        conversationDbId: conversation.id,
+        title: conversation.title,
+        messageId: prompt.id,
+        replyId: reply.id,
+        truncated: revised.truncated,
+        extractions: await proposeExtractions(conversation, reply.id, answer)
+      };
+    };
+
+    return {
+      provider: provider.name,
+      model,
+      send: () => provider.chat(params),
+      openStream: () => provider.openStream(params),
+      complete
+    };
+  } catch (error) {
+    throw wrapError('[ChatService.createRevisionTurn]', error, {
+      userId: user?.id,
+      conversationId: conversation?.id,
+      messageId: message?.id
+    });
+  }
+};
@@ -1,10 +1,49 @@
+import { randomUUID } from 'node:crypto';
 import { PrismaClient } from '@prisma/client';
-import { wrapError } from '../src/errors/index.js';
+import {
+  CONVERSATION_STATUSES,
+  canTransition,
+  defaultConversationTitle,
+  generateConversationTitle,
+  toChatType
+} from '../src/lib/conversation-threads.js';
+import { cursorPage, cursorQuery } from '../src/lib/cursor.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
 
 const prisma = new PrismaClient();
 
 /**
- * Find or create a conversation for a user and chat type
+ * Create a new conversation thread
+ * @param {string} userId - The user's database ID
+ * @param {string} chatType - The chat type (INCOME, DEBT, EXPENSES, SAVINGS, OPEN_CHAT)
+ * @param {Object} options - Options
+ * @param {string} options.title - Optional title (generated from the first message otherwise)
+ * @param {string} options.difyConversationId - Optional provider conversation ID
+ * @returns {Promise<Object>} The conversation object
+ */
+export const createConversation = async (userId, chatType, { title = null, difyConversationId = null } = {}) => {
+  try {
+    const type = toChatType(chatType);
+
+    return await prisma.conversation.create({
+      data: {
+        userId,
+        chatType: type,
+        title: title?.trim() || null,
+        // Placeholder until the provider issues its own conversation ID
+        conversationId: difyConversationId || `${userId}-${type}-${randomUUID()}`
+      },
+      include: {
+        messages: true
+      }
+    });
+  } catch (error) {
+    throw wrapError('[ConversationService.createConversation]', error, { userId, chatType });
+  }
+};
+
+/**
+ * Find the user's most recent open thread for a chat type, creating one if there is none
  * @param {string} userId - The user's database ID
  * @param {string} chatType - The chat type (INCOME, DEBT, EXPENSES, SAVINGS, OPEN_CHAT)
  * @param {string} difyConversationId - Optional Dify conversation ID for new conversations
@@ -12,42 +51,29 @@ const prisma = new PrismaClient();
  */
 export const findOrCreateConversation = async (userId, chatType, difyConversationId = null) => {
   try {
-    // First try to find existing conversation
-    let conversation = await prisma.conversation.findFirst({
+    const conversation = await prisma.conversation.findFirst({
       where: {
         userId,
-        chatType: chatType.toUpperCase()
+        chatType: toChatType(chatType),
+        status: 'open'
       },
       include: {
         messages: {
           orderBy: { createdAt: 'desc' },
           take: 1
         }
-      }
+      },
+      orderBy: { updatedAt: 'desc' }
     });
 
-    // If no conversation exists, create one
-    if (!conversation) {
-      conversation = await prisma.conversation.create({
-        data: {
-          userId,
-          chatType: chatType.toUpperCase(),
-          conversationId: difyConversationId || `${userId}-${chatType}-${Date.now()}`
-        },
-        include: {
-          messages: true
-        }
-      });
-    }
-
-    return conversation;
+    return conversation ?? await createConversation(userId, chatType, { difyConversationId });
   } catch (error) {
     throw wrapError('[ConversationService.findOrCreateConversation]', error, { userId, chatType });
   }
 };
 
 /**
- * Get conversation by user ID and chat type
+ * Get the user's most recent open thread for a chat type
  * @param {string} userId - The user's database ID
  * @param {string} chatType - The chat type
  * @returns {Promise<Object|null>} The conversation object or null if not found
@@ -57,13 +83,15 @@ export const getConversationByType = async (userId, chatType) => {
     const conversation = await prisma.conversation.findFirst({
       where: {
         userId,
-        chatType: chatType.toUpperCase()
+        chatType: toChatType(chatType),
+        status: 'open'
       },
       include: {
         messages: {
           orderBy: { createdAt: 'asc' }
         }
-      }
+      },
+      orderBy: { updatedAt: 'desc' }
     });
 
     return conversation;
@@ -111,26 +139,142 @@ export const getConversationById = async (param) => {
 };
 
 /**
- * Get all conversations for a user
+ * Shape a conversation thread for list responses
+ * @param {Object} conversation - Conversation row with its latest message and message count
+ * @returns {Object} Thread with a display title and message count
+ */
+const formatThread = ({ _count, ...conversation }) => ({
+  ...conversation,
+  title: conversation.title ?? defaultConversationTitle(conversation.chatType),
+  messageCount: _count?.messages ?? 0
+});
+
+/**
+ * Get a page of a user's conversation threads
+ * Archived threads are left out unless requested
  * @param {string} userId - The user's database ID
- * @returns {Promise<Array>} Array of conversation objects
+ * @param {Object} options - Filters and paging
+ * @param {string} options.chatType - Only threads of this chat type
+ * @param {string} options.status - 'open', 'archived', 'closed' or 'all' (default: open and closed)
+ * @param {number} options.limit - Page size
+ * @param {Object} options.before - Decoded cursor; return the threads preceding it
+ * @param {Object} options.after - Decoded cursor; return the threads following it
+ * @returns {Promise<Object>} { conversations, nextCursor, prevCursor }, most recently active first
  */
-export const getUserConversations = async (userId) => {
+export const getUserConversations = async (userId, { chatType, status, limit = 50, before, after } = {}) => {
   try {
-    const conversations = await prisma.conversation.findMany({
-      where: { userId },
+    let statusFilter = { not: 'archived' };
+    if (status === 'all') statusFilter = undefined;
+    else if (status) statusFilter = status;
+
+    const page = { field: 'updatedAt', order: 'desc', limit, before, after };
+    const { where, orderBy, take } = cursorQuery(page);
+
+    const rows = await prisma.conversation.findMany({
+      where: {
+        userId,
+        ...(chatType && { chatType: toChatType(chatType) }),
+        ...(statusFilter && { status: statusFilter }),
+        ...where
+      },
       include: {
         messages: {
           orderBy: { createdAt: 'desc' },
           take: 1 // Just get the latest message for preview
-        }
+        },
+        _count: { select: { messages: true } }
       },
-      orderBy: { updatedAt: 'desc' }
+      orderBy,
+      take
     });
 
-    return conversations;
+    const { items, nextCursor, prevCursor } = cursorPage(rows, page);
+
+    return { conversations: items.map(formatThread), nextCursor, prevCursor };
+  } catch (error) {
+    throw wrapError('[ConversationService.getUserConversations]', error, { userId, chatType, status });
+  }
+};
+
+/**
+ * Rename a thread or change its status
+ * @param {Object} conversation - Conversation row owned by the user
+ * @param {Object} changes - { title, status }
+ * @returns {Promise<Object>} The updated conversation
+ */
+export const updateConversation = async (conversation, { title, status } = {}) => {
+  try {
+    const data = {};
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || title.trim().length === 0) {
+        throw new ValidationError('title must be a non-empty string', { title });
+      }
+      data.title = title.trim().slice(0, 200);
+    }
+
+    if (status !== undefined) {
+      if (!CONVERSATION_STATUSES.includes(status)) {
+        throw new ValidationError('Invalid status. Must be one of: ' + CONVERSATION_STATUSES.join(', '), { status });
+      }
+      if (!canTransition(conversation.status, status)) {
+        throw new ValidationError(`Cannot change a ${conversation.status} conversation to ${status}`, {
+          from: conversation.status,
+          to: status
+        });
+      }
+      data.status = status;
+      if (status !== conversation.status) {
+        data.archivedAt = status === 'archived' ? new Date() : null;
+      }
+    }
+
+    return await prisma.conversation.update({
+      where: { id: conversation.id },
+      data
+    });
+  } catch (error) {
+    throw wrapError('[ConversationService.updateConversation]', error, { conversationId: conversation?.id });
+  }
+};
+
+/**
+ * Give an untitled thread a title generated from its first user message
+ * @param {Object} conversation - Conversation row
+ * @param {string} text - The first user message
+ * @returns {Promise<string|null>} The title that was set, or null if the thread already had one
+ */
+export const ensureConversationTitle = async (conversation, text) => {
+  try {
+    if (conversation.title) return null;
+
+    const title = generateConversationTitle(text);
+    if (!title) return null;
+
+    // Only fill an empty title, so a rename made meanwhile wins
+    await prisma.conversation.updateMany({
+      where: { id: conversation.id, title: null },
+      data: { title }
+    });
+
+    return title;
+  } catch (error) {
+    throw wrapError('[ConversationService.ensureConversationTitle]', error, { conversationId: conversation?.id });
+  }
+};
+
+/**
+ * Delete a thread with its messages and extractions
+ * @param {string} conversationId - The conversation's database ID
+ * @returns {Promise<Object>} The deleted conversation
+ */
+export const deleteConversation = async (conversationId) => {
+  try {
+    return await prisma.conversation.delete({
+      where: { id: conversationId }
+    });
   } catch (error) {
-    throw wrapError('[ConversationService.getUserConversations]', error, { userId });
+    throw wrapError('[ConversationService.deleteConversation]', error, { conversationId });
   }
 };
 
@@ -0,0 +1,25 @@
+import { PrismaClient } from '@prisma/client';
+import { resolveEntitlements } from '../src/lib/entitlements.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get what a user's current subscription entitles them to
+ * @param {Object} user - User row (uses currentSubscriptionId)
+ * @returns {Promise<Object>} { tier, subscribedTier, status, active, endDate, features }
+ */
+export const getUserEntitlements = async (user) => {
+  try {
+    const subscription = user.currentSubscriptionId
+      ? await prisma.subscription.findUnique({ where: { id: user.currentSubscriptionId } })
+      : null;
+
+    return resolveEntitlements(subscription);
+  } catch (error) {
+    throw wrapError('[EntitlementService.getUserEntitlements]', error, {
+      userId: user?.id,
+      subscriptionId: user?.currentSubscriptionId
+    });
+  }
+};
@@ -0,0 +1,79 @@
+import { PrismaClient } from '@prisma/client';
+import { buildFinancialSummary } from '../src/lib/financial-summary.js';
+import { EXPORT_VERSION } from '../src/lib/export-format.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+const byCreatedAt = { orderBy: { createdAt: 'asc' } };
+
+/**
+ * Collect everything stored for a user into a single portable document
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Object>} Export with profile, subscriptions, sources, goals, snapshots and conversations
+ */
+export const getAccountExport = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: {
+        subscriptions: byCreatedAt,
+        incomeSources: byCreatedAt,
+        debtSources: byCreatedAt,
+        expenseSources: byCreatedAt,
+        savingsSources: byCreatedAt,
+        budgetCategories: byCreatedAt,
+        savingsGoals: {
+          ...byCreatedAt,
+          include: { sources: { select: { savingsSourceId: true } } }
+        },
+        financialSnapshots: { orderBy: { capturedAt: 'asc' } },
+        conversations: {
+          ...byCreatedAt,
+          include: { messages: byCreatedAt }
+        }
+      }
+    });
+
+    if (!user) return null;
+
+    const {
+      subscriptions,
+      incomeSources,
+      debtSources,
+      expenseSources,
+      savingsSources,
+      budgetCategories,
+      savingsGoals,
+      financialSnapshots,
+      conversations,
+      ...profile
+    } = user;
+
+    return {
+      exportVersion: EXPORT_VERSION,
+      exportedAt: new Date(),
+      user: profile,
+      summary: buildFinancialSummary({
+        income: incomeSources,
+        debt: debtSources,
+        expenses: expenseSources,
+        savings: savingsSources
+      }),
+      subscriptions,
+      incomeSources,
+      debtSources,
+      expenseSources,
+      savingsSources,
+      budgetCategories,
+      savingsGoals: savingsGoals.map(({ sources, ...goal }) => ({
+        ...goal,
+        savingsSourceIds: sources.map((link) => link.savingsSourceId)
+      })),
+      financialSnapshots,
+      conversations
+    };
+  } catch (error) {
+    throw wrapError('[ExportService.getAccountExport]', error, { userId });
+  }
+};
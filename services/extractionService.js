@@ -0,0 +1,298 @@
+import { PrismaClient } from '@prisma/client';
+import { extractSourceProposals, sourceNameKey } from '../src/lib/chat-extraction.js';
+import { FREQUENCIES } from '../src/lib/financial-summary.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+export const EXTRACTION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Prisma delegate for each source category
+const SOURCE_MODELS = {
+  income: 'incomeSource',
+  debt: 'debtSource',
+  expenses: 'expenseSource',
+  savings: 'savingsSource'
+};
+
+/**
+ * Shape an extraction row for API responses
+ * @param {Object} extraction - Extraction row
+ * @returns {Object} Extraction without internal columns
+ */
+const formatExtraction = (extraction) => ({
+  id: extraction.id,
+  conversationId: extraction.conversationId,
+  messageId: extraction.messageId,
+  category: extraction.category,
+  status: extraction.status,
+  proposed: extraction.proposed,
+  sourceId: extraction.sourceId,
+  createdAt: extraction.createdAt,
+  resolvedAt: extraction.resolvedAt
+});
+
+/**
+ * Find the user's source in a category with the same name
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} userId - The user's database ID
+ * @param {string} category - Source category
+ * @param {string} sourceName - Source name to match
+ * @returns {Promise<Object|null>} { id, sourceName } or null
+ */
+const findSourceByName = async (client, userId, category, sourceName) => {
+  const sources = await client[SOURCE_MODELS[category]].findMany({
+    where: { userId },
+    select: { id: true, sourceName: true }
+  });
+
+  const key = sourceNameKey(sourceName);
+  return sources.find((source) => sourceNameKey(source.sourceName) === key) ?? null;
+};
+
+/**
+ * Store the sources proposed by a chat answer as pending extractions
+ * Proposals identical to one already pending in the conversation are skipped
+ * @param {Object} conversation - Conversation row
+ * @param {string} messageId - ID of the assistant message that carried the data
+ * @param {Object} normalized - Output of normalizeDifyResponse
+ * @returns {Promise<Array>} The created extractions
+ */
+export const recordExtractions = async (conversation, messageId, normalized) => {
+  try {
+    const proposals = extractSourceProposals(conversation.chatType, normalized);
+    if (proposals.length === 0) return [];
+
+    const pending = await prisma.extraction.findMany({
+      where: { conversationId: conversation.id, status: 'pending' },
+      select: { category: true, proposed: true }
+    });
+
+    const proposalKey = (category, fields) =>
+      [category, sourceNameKey(fields.sourceName), fields.amount, fields.frequency].join('|');
+    const pendingKeys = new Set(pending.map((item) => proposalKey(item.category, item.proposed)));
+
+    const created = [];
+    for (const { category, fields } of proposals) {
+      if (pendingKeys.has(proposalKey(category, fields))) continue;
+
+      // Anonymous conversations have no sources to match until the session is claimed
+      const existing = conversation.userId
+        ? await findSourceByName(prisma, conversation.userId, category, fields.sourceName)
+        : null;
+      const extraction = await prisma.extraction.create({
+        data: {
+          userId: conversation.userId,
+          conversationId: conversation.id,
+          messageId,
+          category,
+          proposed: { ...fields, existingSourceId: existing?.id ?? null }
+        }
+      });
+
+      created.push(formatExtraction(extraction));
+    }
+
+    return created;
+  } catch (error) {
+    throw wrapError('[ExtractionService.recordExtractions]', error, {
+      conversationId: conversation?.id,
+      messageId
+    });
+  }
+};
+
+/**
+ * Give the extractions of claimed anonymous conversations to the user
+ * Pending proposals are matched against the user's sources again, so accepting one
+ * updates a source the user already has instead of duplicating it
+ * @param {Object} client - Prisma transaction client
+ * @param {string} userId - The user's database ID
+ * @param {Array<string>} conversationIds - Database IDs of the claimed conversations
+ * @returns {Promise<number>} Number of extractions moved
+ */
+export const assignExtractionsToUser = async (client, userId, conversationIds) => {
+  try {
+    const extractions = await client.extraction.findMany({
+      where: { conversationId: { in: conversationIds }, userId: null }
+    });
+
+    for (const extraction of extractions) {
+      const existing = extraction.status === 'pending'
+        ? await findSourceByName(client, userId, extraction.category, extraction.proposed.sourceName)
+        : null;
+
+      await client.extraction.update({
+        where: { id: extraction.id },
+        data: {
+          userId,
+          ...(extraction.status === 'pending' && {
+            proposed: { ...extraction.proposed, existingSourceId: existing?.id ?? null }
+          })
+        }
+      });
+    }
+
+    return extractions.length;
+  } catch (error) {
+    throw wrapError('[ExtractionService.assignExtractionsToUser]', error, { userId, conversationIds });
+  }
+};
+
+/**
+ * List extractions for a conversation
+ * @param {string} userId - The user's database ID
+ * @param {string} conversationId - The conversation's database ID
+ * @param {Object} options - Options
+ * @param {string} options.status - Optional status filter
+ * @returns {Promise<Array>} Extractions, oldest first
+ */
+export const listExtractions = async (userId, conversationId, { status } = {}) => {
+  try {
+    const extractions = await prisma.extraction.findMany({
+      where: {
+        userId,
+        conversationId,
+        ...(status && { status })
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return extractions.map(formatExtraction);
+  } catch (error) {
+    throw wrapError('[ExtractionService.listExtractions]', error, { userId, conversationId, status });
+  }
+};
+
+/**
+ * Apply user overrides to proposed source fields
+ * @param {string} category - Source category
+ * @param {Object} proposed - Stored proposal
+ * @param {Object} overrides - { sourceName, amount, frequency, notes, interestRate, minPayment }
+ * @returns {Object} Source fields to write
+ */
+const applyOverrides = (category, proposed, overrides = {}) => {
+  const fields = {
+    sourceName: overrides.sourceName ?? proposed.sourceName,
+    amount: overrides.amount !== undefined ? parseFloat(overrides.amount) : proposed.amount,
+    frequency: overrides.frequency ?? proposed.frequency,
+    notes: overrides.notes !== undefined ? overrides.notes : proposed.notes
+  };
+
+  if (typeof fields.sourceName !== 'string' || fields.sourceName.trim().length === 0) {
+    throw new ValidationError('sourceName must be a non-empty string', { sourceName: fields.sourceName });
+  }
+  fields.sourceName = fields.sourceName.trim();
+
+  if (!Number.isFinite(fields.amount) || fields.amount <= 0) {
+    throw new ValidationError('amount must be a positive number', { amount: overrides.amount });
+  }
+
+  if (!FREQUENCIES.includes(fields.frequency)) {
+    throw new ValidationError('Invalid frequency. Must be one of: ' + FREQUENCIES.join(', '), {
+      frequency: fields.frequency
+    });
+  }
+
+  if (category === 'debt') {
+    const interestRate = overrides.interestRate !== undefined ? parseFloat(overrides.interestRate) : proposed.interestRate;
+    if (interestRate === null || interestRate === undefined) {
+      throw new ValidationError('interestRate is required to accept a debt extraction', { category });
+    }
+    if (!Number.isFinite(interestRate) || interestRate < 0) {
+      throw new ValidationError('interestRate must be a non-negative number', { interestRate: overrides.interestRate });
+    }
+    fields.interestRate = interestRate;
+
+    const minPayment = overrides.minPayment !== undefined ? overrides.minPayment : proposed.minPayment;
+    fields.minPayment = minPayment === null || minPayment === undefined ? null : parseFloat(minPayment);
+    if (fields.minPayment !== null && (!Number.isFinite(fields.minPayment) || fields.minPayment < 0)) {
+      throw new ValidationError('minPayment must be a non-negative number', { minPayment });
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Accept a pending extraction, writing it to the user's sources
+ * A source in the same category with the same name is updated rather than duplicated
+ * @param {string} userId - The user's database ID
+ * @param {string} conversationId - The conversation's database ID
+ * @param {string} extractionId - The extraction ID
+ * @param {Object} overrides - Optional field overrides
+ * @returns {Promise<Object|null>} { extraction, source, action, alreadyResolved }, or null if not found
+ */
+export const acceptExtraction = async (userId, conversationId, extractionId, overrides = {}) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const extraction = await tx.extraction.findFirst({
+        where: { id: extractionId, userId, conversationId }
+      });
+
+      if (!extraction) return null;
+
+      // Claim the extraction first so a double submit can't write the source twice
+      const claimed = await tx.extraction.updateMany({
+        where: { id: extractionId, status: 'pending' },
+        data: { status: 'accepted', resolvedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return { extraction: formatExtraction(extraction), source: null, action: null, alreadyResolved: true };
+      }
+
+      const fields = applyOverrides(extraction.category, extraction.proposed, overrides);
+      const model = tx[SOURCE_MODELS[extraction.category]];
+      const existing = await findSourceByName(tx, userId, extraction.category, fields.sourceName);
+
+      const source = existing
+        ? await model.update({ where: { id: existing.id }, data: fields })
+        : await model.create({ data: { userId, ...fields } });
+
+      const updated = await tx.extraction.update({
+        where: { id: extractionId },
+        data: { sourceId: source.id }
+      });
+
+      return {
+        extraction: formatExtraction(updated),
+        source,
+        action: existing ? 'updated' : 'created',
+        alreadyResolved: false
+      };
+    });
+  } catch (error) {
+    throw wrapError('[ExtractionService.acceptExtraction]', error, { userId, conversationId, extractionId });
+  }
+};
+
+/**
+ * Reject a pending extraction
+ * @param {string} userId - The user's database ID
+ * @param {string} conversationId - The conversation's database ID
+ * @param {string} extractionId - The extraction ID
+ * @returns {Promise<Object|null>} { extraction, alreadyResolved }, or null if not found
+ */
+export const rejectExtraction = async (userId, conversationId, extractionId) => {
+  try {
+    const extraction = await prisma.extraction.findFirst({
+      where: { id: extractionId, userId, conversationId }
+    });
+
+    if (!extraction) return null;
+
+    const claimed = await prisma.extraction.updateMany({
+      where: { id: extractionId, status: 'pending' },
+      data: { status: 'rejected', resolvedAt: new Date() }
+    });
+
+    const current = claimed.count > 0
+      ? await prisma.extraction.findUnique({ where: { id: extractionId } })
+      : extraction;
+
+    return { extraction: formatExtraction(current), alreadyResolved: claimed.count === 0 };
+  } catch (error) {
+    throw wrapError('[ExtractionService.rejectExtraction]', error, { userId, conversationId, extractionId });
+  }
+};
@@ -0,0 +1,162 @@
+import { PrismaClient } from '@prisma/client';
+import { LLM_PROVIDERS, getProvider } from '../src/lib/llm/index.js';
+import {
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASONS,
+  MAX_FEEDBACK_COMMENT_LENGTH,
+  buildFeedbackReport
+} from '../src/lib/message-feedback.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Shape a feedback row for API responses
+ * @param {Object} feedback - MessageFeedback row
+ * @returns {Object} Feedback without internal columns
+ */
+const formatFeedback = (feedback) => ({
+  id: feedback.id,
+  messageId: feedback.messageId,
+  chatType: feedback.chatType,
+  rating: feedback.rating,
+  reason: feedback.reason,
+  comment: feedback.comment,
+  forwarded: Boolean(feedback.forwardedAt),
+  createdAt: feedback.createdAt,
+  updatedAt: feedback.updatedAt
+});
+
+/**
+ * Validate a feedback submission
+ * @param {Object} input - { rating, reason, comment }
+ * @returns {Object} Cleaned { rating, reason, comment }
+ */
+const validateFeedback = ({ rating, reason, comment }) => {
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    throw new ValidationError('Invalid rating. Must be one of: ' + FEEDBACK_RATINGS.join(', '), { rating });
+  }
+
+  if (reason !== undefined && reason !== null) {
+    if (rating !== 'dislike') {
+      throw new ValidationError('reason can only be given with a dislike', { rating, reason });
+    }
+    if (!FEEDBACK_REASONS.includes(reason)) {
+      throw new ValidationError('Invalid reason. Must be one of: ' + FEEDBACK_REASONS.join(', '), { reason });
+    }
+  }
+
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== 'string') {
+      throw new ValidationError('comment must be a string', { comment });
+    }
+    if (comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+      throw new ValidationError(`comment must be at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters`, {
+        length: comment.length
+      });
+    }
+  }
+
+  return {
+    rating,
+    reason: reason ?? null,
+    comment: comment?.trim() || null
+  };
+};
+
+/**
+ * Pass a rating on to the provider that wrote the reply, without ever failing the request
+ * Only providers with `sendFeedback` (Dify) receive it, and only for replies with a provider message ID
+ * @param {Object} feedback - MessageFeedback row
+ * @param {Object} message - The rated message
+ * @param {string} userId - The user's database ID (the `user` the chat was sent as)
+ * @returns {Promise<Object>} The feedback row, with forwardedAt set when forwarded
+ */
+const forwardFeedback = async (feedback, message, userId) => {
+  const providerName = message.meta?.provider;
+  const providerMessageId = message.meta?.providerMessageId;
+  if (!LLM_PROVIDERS.includes(providerName) || !providerMessageId) return feedback;
+
+  const provider = getProvider(providerName);
+  if (typeof provider.sendFeedback !== 'function' || !provider.isConfigured()) return feedback;
+
+  try {
+    await provider.sendFeedback({
+      messageId: providerMessageId,
+      rating: feedback.rating,
+      user: userId,
+      content: [feedback.reason, feedback.comment].filter(Boolean).join(': ') || null
+    });
+
+    return await prisma.messageFeedback.update({
+      where: { id: feedback.id },
+      data: { forwardedAt: new Date() }
+    });
+  } catch (error) {
+    console.error('[FeedbackService] ⚠️ Failed to forward feedback:', {
+      feedbackId: feedback.id,
+      provider: providerName,
+      message: error.message
+    });
+    return feedback;
+  }
+};
+
+/**
+ * Rate an assistant reply; rating the same reply again replaces the earlier rating
+ * @param {string} userId - The user's database ID
+ * @param {Object} message - The assistant message, with its conversation
+ * @param {Object} input - { rating, reason, comment }
+ * @returns {Promise<Object>} The stored feedback
+ */
+export const submitFeedback = async (userId, message, input) => {
+  try {
+    const { rating, reason, comment } = validateFeedback(input);
+
+    const feedback = await prisma.messageFeedback.upsert({
+      where: { messageId: message.id },
+      create: {
+        userId,
+        messageId: message.id,
+        chatType: message.conversation.chatType,
+        rating,
+        reason,
+        comment,
+        provider: message.meta?.provider ?? null
+      },
+      update: { rating, reason, comment, forwardedAt: null }
+    });
+
+    return formatFeedback(await forwardFeedback(feedback, message, userId));
+  } catch (error) {
+    throw wrapError('[FeedbackService.submitFeedback]', error, { userId, messageId: message?.id });
+  }
+};
+
+/**
+ * Aggregate feedback per chat type
+ * @param {Object} options - Filters
+ * @param {Date} options.from - Only feedback given at or after this time
+ * @param {Date} options.to - Only feedback given at or before this time
+ * @returns {Promise<Object>} { chatTypes, overall } as built by buildFeedbackReport
+ */
+export const getFeedbackReport = async ({ from, to } = {}) => {
+  try {
+    const groups = await prisma.messageFeedback.groupBy({
+      by: ['chatType', 'rating', 'reason'],
+      where: {
+        ...((from || to) && {
+          createdAt: {
+            ...(from && { gte: from }),
+            ...(to && { lte: to })
+          }
+        })
+      },
+      _count: { _all: true }
+    });
+
+    return buildFeedbackReport(groups.map(({ _count, ...group }) => ({ ...group, count: _count._all })));
+  } catch (error) {
+    throw wrapError('[FeedbackService.getFeedbackReport]', error, { from, to });
+  }
+};
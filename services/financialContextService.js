@@ -0,0 +1,34 @@
+import { getFinancialOverview } from './financialSummaryService.js';
+import { getSavingsGoals } from './savingsGoalService.js';
+import { getSnapshotHistory } from './snapshotService.js';
+import { buildFinancialContext, DEFAULT_CONTEXT_MAX_TOKENS } from '../src/lib/financial-context.js';
+import { wrapError } from '../src/errors/index.js';
+
+// Months of snapshot history considered for the context
+const HISTORY_MONTHS = 6;
+
+/**
+ * Build the financial context sent with a user's chat requests
+ * @param {string} userId - The user's database ID
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Token budget (defaults to CHAT_CONTEXT_MAX_TOKENS)
+ * @returns {Promise<Object>} Compact context object
+ */
+export const getFinancialContext = async (userId, {
+  maxTokens = parseInt(process.env.CHAT_CONTEXT_MAX_TOKENS, 10) || DEFAULT_CONTEXT_MAX_TOKENS
+} = {}) => {
+  try {
+    const from = new Date();
+    from.setUTCMonth(from.getUTCMonth() - HISTORY_MONTHS);
+
+    const [{ summary, data }, goals, history] = await Promise.all([
+      getFinancialOverview(userId),
+      getSavingsGoals(userId),
+      getSnapshotHistory(userId, { from, granularity: 'month' })
+    ]);
+
+    return buildFinancialContext({ summary, sources: data, goals, history }, { maxTokens });
+  } catch (error) {
+    throw wrapError('[FinancialContextService.getFinancialContext]', error, { userId, maxTokens });
+  }
+};
@@ -0,0 +1,43 @@
+import { PrismaClient } from '@prisma/client';
+import { buildFinancialSummary } from '../src/lib/financial-summary.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get every income, debt, expense and savings source for a user
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Object>} Source rows grouped as { income, debt, expenses, savings }
+ */
+export const getFinancialSources = async (userId) => {
+  try {
+    const [income, debt, expenses, savings] = await Promise.all([
+      prisma.incomeSource.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } }),
+      prisma.debtSource.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } }),
+      prisma.expenseSource.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } }),
+      prisma.savingsSource.findMany({ where: { userId }, orderBy: { createdAt: 'desc' } })
+    ]);
+
+    return { income, debt, expenses, savings };
+  } catch (error) {
+    throw wrapError('[FinancialSummaryService.getFinancialSources]', error, { userId });
+  }
+};
+
+/**
+ * Get a user's sources together with their frequency-normalized summary
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Object>} Object containing { summary, data }
+ */
+export const getFinancialOverview = async (userId) => {
+  try {
+    const data = await getFinancialSources(userId);
+
+    return {
+      summary: buildFinancialSummary(data),
+      data
+    };
+  } catch (error) {
+    throw wrapError('[FinancialSummaryService.getFinancialOverview]', error, { userId });
+  }
+};
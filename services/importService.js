@@ -0,0 +1,244 @@
+import { createHash } from 'node:crypto';
+import { PrismaClient } from '@prisma/client';
+import { parseStatement } from '../src/lib/statement-parser.js';
+import { detectRecurring, normalizePayee } from '../src/lib/recurring-detector.js';
+import { FREQUENCIES } from '../src/lib/financial-summary.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash statement content so re-uploads of the same file map to the same batch
+ * Line endings and surrounding whitespace are normalized first
+ * @param {string} content - Statement content
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashStatement = (content) =>
+  createHash('sha256').update(content.replace(/\r\n?/g, '\n').trim()).digest('hex');
+
+/**
+ * Shape an import batch row for API responses
+ * @param {Object} batch - ImportBatch row
+ * @returns {Object} Batch without internal columns
+ */
+const formatBatch = (batch) => ({
+  id: batch.id,
+  fileName: batch.fileName,
+  format: batch.format,
+  status: batch.status,
+  transactionCount: batch.transactionCount,
+  proposals: batch.proposals,
+  result: batch.result,
+  createdAt: batch.createdAt,
+  committedAt: batch.committedAt
+});
+
+/**
+ * Load the user's existing income and expense sources keyed by normalized payee
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Map>} Map of `${type}:${payee}` → source ID
+ */
+const getExistingSourceKeys = async (client, userId) => {
+  const [incomeSources, expenseSources] = await Promise.all([
+    client.incomeSource.findMany({ where: { userId }, select: { id: true, sourceName: true } }),
+    client.expenseSource.findMany({ where: { userId }, select: { id: true, sourceName: true } })
+  ]);
+
+  const keys = new Map();
+  incomeSources.forEach((source) => keys.set(`income:${normalizePayee(source.sourceName)}`, source.id));
+  expenseSources.forEach((source) => keys.set(`expense:${normalizePayee(source.sourceName)}`, source.id));
+  return keys;
+};
+
+/**
+ * Parse a statement and store a preview of the proposed sources
+ * Re-uploading a file that was already committed returns the committed batch unchanged
+ * @param {string} userId - The user's database ID
+ * @param {Object} upload - Upload details
+ * @param {string} upload.content - Statement content
+ * @param {string} upload.format - 'csv' or 'ofx'
+ * @param {string} upload.fileName - Optional original file name
+ * @param {Object} upload.mapping - CSV column mapping
+ * @returns {Promise<Object>} { batch, alreadyImported, skippedRows }
+ */
+export const previewImport = async (userId, { content, format, fileName, mapping }) => {
+  try {
+    const fileHash = hashStatement(content);
+
+    const existing = await prisma.importBatch.findUnique({
+      where: { userId_fileHash: { userId, fileHash } }
+    });
+
+    if (existing?.status === 'committed') {
+      return { batch: formatBatch(existing), alreadyImported: true, skippedRows: 0 };
+    }
+
+    const { transactions, skippedRows } = parseStatement(content, format, mapping);
+
+    if (transactions.length === 0) {
+      throw new ValidationError('No transactions could be parsed from the file', { format, skippedRows });
+    }
+
+    const existingKeys = await getExistingSourceKeys(prisma, userId);
+    const proposals = detectRecurring(transactions).map((proposal) => {
+      const existingSourceId = existingKeys.get(`${proposal.type}:${proposal.payee}`) ?? null;
+      return {
+        ...proposal,
+        existingSourceId,
+        selected: !existingSourceId
+      };
+    });
+
+    const fields = {
+      fileName: fileName || null,
+      format,
+      transactionCount: transactions.length,
+      proposals
+    };
+
+    const batch = await prisma.importBatch.upsert({
+      where: { userId_fileHash: { userId, fileHash } },
+      create: { userId, fileHash, ...fields },
+      update: fields
+    });
+
+    return { batch: formatBatch(batch), alreadyImported: false, skippedRows };
+  } catch (error) {
+    throw wrapError('[ImportService.previewImport]', error, { userId, format, fileName });
+  }
+};
+
+/**
+ * Get an import batch
+ * @param {string} userId - The user's database ID
+ * @param {string} batchId - The batch ID
+ * @returns {Promise<Object|null>} The batch or null if not found
+ */
+export const getImportBatch = async (userId, batchId) => {
+  try {
+    const batch = await prisma.importBatch.findFirst({
+      where: { id: batchId, userId }
+    });
+
+    return batch ? formatBatch(batch) : null;
+  } catch (error) {
+    throw wrapError('[ImportService.getImportBatch]', error, { userId, batchId });
+  }
+};
+
+/**
+ * Apply user overrides to a proposal
+ * @param {Object} proposal - Stored proposal
+ * @param {Object} override - { sourceName, amount, frequency }
+ * @returns {Object} Source fields to create
+ */
+const applyOverride = (proposal, override = {}) => {
+  const fields = {
+    sourceName: proposal.sourceName,
+    amount: proposal.amount,
+    frequency: proposal.frequency
+  };
+
+  if (override.sourceName !== undefined) {
+    if (typeof override.sourceName !== 'string' || override.sourceName.trim().length === 0) {
+      throw new ValidationError('Override sourceName must be a non-empty string', { key: proposal.key });
+    }
+    fields.sourceName = override.sourceName.trim();
+  }
+
+  if (override.amount !== undefined) {
+    const amount = parseFloat(override.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ValidationError('Override amount must be a positive number', { key: proposal.key });
+    }
+    fields.amount = amount;
+  }
+
+  if (override.frequency !== undefined) {
+    if (!FREQUENCIES.includes(override.frequency)) {
+      throw new ValidationError('Invalid override frequency. Must be one of: ' + FREQUENCIES.join(', '), {
+        key: proposal.key,
+        frequency: override.frequency
+      });
+    }
+    fields.frequency = override.frequency;
+  }
+
+  return fields;
+};
+
+/**
+ * Commit a previewed import, creating the accepted income and expense sources
+ * Proposals matching a source the user already has are skipped, and a batch can only be committed once
+ * @param {string} userId - The user's database ID
+ * @param {string} batchId - The batch ID
+ * @param {Object} options - Commit options
+ * @param {Array<string>} options.proposalKeys - Keys to accept (defaults to the preview's selected proposals)
+ * @param {Object} options.overrides - Per-key { sourceName, amount, frequency } overrides
+ * @returns {Promise<Object|null>} { batch, alreadyImported }, or null if the batch doesn't exist
+ */
+export const commitImport = async (userId, batchId, { proposalKeys, overrides = {} } = {}) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const batch = await tx.importBatch.findFirst({
+        where: { id: batchId, userId }
+      });
+
+      if (!batch) return null;
+
+      // Claim the batch first so concurrent commits can't both create sources
+      const claimed = await tx.importBatch.updateMany({
+        where: { id: batchId, status: 'preview' },
+        data: { status: 'committed', committedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        const committed = await tx.importBatch.findUnique({ where: { id: batchId } });
+        return { batch: formatBatch(committed), alreadyImported: true };
+      }
+
+      const proposals = batch.proposals ?? [];
+      const knownKeys = new Set(proposals.map((proposal) => proposal.key));
+      const acceptedKeys = proposalKeys ?? proposals.filter((proposal) => proposal.selected).map((proposal) => proposal.key);
+
+      const unknownKeys = acceptedKeys.filter((key) => !knownKeys.has(key));
+      if (unknownKeys.length > 0) {
+        throw new ValidationError('proposalKeys contains unknown proposals', { unknownKeys });
+      }
+
+      const existingKeys = await getExistingSourceKeys(tx, userId);
+      const notes = `Imported from ${batch.fileName || 'bank statement'}`;
+      const created = [];
+      const skipped = [];
+
+      for (const proposal of proposals.filter((item) => acceptedKeys.includes(item.key))) {
+        const fields = applyOverride(proposal, overrides[proposal.key]);
+        const existingSourceId = existingKeys.get(`${proposal.type}:${normalizePayee(fields.sourceName)}`) ??
+          existingKeys.get(`${proposal.type}:${proposal.payee}`);
+
+        if (existingSourceId) {
+          skipped.push({ key: proposal.key, reason: 'duplicate', existingSourceId });
+          continue;
+        }
+
+        const model = proposal.type === 'income' ? tx.incomeSource : tx.expenseSource;
+        const source = await model.create({
+          data: { userId, ...fields, notes }
+        });
+
+        existingKeys.set(`${proposal.type}:${normalizePayee(fields.sourceName)}`, source.id);
+        created.push({ key: proposal.key, type: proposal.type, sourceId: source.id });
+      }
+
+      const updated = await tx.importBatch.update({
+        where: { id: batchId },
+        data: { result: { created, skipped } }
+      });
+
+      return { batch: formatBatch(updated), alreadyImported: false };
+    });
+  } catch (error) {
+    throw wrapError('[ImportService.commitImport]', error, { userId, batchId });
+  }
+};
@@ -1,5 +1,8 @@
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import { updateConversationTimestamp } from './conversationService.js';
+import { HEADLINE_OPTIONS, formatSnippet } from '../src/lib/search-snippet.js';
+import { toChatType, defaultConversationTitle } from '../src/lib/conversation-threads.js';
+import { cursorPage, cursorQuery } from '../src/lib/cursor.js';
 import { wrapError } from '../src/errors/index.js';
 
 const prisma = new PrismaClient();
@@ -76,6 +79,51 @@ export const getMessages = async (conversationId, options = {}) => {
   }
 };
 
+/**
+ * Get one page of a conversation's messages
+ * Pages by cursor when `before` or `after` is given, otherwise by offset
+ * @param {string} conversationId - The conversation's database ID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of messages to skip (ignored with a cursor)
+ * @param {string} options.orderBy - Order direction ('asc' or 'desc')
+ * @param {Object} options.before - Decoded cursor; return the messages preceding it
+ * @param {Object} options.after - Decoded cursor; return the messages following it
+ * @returns {Promise<Object>} { messages, nextCursor, prevCursor }
+ */
+export const getMessagePage = async (conversationId, options = {}) => {
+  const { limit = 50, offset = 0, orderBy = 'asc', before, after } = options;
+  const page = { field: 'createdAt', order: orderBy, limit, before, after };
+
+  try {
+    const { where, orderBy: order, take } = cursorQuery(page);
+    const rows = await prisma.message.findMany({
+      where: { conversationId, ...where },
+      orderBy: order,
+      take,
+      ...(!before && !after && { skip: offset }),
+      include: {
+        conversation: {
+          select: {
+            id: true,
+            chatType: true,
+            userId: true
+          }
+        }
+      }
+    });
+
+    const { items, nextCursor, prevCursor } = cursorPage(rows, {
+      ...page,
+      offset: before || after ? 0 : offset
+    });
+
+    return { messages: items, nextCursor, prevCursor };
+  } catch (error) {
+    throw wrapError('[MessageService.getMessagePage]', error, { conversationId, limit, offset, orderBy });
+  }
+};
+
 /**
  * Get the latest message for a conversation
  * @param {string} conversationId - The conversation's database ID
@@ -155,14 +203,181 @@ export const deleteMessage = async (messageId, userId) => {
   }
 };
 
+/**
+ * Get a message if it belongs to one of the user's conversations
+ * @param {string} messageId - The message ID
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Object|null>} The message with its conversation, or null
+ */
+export const getMessageForUser = async (messageId, userId) => {
+  try {
+    return await prisma.message.findFirst({
+      where: { id: messageId, conversation: { userId } },
+      include: { conversation: true }
+    });
+  } catch (error) {
+    throw wrapError('[MessageService.getMessageForUser]', error, { messageId, userId });
+  }
+};
+
+/**
+ * Get the messages that precede a message
+ * @param {Object} message - Message row
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of messages (most recent kept)
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+export const getMessagesBefore = async (message, { limit = 20 } = {}) => {
+  try {
+    const messages = await prisma.message.findMany({
+      where: { conversationId: message.conversationId, createdAt: { lt: message.createdAt } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit
+    });
+
+    return messages.reverse();
+  } catch (error) {
+    throw wrapError('[MessageService.getMessagesBefore]', error, { messageId: message?.id });
+  }
+};
+
+/**
+ * Find the user message an assistant reply answered
+ * @param {Object} reply - Assistant message row
+ * @returns {Promise<Object|null>} The closest earlier user message, or null
+ */
+export const findPromptMessage = async (reply) => {
+  try {
+    return await prisma.message.findFirst({
+      where: {
+        conversationId: reply.conversationId,
+        role: 'user',
+        id: { not: reply.id },
+        createdAt: { lte: reply.createdAt }
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+  } catch (error) {
+    throw wrapError('[MessageService.findPromptMessage]', error, { messageId: reply?.id });
+  }
+};
+
+/**
+ * Rewrite a message and drop every message after it
+ * The previous content and the dropped messages are appended to `meta.versions` of the
+ * rewritten message, so the conversation history stays auditable. Pending extractions
+ * proposed by superseded replies are discarded. Their ratings are marked superseded and detached,
+ * so a regenerated reply starts unrated while the feedback report keeps counting them.
+ * @param {Object} message - The message being edited (user) or regenerated (assistant)
+ * @param {Object} changes - Changes
+ * @param {string} changes.content - New content
+ * @param {string} changes.reason - 'edited' or 'regenerated'
+ * @param {Object} changes.meta - Metadata to set on the message (e.g. provider and model of a new reply)
+ * @param {Object} changes.reply - New assistant reply stored after an edited user message: { content, meta }
+ * @returns {Promise<Object>} { message, reply, truncated } where truncated is the number of dropped messages
+ */
+export const reviseMessage = async (message, { content, reason, meta = {}, reply = null }) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const current = await tx.message.findUnique({ where: { id: message.id } });
+      if (!current) {
+        throw new Error('Message not found or unauthorized');
+      }
+
+      // A reply stored in the same transaction as its prompt can share its timestamp
+      const later = await tx.message.findMany({
+        where: {
+          conversationId: current.conversationId,
+          id: { not: current.id },
+          OR: [
+            { createdAt: { gt: current.createdAt } },
+            ...(current.role === 'user' ? [{ createdAt: current.createdAt, role: 'assistant' }] : [])
+          ]
+        },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+      });
+
+      const { versions = [], ...currentMeta } = current.meta ?? {};
+      const version = {
+        content: current.content,
+        meta: Object.keys(currentMeta).length > 0 ? currentMeta : null,
+        reason,
+        supersededAt: new Date().toISOString(),
+        truncated: later.map(({ id, role, content: text, meta: laterMeta, createdAt }) => ({
+          id,
+          role,
+          content: text,
+          meta: laterMeta,
+          createdAt
+        }))
+      };
+
+      const supersededIds = [...later.map((item) => item.id), ...(current.role === 'assistant' ? [current.id] : [])];
+      if (supersededIds.length > 0) {
+        await tx.extraction.deleteMany({ where: { messageId: { in: supersededIds }, status: 'pending' } });
+        // Keep ratings for the feedback report (a dislike before a regenerate is worth counting), but
+        // detach them so the new reply starts unrated
+        await tx.messageFeedback.updateMany({
+          where: { messageId: { in: supersededIds } },
+          data: { messageId: null, supersededAt: new Date() }
+        });
+      }
+      if (later.length > 0) {
+        await tx.message.deleteMany({ where: { id: { in: later.map((item) => item.id) } } });
+      }
+
+      const updated = await tx.message.update({
+        where: { id: current.id },
+        data: {
+          content,
+          meta: { ...(current.role === 'assistant' ? {} : currentMeta), ...meta, versions: [...versions, version] }
+        }
+      });
+
+      const replyMessage = reply
+        ? await tx.message.create({
+          data: {
+            conversationId: current.conversationId,
+            role: 'assistant',
+            content: reply.content,
+            ...(reply.meta && { meta: reply.meta })
+          }
+        })
+        : null;
+
+      // A summary that covers the rewritten message describes a conversation that no longer exists
+      const conversation = await tx.conversation.findUnique({ where: { id: current.conversationId } });
+      const staleSummary = conversation.summarizedThrough && current.createdAt <= conversation.summarizedThrough;
+
+      await tx.conversation.update({
+        where: { id: current.conversationId },
+        data: {
+          updatedAt: new Date(),
+          ...(staleSummary && {
+            summary: null,
+            summarizedThrough: null,
+            summarizedMessageCount: 0,
+            summaryUpdatedAt: null
+          })
+        }
+      });
+
+      return { message: updated, reply: replyMessage, truncated: later.length };
+    });
+  } catch (error) {
+    throw wrapError('[MessageService.reviseMessage]', error, { messageId: message?.id, reason });
+  }
+};
+
 /**
  * Add both user and bot messages in a single transaction
  * @param {string} conversationId - The conversation's database ID
  * @param {string} userMessage - The user's message content
  * @param {string} botResponse - The bot's response content
+ * @param {Object} botMeta - Optional metadata stored on the bot message (e.g. provider and model)
  * @returns {Promise<Object>} Object containing both created messages
  */
-export const addMessagePair = async (conversationId, userMessage, botResponse) => {
+export const addMessagePair = async (conversationId, userMessage, botResponse, botMeta = null) => {
   try {
     const result = await prisma.$transaction(async (tx) => {
       const userMsg = await tx.message.create({
@@ -177,7 +392,8 @@ export const addMessagePair = async (conversationId, userMessage, botResponse) =
         data: {
           conversationId,
           role: 'assistant',
-          content: botResponse
+          content: botResponse,
+          ...(botMeta && { meta: botMeta })
         }
       });
 
@@ -239,4 +455,73 @@ export const addMessages = async (conversationId, messages) => {
       messageCount: messages?.length
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Full-text search across a user's messages
+ * Uses the `messages_content_search_idx` GIN index on to_tsvector('english', content)
+ * @param {string} userId - The user's database ID
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search text (websearch syntax: "quoted phrases", -exclusions, or)
+ * @param {string} options.chatType - Only messages in conversations of this chat type
+ * @param {Date} options.from - Only messages created at or after this time
+ * @param {Date} options.to - Only messages created at or before this time
+ * @param {number} options.limit - Maximum results
+ * @param {number} options.offset - Results to skip
+ * @returns {Promise<Object>} { results, total } with results ranked best first
+ */
+export const searchMessages = async (userId, { query, chatType, from, to, limit = 20, offset = 0 }) => {
+  try {
+    const filters = Prisma.sql`
+      c.user_id = ${userId}
+      AND to_tsvector('english', m.content) @@ websearch_to_tsquery('english', ${query})
+      ${chatType ? Prisma.sql`AND c.chat_type = CAST(${toChatType(chatType)} AS "ChatType")` : Prisma.empty}
+      ${from ? Prisma.sql`AND m.created_at >= ${from}` : Prisma.empty}
+      ${to ? Prisma.sql`AND m.created_at <= ${to}` : Prisma.empty}
+    `;
+
+    const [rows, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT
+          m.id,
+          m.role,
+          m.created_at AS "createdAt",
+          ts_rank(to_tsvector('english', m.content), websearch_to_tsquery('english', ${query})) AS rank,
+          ts_headline('english', m.content, websearch_to_tsquery('english', ${query}), ${HEADLINE_OPTIONS}) AS headline,
+          c.id AS "conversationId",
+          c.chat_type AS "chatType",
+          c.title,
+          c.status
+        FROM "public"."messages" m
+        JOIN "public"."conversations" c ON c.id = m.conversation_id
+        WHERE ${filters}
+        ORDER BY rank DESC, m.created_at DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `,
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS total
+        FROM "public"."messages" m
+        JOIN "public"."conversations" c ON c.id = m.conversation_id
+        WHERE ${filters}
+      `
+    ]);
+
+    const results = rows.map((row) => ({
+      messageId: row.id,
+      role: row.role,
+      createdAt: row.createdAt,
+      rank: Number(row.rank),
+      snippet: formatSnippet(row.headline),
+      conversation: {
+        id: row.conversationId,
+        chatType: row.chatType,
+        title: row.title ?? defaultConversationTitle(row.chatType),
+        status: row.status
+      }
+    }));
+
+    return { results, total };
+  } catch (error) {
+    throw wrapError('[MessageService.searchMessages]', error, { userId, chatType, from, to });
+  }
+};
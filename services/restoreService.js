@@ -0,0 +1,241 @@
+import { randomUUID } from 'node:crypto';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { prepareImportBundle } from '../src/lib/import-bundle.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+// Large bundles insert thousands of rows; Prisma's 5s default is too short
+const RESTORE_TRANSACTION_TIMEOUT_MS = 60000;
+
+const SOURCE_TABLES = {
+  incomeSources: 'incomeSource',
+  debtSources: 'debtSource',
+  expenseSources: 'expenseSource',
+  savingsSources: 'savingsSource'
+};
+
+/**
+ * Key used to spot a source the user already has when merging
+ */
+const sourceKey = (source) => `${source.sourceName}|${Number(source.amount)}|${source.frequency}`;
+
+/**
+ * Key used to spot a savings goal the user already has when merging
+ */
+const goalKey = (goal) => `${goal.name}|${Number(goal.targetAmount)}`;
+
+/**
+ * Key used to skip messages already present in a merged conversation
+ */
+const messageKey = (message) => `${message.role}|${message.content}|${message.createdAt ? new Date(message.createdAt).toISOString() : ''}`;
+
+/**
+ * Delete every restorable record the user owns
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - The user's database ID
+ */
+const clearRestorableData = async (tx, userId) => {
+  // Goals first so their source links go with them; conversations cascade to messages
+  await tx.savingsGoal.deleteMany({ where: { userId } });
+  await tx.expenseSource.deleteMany({ where: { userId } });
+  await tx.incomeSource.deleteMany({ where: { userId } });
+  await tx.debtSource.deleteMany({ where: { userId } });
+  await tx.savingsSource.deleteMany({ where: { userId } });
+  await tx.budgetCategory.deleteMany({ where: { userId } });
+  await tx.conversation.deleteMany({ where: { userId } });
+};
+
+/**
+ * Restore an export bundle into a user's account
+ * Every record gets a new ID and references between records are remapped. In `merge` mode
+ * existing data is kept: categories are matched by name, savings goals by name and target,
+ * conversations by provider conversation ID or the bundle ID they were restored from, and identical
+ * sources or messages are skipped. In `replace` mode existing data is removed first.
+ * @param {string} userId - The user's database ID
+ * @param {Object} bundle - Parsed export bundle
+ * @param {Object} options - Options
+ * @param {string} options.mode - 'merge' or 'replace'
+ * @returns {Promise<Object>} { mode, created, skipped, idMap }
+ */
+export const restoreAccountBundle = async (userId, bundle, { mode = 'merge' } = {}) => {
+  try {
+    const { tables, errors, errorCount } = prepareImportBundle(bundle, Prisma.dmmf.datamodel);
+
+    if (errorCount > 0) {
+      const more = errorCount > 1 ? ` (and ${errorCount - 1} more)` : '';
+      throw new ValidationError(`Import bundle is invalid: ${errors[0]}${more}`, { errors, errorCount });
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      if (mode === 'replace') {
+        await clearRestorableData(tx, userId);
+      }
+
+      const created = {};
+      const skipped = {};
+      const idMap = {};
+      const track = (table) => {
+        created[table] = 0;
+        skipped[table] = 0;
+        idMap[table] = {};
+      };
+      const remember = (table, originalId, newId) => {
+        if (originalId) idMap[table][originalId] = newId;
+      };
+
+      // Budget categories are unique by name, so merges reuse the existing category
+      track('budgetCategories');
+      const existingCategories = new Map((await tx.budgetCategory.findMany({ where: { userId } }))
+        .map((category) => [category.name, category.id]));
+      const newCategories = [];
+
+      for (const { originalId, data } of tables.budgetCategories) {
+        const existingId = existingCategories.get(data.name);
+        if (existingId) {
+          remember('budgetCategories', originalId, existingId);
+          skipped.budgetCategories += 1;
+          continue;
+        }
+        const id = randomUUID();
+        existingCategories.set(data.name, id);
+        remember('budgetCategories', originalId, id);
+        newCategories.push({ ...data, id, userId });
+      }
+
+      await tx.budgetCategory.createMany({ data: newCategories });
+      created.budgetCategories = newCategories.length;
+
+      for (const [table, model] of Object.entries(SOURCE_TABLES)) {
+        track(table);
+        const existing = await tx[model].findMany({ where: { userId } });
+        const existingKeys = new Map(existing.map((source) => [sourceKey(source), source.id]));
+        const rows = [];
+
+        for (const { originalId, data, refs } of tables[table]) {
+          const existingId = existingKeys.get(sourceKey(data));
+          if (existingId) {
+            remember(table, originalId, existingId);
+            skipped[table] += 1;
+            continue;
+          }
+
+          const id = randomUUID();
+          existingKeys.set(sourceKey(data), id);
+          remember(table, originalId, id);
+          rows.push({
+            ...data,
+            id,
+            userId,
+            ...(refs.categoryId && { categoryId: idMap.budgetCategories[refs.categoryId] })
+          });
+        }
+
+        await tx[model].createMany({ data: rows });
+        created[table] = rows.length;
+      }
+
+      // Goals the user already has (same name and target) are reused, so re-importing doesn't duplicate them
+      track('savingsGoals');
+      const existingGoals = new Map((await tx.savingsGoal.findMany({
+        where: { userId },
+        select: { id: true, name: true, targetAmount: true }
+      })).map((goal) => [goalKey(goal), goal.id]));
+
+      for (const { originalId, data, refs } of tables.savingsGoals) {
+        const existingId = existingGoals.get(goalKey(data));
+        if (existingId) {
+          remember('savingsGoals', originalId, existingId);
+          skipped.savingsGoals += 1;
+          continue;
+        }
+
+        const id = randomUUID();
+        existingGoals.set(goalKey(data), id);
+        remember('savingsGoals', originalId, id);
+
+        const savingsSourceIds = [...new Set((refs.savingsSourceIds ?? [])
+          .map((sourceId) => idMap.savingsSources[sourceId]))];
+
+        await tx.savingsGoal.create({
+          data: {
+            ...data,
+            id,
+            userId,
+            sources: { create: savingsSourceIds.map((savingsSourceId) => ({ savingsSourceId })) }
+          }
+        });
+        created.savingsGoals += 1;
+      }
+
+      // Merges match threads by provider conversation ID, or by the bundle ID they were restored from
+      // (placeholders and later provider IDs differ from the bundle's), so restoring twice doesn't duplicate them
+      track('conversations');
+      const userConversations = await tx.conversation.findMany({
+        where: { userId },
+        select: { id: true, conversationId: true, restoredFromId: true }
+      });
+      const existingConversations = new Map(userConversations.map((conversation) => [conversation.conversationId, conversation.id]));
+      const restoredConversations = new Map(userConversations
+        .filter((conversation) => conversation.restoredFromId)
+        .map((conversation) => [conversation.restoredFromId, conversation.id]));
+      const mergedConversationIds = new Set(existingConversations.values());
+
+      const takenDifyIds = new Set((await tx.conversation.findMany({
+        where: { conversationId: { in: tables.conversations.map(({ data }) => data.conversationId) } },
+        select: { conversationId: true }
+      })).map((conversation) => conversation.conversationId));
+
+      for (const { originalId, data } of tables.conversations) {
+        const existingId = existingConversations.get(data.conversationId)
+          ?? (originalId ? restoredConversations.get(originalId) : undefined);
+        if (existingId) {
+          remember('conversations', originalId, existingId);
+          skipped.conversations += 1;
+          continue;
+        }
+
+        const id = randomUUID();
+        // Another account owns this provider ID; use a placeholder so the provider starts a new conversation
+        const conversationId = takenDifyIds.has(data.conversationId)
+          ? `${userId}-${data.chatType}-${randomUUID()}`
+          : data.conversationId;
+
+        takenDifyIds.add(conversationId);
+        existingConversations.set(conversationId, id);
+        if (originalId) restoredConversations.set(originalId, id);
+        remember('conversations', originalId, id);
+
+        await tx.conversation.create({ data: { ...data, id, userId, conversationId, restoredFromId: originalId } });
+        created.conversations += 1;
+      }
+
+      track('messages');
+      const existingMessageKeys = new Set((await tx.message.findMany({
+        where: { conversationId: { in: [...mergedConversationIds] } },
+        select: { conversationId: true, role: true, content: true, createdAt: true }
+      })).map((message) => `${message.conversationId}|${messageKey(message)}`));
+
+      const messages = [];
+      for (const { data, refs } of tables.messages) {
+        const conversationId = idMap.conversations[refs.conversationId];
+        const key = `${conversationId}|${messageKey(data)}`;
+
+        if (existingMessageKeys.has(key)) {
+          skipped.messages += 1;
+          continue;
+        }
+
+        existingMessageKeys.add(key);
+        messages.push({ ...data, id: randomUUID(), conversationId });
+      }
+
+      await tx.message.createMany({ data: messages });
+      created.messages = messages.length;
+
+      return { mode, created, skipped, idMap };
+    }, { timeout: RESTORE_TRANSACTION_TIMEOUT_MS });
+  } catch (error) {
+    throw wrapError('[RestoreService.restoreAccountBundle]', error, { userId, mode });
+  }
+};
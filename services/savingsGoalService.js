@@ -0,0 +1,160 @@
+import { PrismaClient } from '@prisma/client';
+import { projectSavingsGoals } from '../src/lib/savings-projection.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+const goalInclude = {
+  sources: {
+    include: {
+      savingsSource: true
+    }
+  }
+};
+
+/**
+ * Shape a goal row for API responses
+ * @param {Object} goal - SavingsGoal row including sources
+ * @param {Object} projection - Projection for the goal
+ * @returns {Object} Goal with flattened savings sources and its projection
+ */
+const formatGoal = (goal, projection) => ({
+  id: goal.id,
+  name: goal.name,
+  targetAmount: goal.targetAmount,
+  currentAmount: goal.currentAmount,
+  targetDate: goal.targetDate,
+  priority: goal.priority,
+  notes: goal.notes,
+  createdAt: goal.createdAt,
+  updatedAt: goal.updatedAt,
+  savingsSources: goal.sources.map((link) => link.savingsSource),
+  projection: projection ?? null
+});
+
+/**
+ * Ensure every savings source ID belongs to the user
+ * @param {string} userId - The user's database ID
+ * @param {Array<string>} savingsSourceIds - Savings source IDs to link
+ * @returns {Promise<Array<string>>} De-duplicated, verified IDs
+ */
+export const verifySavingsSourceIds = async (userId, savingsSourceIds = []) => {
+  const uniqueIds = [...new Set(savingsSourceIds)];
+  if (uniqueIds.length === 0) return uniqueIds;
+
+  try {
+    const found = await prisma.savingsSource.findMany({
+      where: { id: { in: uniqueIds }, userId },
+      select: { id: true }
+    });
+
+    const foundIds = new Set(found.map((source) => source.id));
+    const unknownIds = uniqueIds.filter((id) => !foundIds.has(id));
+
+    if (unknownIds.length > 0) {
+      throw new ValidationError('savingsSourceIds contains unknown savings source IDs', { unknownIds });
+    }
+
+    return uniqueIds;
+  } catch (error) {
+    throw wrapError('[SavingsGoalService.verifySavingsSourceIds]', error, { userId });
+  }
+};
+
+/**
+ * Get all savings goals for a user with their projections
+ * @param {string} userId - The user's database ID
+ * @returns {Promise<Array>} Goals ordered by priority, each with a `projection`
+ */
+export const getSavingsGoals = async (userId) => {
+  try {
+    const goals = await prisma.savingsGoal.findMany({
+      where: { userId },
+      include: goalInclude,
+      orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    // Goals share sources, so projections are always computed across all of them
+    const projections = projectSavingsGoals(goals);
+
+    return goals.map((goal) => formatGoal(goal, projections.get(goal.id)));
+  } catch (error) {
+    throw wrapError('[SavingsGoalService.getSavingsGoals]', error, { userId });
+  }
+};
+
+/**
+ * Get a single savings goal with its projection
+ * @param {string} userId - The user's database ID
+ * @param {string} goalId - The goal's database ID
+ * @returns {Promise<Object|null>} The goal or null if not found
+ */
+export const getSavingsGoal = async (userId, goalId) => {
+  try {
+    const goals = await getSavingsGoals(userId);
+    return goals.find((goal) => goal.id === goalId) ?? null;
+  } catch (error) {
+    throw wrapError('[SavingsGoalService.getSavingsGoal]', error, { userId, goalId });
+  }
+};
+
+/**
+ * Create a savings goal and link it to savings sources
+ * @param {string} userId - The user's database ID
+ * @param {Object} data - Goal fields
+ * @param {Array<string>} savingsSourceIds - Verified savings source IDs
+ * @returns {Promise<Object>} The created goal with its projection
+ */
+export const createSavingsGoal = async (userId, data, savingsSourceIds = []) => {
+  try {
+    const goal = await prisma.savingsGoal.create({
+      data: {
+        ...data,
+        userId,
+        sources: {
+          create: savingsSourceIds.map((savingsSourceId) => ({ savingsSourceId }))
+        }
+      }
+    });
+
+    return getSavingsGoal(userId, goal.id);
+  } catch (error) {
+    throw wrapError('[SavingsGoalService.createSavingsGoal]', error, { userId });
+  }
+};
+
+/**
+ * Update a savings goal, optionally replacing its linked savings sources
+ * @param {string} userId - The user's database ID
+ * @param {string} goalId - The goal's database ID
+ * @param {Object} data - Goal fields to update
+ * @param {Array<string>|undefined} savingsSourceIds - Verified IDs, or undefined to keep links
+ * @returns {Promise<Object|null>} The updated goal or null if not found
+ */
+export const updateSavingsGoal = async (userId, goalId, data, savingsSourceIds) => {
+  try {
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.savingsGoal.updateMany({
+        where: { id: goalId, userId },
+        data
+      });
+
+      if (result.count === 0) return false;
+
+      if (savingsSourceIds !== undefined) {
+        await tx.savingsGoalSource.deleteMany({ where: { goalId } });
+        if (savingsSourceIds.length > 0) {
+          await tx.savingsGoalSource.createMany({
+            data: savingsSourceIds.map((savingsSourceId) => ({ goalId, savingsSourceId }))
+          });
+        }
+      }
+
+      return true;
+    });
+
+    return updated ? getSavingsGoal(userId, goalId) : null;
+  } catch (error) {
+    throw wrapError('[SavingsGoalService.updateSavingsGoal]', error, { userId, goalId });
+  }
+};
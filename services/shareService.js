@@ -0,0 +1,157 @@
+import { PrismaClient } from '@prisma/client';
+import {
+  MAX_SHARE_EXPIRY_DAYS,
+  generateShareToken,
+  hashShareToken,
+  isShareActive,
+  redactTranscript
+} from '../src/lib/conversation-share.js';
+import { buildTranscript } from '../src/lib/transcript.js';
+import { defaultConversationTitle } from '../src/lib/conversation-threads.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Shape a share row for API responses (the token itself is never stored)
+ * @param {Object} share - ConversationShare row, optionally with its conversation
+ * @returns {Object} Share details
+ */
+const formatShare = (share) => ({
+  id: share.id,
+  conversationId: share.conversationId,
+  ...(share.conversation && {
+    conversation: {
+      title: share.conversation.title ?? defaultConversationTitle(share.conversation.chatType),
+      chatType: share.conversation.chatType
+    }
+  }),
+  active: isShareActive(share),
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt,
+  lastAccessedAt: share.lastAccessedAt,
+  accessCount: share.accessCount,
+  createdAt: share.createdAt
+});
+
+/**
+ * Create a share link for a conversation
+ * @param {string} userId - The owner's database ID
+ * @param {Object} conversation - Conversation row owned by the user
+ * @param {Object} options - Options
+ * @param {number} options.expiresInDays - Days until the link stops working (omit for no expiry)
+ * @returns {Promise<Object>} { share, token } — the token is only available here
+ */
+export const createShare = async (userId, conversation, { expiresInDays } = {}) => {
+  try {
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_EXPIRY_DAYS) {
+        throw new ValidationError(`expiresInDays must be a number between 1 and ${MAX_SHARE_EXPIRY_DAYS}`, { expiresInDays });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const token = generateShareToken();
+    const share = await prisma.conversationShare.create({
+      data: {
+        conversationId: conversation.id,
+        userId,
+        tokenHash: hashShareToken(token),
+        expiresAt
+      }
+    });
+
+    return { share: formatShare(share), token };
+  } catch (error) {
+    throw wrapError('[ShareService.createShare]', error, { userId, conversationId: conversation?.id });
+  }
+};
+
+/**
+ * List a user's share links that can still be opened
+ * @param {string} userId - The owner's database ID
+ * @param {Object} options - Filters
+ * @param {string} options.conversationId - Only links for this conversation
+ * @returns {Promise<Array>} Active shares, newest first
+ */
+export const listShares = async (userId, { conversationId } = {}) => {
+  try {
+    const shares = await prisma.conversationShare.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+        ...(conversationId && { conversationId })
+      },
+      include: { conversation: { select: { title: true, chatType: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return shares.map(formatShare);
+  } catch (error) {
+    throw wrapError('[ShareService.listShares]', error, { userId, conversationId });
+  }
+};
+
+/**
+ * Revoke a share link
+ * @param {string} userId - The owner's database ID
+ * @param {string} shareId - The share ID
+ * @returns {Promise<Object|null>} { share, alreadyRevoked }, or null if not found
+ */
+export const revokeShare = async (userId, shareId) => {
+  try {
+    const share = await prisma.conversationShare.findFirst({ where: { id: shareId, userId } });
+    if (!share) return null;
+
+    if (share.revokedAt) {
+      return { share: formatShare(share), alreadyRevoked: true };
+    }
+
+    const revoked = await prisma.conversationShare.update({
+      where: { id: shareId },
+      data: { revokedAt: new Date() }
+    });
+
+    return { share: formatShare(revoked), alreadyRevoked: false };
+  } catch (error) {
+    throw wrapError('[ShareService.revokeShare]', error, { userId, shareId });
+  }
+};
+
+/**
+ * Open a share link
+ * @param {string} token - Share token from the URL
+ * @returns {Promise<Object|null>} Redacted transcript, or null when the link is unknown, revoked or expired
+ */
+export const getSharedTranscript = async (token) => {
+  try {
+    const share = await prisma.conversationShare.findUnique({
+      where: { tokenHash: hashShareToken(token) },
+      include: {
+        conversation: {
+          include: {
+            messages: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] },
+            user: { select: { firstName: true } }
+          }
+        }
+      }
+    });
+
+    if (!share || !isShareActive(share)) return null;
+
+    await prisma.conversationShare.update({
+      where: { id: share.id },
+      data: { lastAccessedAt: new Date(), accessCount: { increment: 1 } }
+    });
+
+    const { conversation } = share;
+    return redactTranscript(buildTranscript(conversation, conversation.messages), {
+      names: [conversation.user?.firstName]
+    });
+  } catch (error) {
+    throw wrapError('[ShareService.getSharedTranscript]', error);
+  }
+};
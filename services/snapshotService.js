@@ -0,0 +1,171 @@
+import { PrismaClient } from '@prisma/client';
+import { getFinancialOverview } from './financialSummaryService.js';
+import { bucketSnapshots, snapshotFiguresFromSummary } from '../src/lib/snapshot-history.js';
+import { scheduleJob } from '../src/lib/scheduler.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+const SCHEDULED_BATCH_SIZE = 100;
+
+/**
+ * Record a point-in-time snapshot of a user's financial summary
+ * @param {string} userId - The user's database ID
+ * @param {string} trigger - What caused the snapshot (e.g. 'scheduled', 'income.create')
+ * @returns {Promise<Object>} The created snapshot
+ */
+export const recordSnapshot = async (userId, trigger) => {
+  try {
+    const { summary } = await getFinancialOverview(userId);
+
+    const snapshot = await prisma.financialSnapshot.create({
+      data: {
+        userId,
+        trigger,
+        ...snapshotFiguresFromSummary(summary),
+        summary
+      }
+    });
+
+    return snapshot;
+  } catch (error) {
+    throw wrapError('[SnapshotService.recordSnapshot]', error, { userId, trigger });
+  }
+};
+
+/**
+ * Record a snapshot for a Clerk user without ever throwing
+ * Used after mutations, where a failed snapshot must not fail the request
+ * @param {string} authId - The Clerk user ID
+ * @param {string} trigger - What caused the snapshot
+ * @returns {Promise<Object|null>} The created snapshot, or null on failure
+ */
+export const recordSnapshotForAuthId = async (authId, trigger) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { authId },
+      select: { id: true }
+    });
+
+    if (!user) return null;
+
+    return await recordSnapshot(user.id, trigger);
+  } catch (error) {
+    console.error('[SnapshotService] ⚠️ Failed to record snapshot:', {
+      authId,
+      trigger,
+      message: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Get a user's snapshot history bucketed for charting
+ * @param {string} userId - The user's database ID
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (inclusive)
+ * @param {string} options.granularity - 'day', 'week' or 'month'
+ * @returns {Promise<Array>} History points ordered by period
+ */
+export const getSnapshotHistory = async (userId, { from, to, granularity = 'day' } = {}) => {
+  try {
+    const snapshots = await prisma.financialSnapshot.findMany({
+      where: {
+        userId,
+        capturedAt: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to })
+        }
+      },
+      orderBy: { capturedAt: 'asc' },
+      select: {
+        capturedAt: true,
+        netWorth: true,
+        totalDebt: true,
+        totalSavings: true,
+        monthlyIncome: true,
+        monthlyExpenses: true,
+        monthlyCashFlow: true
+      }
+    });
+
+    return bucketSnapshots(snapshots, granularity);
+  } catch (error) {
+    throw wrapError('[SnapshotService.getSnapshotHistory]', error, { userId, from, to, granularity });
+  }
+};
+
+/**
+ * Record a scheduled snapshot for every user without a recent one
+ * @param {Object} options - Options
+ * @param {number} options.minIntervalHours - Skip users snapshotted within this many hours
+ * @returns {Promise<Object>} Counts of recorded and failed snapshots
+ */
+export const recordScheduledSnapshots = async ({ minIntervalHours = 24 } = {}) => {
+  const cutoff = new Date(Date.now() - minIntervalHours * 60 * 60 * 1000);
+  let recorded = 0;
+  let failed = 0;
+  let cursor = null;
+
+  try {
+    while (true) {
+      // Page by ID rather than a Prisma cursor: users drop out of this filter once snapshotted,
+      // so a cursor row would no longer match and `skip: 1` would pass over a real user
+      const users = await prisma.user.findMany({
+        where: {
+          financialSnapshots: { none: { capturedAt: { gte: cutoff } } },
+          ...(cursor && { id: { gt: cursor } })
+        },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: SCHEDULED_BATCH_SIZE
+      });
+
+      if (users.length === 0) break;
+
+      for (const user of users) {
+        try {
+          await recordSnapshot(user.id, 'scheduled');
+          recorded += 1;
+        } catch (error) {
+          failed += 1;
+          console.error('[SnapshotService] ⚠️ Scheduled snapshot failed:', { userId: user.id, message: error.message });
+        }
+      }
+
+      cursor = users[users.length - 1].id;
+    }
+
+    return { recorded, failed };
+  } catch (error) {
+    throw wrapError('[SnapshotService.recordScheduledSnapshots]', error, { minIntervalHours, recorded, failed });
+  }
+};
+
+/**
+ * Start the in-process snapshot schedule (see src/lib/scheduler.js)
+ * Users snapshotted within the interval are skipped, so the run after each restart doesn't duplicate snapshots.
+ * @param {Object} options - Options
+ * @param {number} options.intervalHours - Hours between runs (0 disables the schedule)
+ * @returns {NodeJS.Timeout|null} The interval handle, or null when disabled
+ */
+export const startSnapshotScheduler = ({ intervalHours = 24 } = {}) => {
+  if (!intervalHours || intervalHours <= 0) {
+    console.log('[SnapshotService] ℹ️ Scheduled snapshots disabled');
+    return null;
+  }
+
+  const timer = scheduleJob('scheduled snapshots', async () => {
+    try {
+      const result = await recordScheduledSnapshots({ minIntervalHours: intervalHours });
+      console.log('[SnapshotService] ✅ Scheduled snapshots complete:', result);
+    } catch (error) {
+      console.error('[SnapshotService] ❌ Scheduled snapshots failed:', error.message);
+    }
+  }, { intervalHours });
+
+  console.log(`[SnapshotService] ⏰ Scheduled snapshots every ${intervalHours}h`);
+  return timer;
+};
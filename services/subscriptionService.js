@@ -0,0 +1,305 @@
+import { PrismaClient } from '@prisma/client';
+import { ACTIVE_SUBSCRIPTION_STATUSES, DEFAULT_TIER, TIERS, normalizeTier } from '../src/lib/entitlements.js';
+import { wrapError, ValidationError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+const ENDED_STATUSES = ['canceled', 'expired'];
+
+const PAID_TIERS = TIERS.filter((tier) => tier !== DEFAULT_TIER);
+
+/**
+ * Shape a subscription row for API responses
+ * @param {Object} subscription - Subscription row
+ * @param {string|null} currentSubscriptionId - The user's current subscription ID
+ * @returns {Object} Subscription details
+ */
+const formatSubscription = (subscription, currentSubscriptionId = null) => ({
+  id: subscription.id,
+  tier: subscription.tier,
+  status: subscription.status,
+  current: subscription.id === currentSubscriptionId,
+  startDate: subscription.startDate,
+  endDate: subscription.endDate,
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  canceledReason: subscription.canceledReason,
+  totalBillingCycles: subscription.totalBillingCycles,
+  createdAt: subscription.createdAt,
+  updatedAt: subscription.updatedAt
+});
+
+/**
+ * Fields that cancel a subscription
+ * A subscription with a paid period left keeps its status until `endDate`; anything else ends now.
+ * @param {Object} subscription - Subscription row
+ * @param {Object} options - Options
+ * @param {string} options.reason - Stored as canceledReason
+ * @param {Date|null} options.endsAt - When access should end (default: the end of the paid period)
+ * @param {Date} options.now - Current time
+ * @returns {Object} Prisma update data
+ */
+const cancellationData = (subscription, { reason, endsAt = subscription.currentPeriodEnd, now = new Date() }) => {
+  if (subscription.status !== 'incomplete' && endsAt && endsAt > now) {
+    return { endDate: endsAt, canceledReason: reason };
+  }
+
+  return { status: 'canceled', endDate: now, canceledReason: reason };
+};
+
+/**
+ * Point the user at a subscription, ending the one it replaces
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} subscription - The subscription becoming current
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const makeCurrentSubscription = async (tx, subscription, now) => {
+  const user = await tx.user.findUnique({
+    where: { id: subscription.userId },
+    select: { currentSubscriptionId: true }
+  });
+
+  if (user.currentSubscriptionId === subscription.id) return;
+
+  if (user.currentSubscriptionId) {
+    await tx.subscription.updateMany({
+      where: { id: user.currentSubscriptionId, status: { notIn: ENDED_STATUSES } },
+      data: { status: 'canceled', endDate: now, canceledReason: 'replaced' }
+    });
+  }
+
+  await tx.user.update({
+    where: { id: subscription.userId },
+    data: { currentSubscriptionId: subscription.id }
+  });
+};
+
+/**
+ * List a user's subscriptions
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} { currentSubscriptionId, subscriptions } with the newest first
+ */
+export const listSubscriptions = async (user) => {
+  try {
+    const subscriptions = await prisma.subscription.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return {
+      currentSubscriptionId: user.currentSubscriptionId,
+      subscriptions: subscriptions.map((subscription) => formatSubscription(subscription, user.currentSubscriptionId))
+    };
+  } catch (error) {
+    throw wrapError('[SubscriptionService.listSubscriptions]', error, { userId: user?.id });
+  }
+};
+
+/**
+ * Start a subscription for checkout
+ * It stays `incomplete` until the billing provider reports the first payment; the user's
+ * current subscription is only replaced then.
+ * @param {Object} user - User row
+ * @param {Object} input - { tier }
+ * @returns {Promise<Object>} The new subscription
+ */
+export const createSubscription = async (user, { tier } = {}) => {
+  try {
+    const normalized = normalizeTier(tier);
+    if (!PAID_TIERS.includes(normalized)) {
+      throw new ValidationError('Invalid tier. Must be one of: ' + PAID_TIERS.join(', '), { tier });
+    }
+
+    const subscription = await prisma.subscription.create({
+      data: {
+        userId: user.id,
+        tier: normalized,
+        status: 'incomplete'
+      }
+    });
+
+    return formatSubscription(subscription, user.currentSubscriptionId);
+  } catch (error) {
+    throw wrapError('[SubscriptionService.createSubscription]', error, { userId: user?.id, tier });
+  }
+};
+
+/**
+ * Cancel one of the user's subscriptions
+ * Paid subscriptions run to the end of the current period; incomplete ones end now.
+ * @param {Object} user - User row
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} options - Options
+ * @param {string} options.reason - Why the user canceled
+ * @returns {Promise<Object|null>} { subscription, alreadyCanceled }, or null if not found
+ */
+export const cancelSubscription = async (user, subscriptionId, { reason } = {}) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({ where: { id: subscriptionId, userId: user.id } });
+    if (!subscription) return null;
+
+    if (ENDED_STATUSES.includes(subscription.status) || subscription.canceledReason) {
+      return { subscription: formatSubscription(subscription, user.currentSubscriptionId), alreadyCanceled: true };
+    }
+
+    const canceled = await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: cancellationData(subscription, { reason: reason ? String(reason).slice(0, 500) : 'user_requested' })
+    });
+
+    return { subscription: formatSubscription(canceled, user.currentSubscriptionId), alreadyCanceled: false };
+  } catch (error) {
+    throw wrapError('[SubscriptionService.cancelSubscription]', error, { userId: user?.id, subscriptionId });
+  }
+};
+
+/**
+ * Whether a payment pays for time after the subscription's recorded end
+ * @param {Object} subscription - Subscription row
+ * @param {Object} event - Output of parseBillingEvent
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the payment's period runs past endDate (or, without one, endDate has passed)
+ */
+const startsNewPeriod = (subscription, event, now) => {
+  if (!subscription.endDate) return false;
+  return event.periodEnd ? event.periodEnd > subscription.endDate : subscription.endDate <= now;
+};
+
+/**
+ * Fields a billing event changes on an existing subscription
+ * @param {Object} subscription - Subscription row
+ * @param {Object} event - Output of parseBillingEvent
+ * @param {Date} now - Current time
+ * @returns {Object} Prisma update data
+ */
+const billingEventData = (subscription, event, now) => {
+  const data = {
+    ...(event.externalId && !subscription.externalId && { externalId: event.externalId }),
+    ...(event.periodEnd && { currentPeriodEnd: event.periodEnd })
+  };
+
+  switch (event.type) {
+    case 'subscription.created':
+    case 'subscription.updated':
+      return {
+        ...data,
+        ...(event.tier && { tier: event.tier }),
+        ...(event.status && { status: event.status })
+      };
+    case 'payment.succeeded':
+      return {
+        ...data,
+        status: 'active',
+        totalBillingCycles: { increment: 1 },
+        // The provider still charged after a cancellation recorded here, so the paid period wins
+        ...(startsNewPeriod(subscription, event, now) && { endDate: null, canceledReason: null })
+      };
+    case 'payment.failed':
+      return { ...data, status: 'past_due' };
+    case 'subscription.canceled':
+      return {
+        ...data,
+        ...cancellationData(subscription, {
+          reason: event.reason ?? 'canceled',
+          endsAt: event.endsAt ?? event.periodEnd ?? subscription.currentPeriodEnd,
+          now
+        })
+      };
+    case 'subscription.expired':
+      return {
+        ...data,
+        status: 'expired',
+        endDate: subscription.endDate && subscription.endDate <= now ? subscription.endDate : now
+      };
+    default:
+      return data;
+  }
+};
+
+/**
+ * Find the subscription a billing event refers to, creating it for a `subscription.created`
+ * event the API hasn't seen (e.g. one started from the provider's dashboard)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} event - Output of parseBillingEvent
+ * @returns {Promise<Object|null>} Subscription row, or null when it (or its user) is unknown
+ */
+const resolveEventSubscription = async (tx, event) => {
+  const subscription = await tx.subscription.findFirst({
+    where: {
+      OR: [
+        ...(event.subscriptionId ? [{ id: event.subscriptionId }] : []),
+        ...(event.externalId ? [{ externalId: event.externalId }] : [])
+      ]
+    }
+  });
+
+  if (subscription || event.type !== 'subscription.created') return subscription;
+
+  if (!event.clerkUserId || !event.tier) {
+    throw new ValidationError('subscription.created for a new subscription needs user_id and tier', { eventId: event.id });
+  }
+
+  const user = await tx.user.findUnique({ where: { authId: event.clerkUserId }, select: { id: true } });
+  if (!user) return null;
+
+  return tx.subscription.create({
+    data: {
+      userId: user.id,
+      tier: event.tier,
+      status: 'incomplete',
+      externalId: event.externalId
+    }
+  });
+};
+
+/**
+ * Apply a verified billing event
+ * The subscription change, the user's current subscription and the event record are written in
+ * one transaction. Events are recorded by ID, so a redelivered event changes nothing.
+ * @param {Object} event - Output of parseBillingEvent
+ * @param {Object} payload - The raw event, stored for auditing
+ * @returns {Promise<Object>} { duplicate, subscription } — subscription is null when the event names an unknown subscription or user
+ */
+export const applyBillingEvent = async (event, payload) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const seen = await tx.billingEvent.findUnique({ where: { id: event.id }, select: { id: true } });
+      if (seen) return { duplicate: true, subscription: null };
+
+      const subscription = await resolveEventSubscription(tx, event);
+      if (!subscription) return { duplicate: false, subscription: null };
+
+      const now = new Date();
+      const updated = await tx.subscription.update({
+        where: { id: subscription.id },
+        data: billingEventData(subscription, event, now)
+      });
+
+      if (ACTIVE_SUBSCRIPTION_STATUSES.includes(updated.status)) {
+        await makeCurrentSubscription(tx, updated, now);
+      }
+
+      // A concurrent delivery of the same event fails here and rolls back
+      await tx.billingEvent.create({
+        data: {
+          id: event.id,
+          type: event.type,
+          subscriptionId: updated.id,
+          payload
+        }
+      });
+
+      const { currentSubscriptionId } = await tx.user.findUnique({
+        where: { id: updated.userId },
+        select: { currentSubscriptionId: true }
+      });
+
+      return { duplicate: false, subscription: formatSubscription(updated, currentSubscriptionId) };
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { duplicate: true, subscription: null };
+    }
+    throw wrapError('[SubscriptionService.applyBillingEvent]', error, { eventId: event?.id, type: event?.type });
+  }
+};
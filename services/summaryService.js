@@ -0,0 +1,218 @@
+import { PrismaClient } from '@prisma/client';
+import { requireChatProvider } from './chatService.js';
+import { recordChatUsage } from './usageService.js';
+import { getUserEntitlements } from './entitlementService.js';
+import {
+  SUMMARY_KEEP_RECENT,
+  SUMMARY_MIN_NEW_MESSAGES,
+  buildSummaryPrompt,
+  cleanSummary,
+  fitMessagesToTranscript,
+  selectMessagesToSummarize
+} from '../src/lib/conversation-summary.js';
+import { normalizeDifyResponse } from '../src/lib/dify-normalizer.js';
+import { FEATURES } from '../src/lib/entitlements.js';
+import { scheduleJob } from '../src/lib/scheduler.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+const SCHEDULED_BATCH_SIZE = 50;
+
+/**
+ * Messages not yet folded into a conversation's summary
+ * @param {Object} conversation - Conversation row
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+const getUnsummarizedMessages = (conversation) => prisma.message.findMany({
+  where: {
+    conversationId: conversation.id,
+    ...(conversation.summarizedThrough && { createdAt: { gt: conversation.summarizedThrough } })
+  },
+  orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  select: { id: true, role: true, content: true, createdAt: true }
+});
+
+/**
+ * Get a conversation's stored summary
+ * @param {Object} conversation - Conversation row
+ * @returns {Promise<Object>} { summary, summarizedThrough, summarizedMessageCount, updatedAt, unsummarizedMessageCount }
+ */
+export const getConversationSummary = async (conversation) => {
+  try {
+    const unsummarizedMessageCount = await prisma.message.count({
+      where: {
+        conversationId: conversation.id,
+        ...(conversation.summarizedThrough && { createdAt: { gt: conversation.summarizedThrough } })
+      }
+    });
+
+    return {
+      conversationId: conversation.id,
+      summary: conversation.summary ?? null,
+      summarizedThrough: conversation.summarizedThrough ?? null,
+      summarizedMessageCount: conversation.summarizedMessageCount ?? 0,
+      updatedAt: conversation.summaryUpdatedAt ?? null,
+      unsummarizedMessageCount
+    };
+  } catch (error) {
+    throw wrapError('[SummaryService.getConversationSummary]', error, { conversationId: conversation?.id });
+  }
+};
+
+/**
+ * Fold older messages into the conversation's rolling summary
+ * The last SUMMARY_KEEP_RECENT messages are always left out. Without `force`, nothing happens
+ * until at least SUMMARY_MIN_NEW_MESSAGES older messages are waiting. One pass folds in only the
+ * oldest messages that fit in its prompt; `remaining` says how many are left for the next pass.
+ * The model comes from SUMMARY_MODEL_PREFERENCE, or the user's modelPreference.
+ * @param {Object} conversation - Conversation row
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Summarize whatever older messages are waiting
+ * @param {boolean} options.recordUsage - Count the call against the owner's chat usage (on-demand requests)
+ * @returns {Promise<Object>} { updated, summarized, remaining } where summarized is the number of messages folded in
+ */
+export const summarizeConversation = async (conversation, { force = false, recordUsage = false } = {}) => {
+  try {
+    const pending = selectMessagesToSummarize(await getUnsummarizedMessages(conversation), {
+      keepRecent: SUMMARY_KEEP_RECENT
+    });
+
+    if (pending.length === 0 || (!force && pending.length < SUMMARY_MIN_NEW_MESSAGES)) {
+      return { updated: false, summarized: 0, remaining: pending.length };
+    }
+
+    const batch = fitMessagesToTranscript(pending);
+
+    const user = await prisma.user.findUnique({
+      where: { id: conversation.userId },
+      select: { id: true, modelPreference: true }
+    });
+    const { provider, model } = requireChatProvider(process.env.SUMMARY_MODEL_PREFERENCE || user?.modelPreference);
+
+    // A fresh provider conversation, so the request doesn't land in the user's chat history
+    const result = await provider.chat({
+      query: buildSummaryPrompt(conversation.summary, batch),
+      inputs: {},
+      conversationId: null,
+      user: conversation.userId,
+      model,
+      history: []
+    });
+    if (recordUsage) await recordChatUsage(conversation.userId, result);
+
+    const summary = cleanSummary(normalizeDifyResponse(result).answer);
+    if (!summary) {
+      return { updated: false, summarized: 0, remaining: pending.length };
+    }
+
+    // Skip the write if another pass (or an edit) changed the summary meanwhile
+    const claimed = await prisma.conversation.updateMany({
+      where: { id: conversation.id, summarizedThrough: conversation.summarizedThrough ?? null },
+      data: {
+        summary,
+        summarizedThrough: batch[batch.length - 1].createdAt,
+        summarizedMessageCount: { increment: batch.length },
+        summaryUpdatedAt: new Date(),
+        // A summary isn't activity; keep the thread's place in the list
+        updatedAt: conversation.updatedAt
+      }
+    });
+
+    if (claimed.count === 0) {
+      return { updated: false, summarized: 0, remaining: pending.length };
+    }
+
+    return { updated: true, summarized: batch.length, remaining: pending.length - batch.length };
+  } catch (error) {
+    throw wrapError('[SummaryService.summarizeConversation]', error, { conversationId: conversation?.id, force, recordUsage });
+  }
+};
+
+/**
+ * Summarize every account conversation with enough new messages
+ * Only conversations active since their last summary are checked, and only for owners entitled
+ * to summaries (advanced_chat). A backlog too long for one prompt is worked through in consecutive
+ * passes. Scheduled passes are background upkeep, so they aren't counted against chat quotas.
+ * @returns {Promise<Object>} Counts of updated and failed conversations
+ */
+export const summarizePendingConversations = async () => {
+  let updated = 0;
+  let failed = 0;
+  let cursor = null;
+  const entitled = new Map();
+
+  try {
+    while (true) {
+      const conversations = await prisma.conversation.findMany({
+        // Anonymous conversations wait until they are claimed by an account
+        where: { userId: { not: null } },
+        include: { user: { select: { id: true, currentSubscriptionId: true } } },
+        orderBy: { id: 'asc' },
+        take: SCHEDULED_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      if (conversations.length === 0) break;
+
+      for (const conversation of conversations) {
+        if (conversation.summaryUpdatedAt && conversation.updatedAt <= conversation.summaryUpdatedAt) continue;
+
+        try {
+          if (!entitled.has(conversation.userId)) {
+            const { features } = await getUserEntitlements(conversation.user);
+            entitled.set(conversation.userId, features.includes(FEATURES.ADVANCED_CHAT));
+          }
+          if (!entitled.get(conversation.userId)) continue;
+
+          let result = await summarizeConversation(conversation);
+          if (result.updated) updated += 1;
+
+          // Each pass that updates moves summarizedThrough forward, so this ends
+          while (result.updated && result.remaining > 0) {
+            const current = await prisma.conversation.findUnique({ where: { id: conversation.id } });
+            result = await summarizeConversation(current);
+          }
+        } catch (error) {
+          failed += 1;
+          console.error('[SummaryService] ⚠️ Scheduled summary failed:', {
+            conversationId: conversation.id,
+            message: error.message
+          });
+        }
+      }
+
+      cursor = conversations[conversations.length - 1].id;
+    }
+
+    return { updated, failed };
+  } catch (error) {
+    throw wrapError('[SummaryService.summarizePendingConversations]', error, { updated, failed });
+  }
+};
+
+/**
+ * Start the in-process summary schedule (see src/lib/scheduler.js)
+ * Only conversations with new activity are summarized, so the run after each restart doesn't repeat work.
+ * @param {Object} options - Options
+ * @param {number} options.intervalHours - Hours between runs (0 disables the schedule)
+ * @returns {NodeJS.Timeout|null} The interval handle, or null when disabled
+ */
+export const startSummaryScheduler = ({ intervalHours = 6 } = {}) => {
+  if (!intervalHours || intervalHours <= 0) {
+    console.log('[SummaryService] ℹ️ Scheduled summaries disabled');
+    return null;
+  }
+
+  const timer = scheduleJob('scheduled summaries', async () => {
+    try {
+      const result = await summarizePendingConversations();
+      console.log('[SummaryService] ✅ Scheduled summaries complete:', result);
+    } catch (error) {
+      console.error('[SummaryService] ❌ Scheduled summaries failed:', error.message);
+    }
+  }, { intervalHours });
+
+  console.log(`[SummaryService] ⏰ Scheduled summaries every ${intervalHours}h`);
+  return timer;
+};
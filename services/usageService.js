@@ -0,0 +1,125 @@
+import { PrismaClient } from '@prisma/client';
+import { USAGE_PERIODS, evaluateQuota, extractTokenUsage, loadUsageQuotas, periodStart } from '../src/lib/usage-quota.js';
+import { wrapError } from '../src/errors/index.js';
+
+const prisma = new PrismaClient();
+
+const quotas = loadUsageQuotas();
+
+const MAX_HISTORY_DAYS = 90;
+
+/**
+ * Get a user's counters for the current day and month
+ * @param {string} userId - The user's database ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { day, month } counter rows, null where nothing is recorded yet
+ */
+const getCurrentCounters = async (userId, now) => {
+  const rows = await prisma.usageCounter.findMany({
+    where: {
+      userId,
+      OR: USAGE_PERIODS.map((period) => ({ period, periodStart: periodStart(period, now) }))
+    }
+  });
+
+  return Object.fromEntries(USAGE_PERIODS.map((period) => [
+    period,
+    rows.find((row) => row.period === period) ?? null
+  ]));
+};
+
+/**
+ * Check a user's usage against their tier's quotas
+ * @param {string} userId - The user's database ID
+ * @param {string} tier - Subscription tier
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Output of evaluateQuota
+ */
+export const checkQuota = async (userId, tier, now = new Date()) => {
+  try {
+    return evaluateQuota({ tier, counters: await getCurrentCounters(userId, now), quotas, now });
+  } catch (error) {
+    throw wrapError('[UsageService.checkQuota]', error, { userId, tier });
+  }
+};
+
+/**
+ * Count one answered chat turn and its tokens against the user's day and month
+ * Metering must never fail the chat it measures, so errors are logged and swallowed.
+ * @param {string} userId - The user's database ID
+ * @param {Object} result - Provider result ({ metadata: { usage } })
+ * @returns {Promise<boolean>} Whether the usage was recorded
+ */
+export const recordChatUsage = async (userId, result) => {
+  const tokens = extractTokenUsage(result?.metadata);
+  const now = new Date();
+
+  const increments = {
+    requests: { increment: 1 },
+    promptTokens: { increment: tokens.promptTokens },
+    completionTokens: { increment: tokens.completionTokens },
+    totalTokens: { increment: tokens.totalTokens }
+  };
+
+  try {
+    await prisma.$transaction(USAGE_PERIODS.map((period) => prisma.usageCounter.upsert({
+      where: {
+        userId_period_periodStart: { userId, period, periodStart: periodStart(period, now) }
+      },
+      update: increments,
+      create: {
+        userId,
+        period,
+        periodStart: periodStart(period, now),
+        requests: 1,
+        ...tokens
+      }
+    })));
+
+    return true;
+  } catch (error) {
+    console.error('[UsageService] ⚠️ Failed to record chat usage:', {
+      userId,
+      message: error.message
+    });
+    return false;
+  }
+};
+
+/**
+ * Get a user's usage for the settings page
+ * @param {string} userId - The user's database ID
+ * @param {string} tier - Subscription tier
+ * @param {Object} options - Options
+ * @param {number} options.days - Days of daily history to include (max 90)
+ * @returns {Promise<Object>} { tier, periods, history } with history oldest first
+ */
+export const getUsageSummary = async (userId, tier, { days = 30 } = {}) => {
+  try {
+    const now = new Date();
+    const historyDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_HISTORY_DAYS);
+    const since = new Date(periodStart('day', now).getTime() - (historyDays - 1) * 24 * 60 * 60 * 1000);
+
+    const [status, history] = await Promise.all([
+      checkQuota(userId, tier, now),
+      prisma.usageCounter.findMany({
+        where: { userId, period: 'day', periodStart: { gte: since } },
+        orderBy: { periodStart: 'asc' }
+      })
+    ]);
+
+    return {
+      tier: status.tier,
+      periods: status.periods,
+      history: history.map((row) => ({
+        date: row.periodStart.toISOString().slice(0, 10),
+        requests: row.requests,
+        promptTokens: row.promptTokens,
+        completionTokens: row.completionTokens,
+        totalTokens: row.totalTokens
+      }))
+    };
+  } catch (error) {
+    throw wrapError('[UsageService.getUsageSummary]', error, { userId, tier, days });
+  }
+};
@@ -8,6 +8,8 @@ export class AppError extends Error {
     this.code = opts.code ?? 'APP_ERROR';
     this.status = opts.status ?? 500;
     this.meta = opts.meta;
+    // Client-safe data returned with the error response (meta is only logged)
+    this.details = opts.details;
     
     // Add cause support for Node.js >= 16.9
     if (opts.cause) {
@@ -25,6 +27,32 @@ export class ValidationError extends AppError {
   }
 }
 
+export class EntitlementError extends AppError {
+  constructor(message, details, opts = {}) {
+    super(message, {
+      code: opts.code ?? 'UPGRADE_REQUIRED',
+      status: opts.status ?? 402,
+      details,
+      meta: details
+    });
+    this.name = 'EntitlementError';
+  }
+}
+
+export class QuotaExceededError extends AppError {
+  constructor(message, details) {
+    super(message, { code: 'QUOTA_EXCEEDED', status: 429, details, meta: details });
+    this.name = 'QuotaExceededError';
+  }
+}
+
+export class RateLimitError extends AppError {
+  constructor(message, details) {
+    super(message, { code: 'RATE_LIMITED', status: 429, details, meta: details });
+    this.name = 'RateLimitError';
+  }
+}
+
 export class ExternalServiceError extends AppError {
   constructor(service, message, meta, cause) {
     super(`[${service}] ${message}`, { code: 'EXTERNAL_SERVICE_ERROR', status: 502, cause, meta });
@@ -47,7 +75,8 @@ export function wrapError(ctx, err, meta, status) {
       code: err.code, 
       status: status ?? err.status, 
       cause: err, 
-      meta: { ...err.meta, ...meta } 
+      meta: { ...err.meta, ...meta },
+      details: err.details
     });
   }
   
@@ -0,0 +1,93 @@
+/**
+ * Anonymous Sessions
+ *
+ * Logged-out visitors get an anonymous session so their public chats are
+ * stored instead of living only at the provider. The client keeps the token
+ * (`<session id>.<base64url HMAC-SHA256 of the id>`, signed with
+ * ANONYMOUS_SESSION_SECRET) and sends it as X-Anonymous-Session. After
+ * sign-up the session is claimed by the new account: the client passes the
+ * token to Clerk as `unsafeMetadata.anonymousSessionToken` (read by the
+ * user.created webhook) or posts it to /v1/anonymous/claim.
+ *
+ * Sessions expire after ANONYMOUS_SESSION_TTL_DAYS (default 30) without use.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const ANONYMOUS_SESSION_HEADER = 'X-Anonymous-Session';
+
+// Key in the Clerk user's unsafe_metadata that carries the token through sign-up
+export const ANONYMOUS_SESSION_METADATA_KEY = 'anonymousSessionToken';
+
+export const DEFAULT_ANONYMOUS_SESSION_TTL_DAYS = 30;
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Days an unused session stays valid, from ANONYMOUS_SESSION_TTL_DAYS
+ * @param {string} value - Value from the environment
+ * @returns {number} Whole days, at least 1
+ */
+export function anonymousSessionTtlDays(value = process.env.ANONYMOUS_SESSION_TTL_DAYS) {
+  const days = parseInt(value, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_ANONYMOUS_SESSION_TTL_DAYS;
+}
+
+/**
+ * Compute the signature of a session ID
+ * @param {string} sessionId - AnonymousSession ID
+ * @param {string} secret - ANONYMOUS_SESSION_SECRET
+ * @returns {string} base64url HMAC-SHA256
+ */
+function computeSignature(sessionId, secret) {
+  return createHmac('sha256', secret).update(`anonymous-session.${sessionId}`).digest('base64url');
+}
+
+/**
+ * Build the token handed to the client for a session
+ * @param {string} sessionId - AnonymousSession ID
+ * @param {string} secret - ANONYMOUS_SESSION_SECRET
+ * @returns {string} Token
+ */
+export function signAnonymousSessionToken(sessionId, secret) {
+  return `${sessionId}.${computeSignature(sessionId, secret)}`;
+}
+
+/**
+ * Read the session ID from a token, checking its signature
+ * @param {string} token - Token from the client
+ * @param {string} secret - ANONYMOUS_SESSION_SECRET
+ * @returns {string|null} Session ID, or null for a missing, malformed or forged token
+ */
+export function verifyAnonymousSessionToken(token, secret) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [sessionId, signature, ...rest] = token.trim().split('.');
+  if (rest.length > 0 || !signature || !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+  const expected = Buffer.from(computeSignature(sessionId, secret));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && timingSafeEqual(expected, received) ? sessionId : null;
+}
+
+/**
+ * Whether a session has gone unused for longer than the TTL
+ * @param {Object} session - AnonymousSession row
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {number} options.ttlDays - Days an unused session stays valid
+ * @returns {boolean} True when expired
+ */
+export function isAnonymousSessionExpired(session, { now = new Date(), ttlDays = anonymousSessionTtlDays() } = {}) {
+  return now.getTime() - new Date(session.lastSeenAt).getTime() > ttlDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * The user identifier sent to the chat provider for a session's conversations
+ * @param {string} sessionId - AnonymousSession ID
+ * @returns {string} e.g. 'anon-3f2a…'
+ */
+export function anonymousProviderUser(sessionId) {
+  return `anon-${sessionId}`;
+}
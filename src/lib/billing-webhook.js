@@ -0,0 +1,156 @@
+/**
+ * Billing Webhooks
+ *
+ * Provider-neutral billing events. The billing provider (or an adapter in
+ * front of it) posts JSON events signed with BILLING_WEBHOOK_SECRET:
+ *
+ *   billing-signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Events look like { id, type, created, data }, where data names the
+ * subscription by our ID (`subscription_id`, passed to checkout as the
+ * reference) or the provider's (`external_id`).
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { TIERS, normalizeTier } from './entitlements.js';
+import { ValidationError } from '../errors/index.js';
+
+export const BILLING_SIGNATURE_HEADER = 'billing-signature';
+
+// Signed payloads older than this are rejected, so captured requests can't be replayed later
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+export const SUBSCRIPTION_STATUSES = ['incomplete', 'trialing', 'active', 'past_due', 'canceled', 'expired'];
+
+export const BILLING_EVENT_TYPES = [
+  'subscription.created',
+  'subscription.updated',
+  'payment.succeeded',
+  'payment.failed',
+  'subscription.canceled',
+  'subscription.expired'
+];
+
+/**
+ * Compute the v1 signature of a payload
+ * @param {string} payload - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} Hex HMAC-SHA256
+ */
+function computeSignature(payload, secret, timestamp) {
+  return createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * Build a billing-signature header value (used by the provider adapter and the local test script)
+ * @param {string} payload - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds (default: now)
+ * @returns {string} e.g. 't=1757322000,v1=5f0c…'
+ */
+export function signBillingPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+/**
+ * Check a billing-signature header against the raw body
+ * Any of several v1 signatures may match, so the secret can be rotated.
+ * @param {string} payload - Raw request body
+ * @param {string} header - billing-signature header value
+ * @param {string} secret - Webhook secret
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in unix seconds
+ * @param {number} options.toleranceSeconds - Maximum signature age
+ * @returns {Object} { valid, reason } where reason explains a rejection
+ */
+export function verifyBillingSignature(payload, header, secret, {
+  now = Math.floor(Date.now() / 1000),
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+} = {}) {
+  const parts = String(header ?? '').split(',').map((part) => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key, value]) => key === 'v1' && value).map(([, value]) => value);
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    return { valid: false, reason: 'malformed signature header' };
+  }
+
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  const matches = signatures.some((signature) => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && timingSafeEqual(candidate, expected);
+  });
+
+  return matches ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+}
+
+/**
+ * Parse an optional timestamp field (ISO string or unix seconds)
+ * @param {any} value - Field value
+ * @param {string} field - Field name for errors
+ * @returns {Date|null} Parsed date, or null when absent
+ */
+function parseEventDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${field}`, { [field]: value });
+  }
+  return date;
+}
+
+/**
+ * Validate a verified billing event and normalize its fields
+ * @param {Object} event - Parsed JSON body
+ * @returns {Object} { id, type, subscriptionId, externalId, clerkUserId, tier, status, periodEnd, endsAt, reason }
+ */
+export function parseBillingEvent(event) {
+  if (!event || typeof event !== 'object' || !event.id || !event.type || !event.data || typeof event.data !== 'object') {
+    throw new ValidationError('Billing event must include id, type and data');
+  }
+
+  if (!BILLING_EVENT_TYPES.includes(event.type)) {
+    throw new ValidationError('Unsupported billing event type', { type: event.type, supported: BILLING_EVENT_TYPES });
+  }
+
+  const { data } = event;
+
+  if (!data.subscription_id && !data.external_id) {
+    throw new ValidationError('Billing event must name a subscription_id or external_id', { eventId: event.id });
+  }
+
+  let tier = null;
+  if (data.tier !== undefined && data.tier !== null) {
+    tier = normalizeTier(data.tier);
+    if (!tier) {
+      throw new ValidationError('Invalid tier. Must be one of: ' + TIERS.join(', '), { tier: data.tier });
+    }
+  }
+
+  let status = null;
+  if (data.status !== undefined && data.status !== null) {
+    status = String(data.status).toLowerCase();
+    if (!SUBSCRIPTION_STATUSES.includes(status)) {
+      throw new ValidationError('Invalid status. Must be one of: ' + SUBSCRIPTION_STATUSES.join(', '), { status: data.status });
+    }
+  }
+
+  return {
+    id: String(event.id),
+    type: event.type,
+    subscriptionId: data.subscription_id ?? null,
+    externalId: data.external_id ?? null,
+    clerkUserId: data.user_id ?? null,
+    tier,
+    status,
+    periodEnd: parseEventDate(data.current_period_end, 'current_period_end'),
+    endsAt: parseEventDate(data.ends_at, 'ends_at'),
+    reason: data.reason ? String(data.reason).slice(0, 500) : null
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Budget Report
+ *
+ * Compares each budget category's monthly limit with the monthly
+ * equivalent of the expense sources linked to it. Expenses without a
+ * category are reported separately so they still count toward spending.
+ */
+
+import { roundCurrency, toAmount, toMonthly } from './financial-summary.js';
+
+/**
+ * Describe an expense source with its monthly equivalent
+ * @param {object} expense - ExpenseSource row
+ * @returns {object} Compact expense line for the report
+ */
+function toExpenseLine(expense) {
+  return {
+    id: expense.id,
+    sourceName: expense.sourceName,
+    amount: roundCurrency(toAmount(expense.amount)),
+    frequency: expense.frequency,
+    monthly: roundCurrency(toMonthly(expense.amount, expense.frequency))
+  };
+}
+
+/**
+ * Build the budgeted vs. actual report
+ * @param {Array} categories - BudgetCategory rows
+ * @param {Array} expenses - ExpenseSource rows (with categoryId)
+ * @returns {object} Report with per-category variance and overall totals
+ */
+export function buildBudgetReport(categories = [], expenses = []) {
+  const linesByCategory = new Map(categories.map((category) => [category.id, []]));
+  const uncategorizedLines = [];
+
+  for (const expense of expenses) {
+    const line = toExpenseLine(expense);
+    if (expense.categoryId && linesByCategory.has(expense.categoryId)) {
+      linesByCategory.get(expense.categoryId).push(line);
+    } else {
+      uncategorizedLines.push(line);
+    }
+  }
+
+  const categoryReports = categories.map((category) => {
+    const lines = linesByCategory.get(category.id);
+    const budgeted = roundCurrency(toAmount(category.monthlyLimit));
+    const actual = roundCurrency(lines.reduce((sum, line) => sum + line.monthly, 0));
+    const remaining = roundCurrency(budgeted - actual);
+
+    return {
+      id: category.id,
+      name: category.name,
+      budgeted,
+      actual,
+      remaining,
+      percentUsed: budgeted > 0 ? roundCurrency((actual / budgeted) * 100) : null,
+      overBudget: actual > budgeted,
+      expenseCount: lines.length,
+      expenses: lines
+    };
+  });
+
+  const uncategorizedActual = roundCurrency(uncategorizedLines.reduce((sum, line) => sum + line.monthly, 0));
+  const budgeted = roundCurrency(categoryReports.reduce((sum, category) => sum + category.budgeted, 0));
+  const categorizedActual = roundCurrency(categoryReports.reduce((sum, category) => sum + category.actual, 0));
+  const actual = roundCurrency(categorizedActual + uncategorizedActual);
+
+  return {
+    period: 'monthly',
+    totals: {
+      budgeted,
+      actual,
+      categorizedActual,
+      uncategorizedActual,
+      remaining: roundCurrency(budgeted - actual),
+      overBudget: budgeted > 0 && actual > budgeted,
+      overBudgetCategories: categoryReports.filter((category) => category.overBudget).length
+    },
+    categories: categoryReports,
+    uncategorized: {
+      actual: uncategorizedActual,
+      expenseCount: uncategorizedLines.length,
+      expenses: uncategorizedLines
+    }
+  };
+}
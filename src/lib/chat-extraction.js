@@ -0,0 +1,190 @@
+/**
+ * Chat Extraction
+ *
+ * Turns the structured JSON a chat answer carries into proposed income,
+ * debt, expense and savings sources. Proposals are only produced when the
+ * answer is valid and unambiguous; the user still has to accept each one
+ * before a source is written.
+ *
+ * Supported output shapes (see "JSON Output Example" in the README):
+ *   { userData: { income: { isValid, ambiguous, total, breakdown: [...] } } }
+ *   { valid, ambiguous, incomeMonthlyNet }            (legacy income shape)
+ *   { valid, ambiguous, extracted: { incomeMonthlyNet } }
+ */
+
+import { parseMoney } from './statement-parser.js';
+import { roundCurrency, SUMMARY_CATEGORIES } from './financial-summary.js';
+
+// Source categories each chat type may write to; open chat can capture any of them
+export const CHAT_TYPE_CATEGORIES = {
+  INCOME: ['income'],
+  DEBT: ['debt'],
+  EXPENSES: ['expenses'],
+  SAVINGS: ['savings'],
+  OPEN_CHAT: SUMMARY_CATEGORIES
+};
+
+// Names used when the answer only reports a total
+const DEFAULT_SOURCE_NAMES = {
+  income: 'Net monthly income',
+  debt: 'Total debt',
+  expenses: 'Monthly expenses',
+  savings: 'Monthly savings'
+};
+
+// Free-text frequencies mapped to the Frequency enum; bi-weekly, semi-monthly and quarterly fold
+// into MONTHLY like statement imports
+const FREQUENCY_ALIASES = {
+  weekly: { frequency: 'WEEKLY', multiplier: 1 },
+  week: { frequency: 'WEEKLY', multiplier: 1 },
+  biweekly: { frequency: 'MONTHLY', multiplier: 26 / 12 },
+  'bi-weekly': { frequency: 'MONTHLY', multiplier: 26 / 12 },
+  fortnightly: { frequency: 'MONTHLY', multiplier: 26 / 12 },
+  semimonthly: { frequency: 'MONTHLY', multiplier: 2 },
+  'semi-monthly': { frequency: 'MONTHLY', multiplier: 2 },
+  'twice monthly': { frequency: 'MONTHLY', multiplier: 2 },
+  monthly: { frequency: 'MONTHLY', multiplier: 1 },
+  month: { frequency: 'MONTHLY', multiplier: 1 },
+  quarterly: { frequency: 'MONTHLY', multiplier: 1 / 3 },
+  quarter: { frequency: 'MONTHLY', multiplier: 1 / 3 },
+  annual: { frequency: 'ANNUAL', multiplier: 1 },
+  annually: { frequency: 'ANNUAL', multiplier: 1 },
+  yearly: { frequency: 'ANNUAL', multiplier: 1 },
+  year: { frequency: 'ANNUAL', multiplier: 1 }
+};
+
+/**
+ * Map a free-text frequency to the Frequency enum
+ * @param {string} value - e.g. 'monthly', 'Bi-weekly', 'ANNUAL'
+ * @returns {Object|null} { frequency, multiplier }; MONTHLY when no frequency is given, null when it isn't recognized
+ */
+export function parseFrequency(value) {
+  const key = String(value ?? '').trim().toLowerCase();
+  if (!key) return FREQUENCY_ALIASES.monthly;
+  return FREQUENCY_ALIASES[key] ?? null;
+}
+
+/**
+ * Key used to match a proposed source against others with the same name
+ * @param {string} sourceName - Source name
+ * @returns {string} Lowercased name with collapsed whitespace
+ */
+export function sourceNameKey(sourceName) {
+  return String(sourceName ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse a percentage such as 6.5, "6.5%" or "6.5 APR"
+ * @param {any} value - Raw rate
+ * @returns {number|null} Rate in percent, or null if missing
+ */
+function parseRate(value) {
+  const rate = parseMoney(value);
+  return rate !== null && rate >= 0 ? rate : null;
+}
+
+/**
+ * Whether a block of output should be trusted
+ * A block's own flags win over the answer-level flags when present
+ * @param {Object} block - Category block from userData (may be undefined)
+ * @param {Object} normalized - Normalized chat response
+ * @returns {boolean} True when valid and not ambiguous
+ */
+function isConfident(block, normalized) {
+  const valid = typeof block?.isValid === 'boolean'
+    ? block.isValid
+    : typeof block?.valid === 'boolean' ? block.valid : normalized.valid;
+  const ambiguous = typeof block?.ambiguous === 'boolean' ? block.ambiguous : normalized.ambiguous;
+
+  return valid === true && ambiguous === false;
+}
+
+/**
+ * Convert one breakdown entry into source fields
+ * @param {string} category - Source category
+ * @param {Object} entry - { source, amount, frequency, notes, interestRate, minPayment }
+ * @returns {Object|null} Proposed source fields, or null if the entry has no usable amount or frequency
+ */
+function toProposal(category, entry) {
+  const amount = parseMoney(entry?.amount);
+  if (amount === null || amount <= 0) return null;
+
+  // Guessing monthly for an unknown frequency could write a badly wrong amount on accept
+  const parsed = parseFrequency(entry.frequency);
+  if (!parsed) return null;
+
+  const { frequency, multiplier } = parsed;
+  const sourceName = String(entry.source ?? entry.sourceName ?? entry.name ?? '').trim() || DEFAULT_SOURCE_NAMES[category];
+  const notes = typeof entry.notes === 'string' && entry.notes.trim() ? entry.notes.trim() : null;
+
+  const fields = {
+    sourceName,
+    amount: roundCurrency(amount * multiplier),
+    frequency,
+    notes
+  };
+
+  if (category === 'debt') {
+    fields.interestRate = parseRate(entry.interestRate ?? entry.apr ?? entry.rate);
+    const minPayment = parseMoney(entry.minPayment ?? entry.minimumPayment);
+    fields.minPayment = minPayment !== null && minPayment > 0 ? roundCurrency(minPayment) : null;
+  }
+
+  return { category, fields };
+}
+
+/**
+ * Collect the raw entries a category block describes
+ * @param {string} category - Source category
+ * @param {Object} block - Category block from userData
+ * @returns {Array<Object>} Breakdown entries, or a single entry for the total
+ */
+function blockEntries(category, block) {
+  if (Array.isArray(block.breakdown) && block.breakdown.length > 0) {
+    return block.breakdown;
+  }
+
+  if (block.total !== undefined && block.total !== null) {
+    return [{ source: DEFAULT_SOURCE_NAMES[category], amount: block.total, frequency: block.frequency }];
+  }
+
+  return [];
+}
+
+/**
+ * Build proposed sources from a normalized chat response
+ * @param {string} chatType - Conversation ChatType (INCOME, DEBT, EXPENSES, SAVINGS, OPEN_CHAT)
+ * @param {Object} normalized - Output of normalizeDifyResponse
+ * @returns {Array<Object>} Proposals: { category, fields: { sourceName, amount, frequency, notes, ... } }
+ */
+export function extractSourceProposals(chatType, normalized) {
+  const categories = CHAT_TYPE_CATEGORIES[chatType] ?? [];
+  const outputs = normalized?.outputs ?? {};
+  const proposals = [];
+
+  for (const category of categories) {
+    const block = outputs.userData?.[category];
+
+    if (block && typeof block === 'object') {
+      if (!isConfident(block, normalized)) continue;
+      proposals.push(...blockEntries(category, block).map((entry) => toProposal(category, entry)));
+      continue;
+    }
+
+    // Legacy income shape surfaced by normalizeDifyResponseLegacy
+    const incomeMonthlyNet = outputs.incomeMonthlyNet ?? outputs.extracted?.incomeMonthlyNet;
+    if (category === 'income' && incomeMonthlyNet != null && isConfident(null, normalized)) {
+      proposals.push(toProposal(category, { amount: incomeMonthlyNet, frequency: 'monthly' }));
+    }
+  }
+
+  // Drop unusable entries and repeats of the same source within one answer
+  const seen = new Set();
+  return proposals.filter((proposal) => {
+    if (!proposal) return false;
+    const key = `${proposal.category}:${sourceNameKey(proposal.fields.sourceName)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Chat Streaming
+ *
+ * Helpers for reading streamed chat responses from an LLM provider and
+ * relaying them to the client as Server-Sent Events. Providers yield
+ * Dify-style events (`message`, `message_replace`, `message_end`, `error`);
+ * the client receives:
+ *   event: token    data: { "delta": "..." }          (each answer chunk)
+ *   event: replace  data: { "answer": "..." }         (moderation replaced the answer)
+ *   event: done     data: <same body as the blocking response>
+ *   event: error    data: { "code": "...", "message": "..." }
+ */
+
+import axios from 'axios';
+import { ExternalServiceError } from '../errors/index.js';
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Whether the client asked for a streamed response
+ * Opt in with ?stream=true, { "stream": true } in the body, or Accept: text/event-stream
+ * @param {object} req - Express request
+ * @returns {boolean} True when the response should be streamed
+ */
+export function wantsStream(req) {
+  return req.query?.stream === 'true' ||
+    req.body?.stream === true ||
+    (req.get?.('accept') ?? '').includes('text/event-stream');
+}
+
+/**
+ * Read a readable stream into a string (used for upstream error bodies)
+ * @param {ReadableStream} stream - Node readable stream
+ * @returns {Promise<object|string>} Parsed JSON body, or the raw text
+ */
+async function readStreamBody(stream) {
+  let body = '';
+  for await (const chunk of stream) {
+    body += chunk.toString();
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * POST to a streaming endpoint and return the raw response stream
+ * Resolves once the upstream has accepted the request, so errors can still be
+ * reported as a normal JSON error response before any SSE headers are sent.
+ * @param {string} url - Endpoint URL
+ * @param {object} body - Request body
+ * @param {object} options - Options
+ * @param {object} options.headers - Request headers
+ * @param {number} options.timeout - Milliseconds to wait for the upstream to respond (default 30000)
+ * @returns {Promise<ReadableStream>} Raw event stream
+ */
+export async function openEventStream(url, body, { headers, timeout = 30000 }) {
+  try {
+    const response = await axios.post(url, body, { headers, timeout, responseType: 'stream' });
+    return response.data;
+  } catch (error) {
+    // With responseType 'stream' the error body is a stream too; read it so callers can log it
+    if (typeof error.response?.data?.on === 'function') {
+      error.response.data = await readStreamBody(error.response.data);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse `data:` lines out of an SSE byte stream
+ * @param {ReadableStream} stream - Raw event stream
+ * @returns {AsyncGenerator<object>} Parsed event payloads
+ */
+export async function* parseSseStream(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = block
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+
+      if (!data) continue;
+
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // Ignore keep-alives and partial frames that aren't JSON
+      }
+    }
+  }
+}
+
+/**
+ * Switch an Express response to SSE
+ * @param {object} res - Express response
+ * @returns {object} { send(event, data), close() }
+ */
+export function openSseStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+
+  const heartbeat = setInterval(() => {
+    if (isOpen()) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    send(event, data) {
+      if (!isOpen()) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (isOpen()) res.end();
+    }
+  };
+}
+
+/**
+ * Relay provider events to the client and finish with a `done` event
+ * The upstream stream is always read to the end, so the answer can be persisted
+ * even if the client disconnects part way through. Never throws.
+ * @param {AsyncIterable<object>} events - Events from a provider's openStream()
+ * @param {object} sse - Stream from openSseStream
+ * @param {object} options - Options
+ * @param {Function} options.onComplete - async ({ answer, conversation_id, message_id, metadata }) => body for the `done` event
+ * @param {string} options.logPrefix - Log prefix for failures
+ * @returns {Promise<void>}
+ */
+export async function relayChatStream(events, sse, { onComplete, logPrefix = '[ChatStream]' }) {
+  const result = { answer: '', conversation_id: null, message_id: null, metadata: {} };
+
+  try {
+    for await (const event of events) {
+      result.conversation_id = event.conversation_id ?? result.conversation_id;
+      result.message_id = event.message_id ?? result.message_id;
+
+      switch (event.event) {
+        case 'message':
+        case 'agent_message':
+          if (event.answer) {
+            result.answer += event.answer;
+            sse.send('token', { delta: event.answer });
+          }
+          break;
+        case 'message_replace':
+          result.answer = event.answer ?? '';
+          sse.send('replace', { answer: result.answer });
+          break;
+        case 'message_end':
+          result.metadata = event.metadata ?? {};
+          break;
+        case 'error':
+          throw new ExternalServiceError(event.service ?? 'LLM', event.message || 'Stream failed', {
+            status: event.status,
+            upstreamCode: event.code
+          });
+        default:
+          break;
+      }
+    }
+
+    sse.send('done', await onComplete(result));
+  } catch (error) {
+    console.error(`${logPrefix} 🔥 Streaming failed:`, {
+      message: error.message,
+      conversationId: result.conversation_id
+    });
+    const upstream = error instanceof ExternalServiceError;
+    sse.send('error', {
+      code: upstream ? 'UPSTREAM_ERROR' : 'INTERNAL_ERROR',
+      message: upstream ? 'Upstream call failed' : 'Failed to complete the response'
+    });
+  } finally {
+    sse.close();
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Conversation Sharing
+ *
+ * Read-only share links for one conversation. Tokens are 256 random bits;
+ * only their SHA-256 hash is stored, so a leaked database can't be turned
+ * back into working links. Shared transcripts are redacted: no IDs, no
+ * account identity, and email addresses and the user's name are masked in
+ * message text and meta.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+
+export const MAX_SHARE_EXPIRY_DAYS = 365;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+/**
+ * Create a new share token
+ * @returns {string} URL-safe token
+ */
+export function generateShareToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a share token for storage and lookup
+ * @param {string} token - Share token
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashShareToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether a share can still be opened
+ * @param {Object} share - ConversationShare row
+ * @param {Date} now - Current time
+ * @returns {boolean} True when not revoked and not expired
+ */
+export function isShareActive(share, now = new Date()) {
+  return !share.revokedAt && (!share.expiresAt || share.expiresAt > now);
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapePattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mask email addresses and the given names in text
+ * @param {string} text - Text to redact
+ * @param {Array<string>} names - Names to mask as whole words (e.g. the user's first name)
+ * @returns {string} Redacted text
+ */
+export function redactText(text, names = []) {
+  let redacted = String(text ?? '').replace(EMAIL_PATTERN, '[email removed]');
+
+  for (const name of names.filter((value) => typeof value === 'string' && value.trim().length > 1)) {
+    redacted = redacted.replace(new RegExp(`\\b${escapePattern(name.trim())}\\b`, 'gi'), '[name]');
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact every string inside a meta value
+ * @param {any} value - Meta value
+ * @param {Array<string>} names - Names to mask
+ * @returns {any} Redacted copy
+ */
+function redactValue(value, names) {
+  if (typeof value === 'string') return redactText(value, names);
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, names));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, names)]));
+  }
+  return value;
+}
+
+/**
+ * Redact a transcript for public viewing
+ * @param {Object} transcript - Output of buildTranscript
+ * @param {Object} options - Options
+ * @param {Array<string>} options.names - Names to mask
+ * @returns {Object} Transcript without IDs or identity
+ */
+export function redactTranscript({ exportedAt, conversation, messages }, { names = [] } = {}) {
+  return {
+    sharedAt: exportedAt,
+    conversation: {
+      title: redactText(conversation.title, names),
+      chatType: conversation.chatType,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    },
+    messages: messages.map((message) => ({
+      role: message.role,
+      content: redactText(message.content, names),
+      createdAt: message.createdAt,
+      edited: message.edited,
+      meta: redactValue(message.meta, names)
+    }))
+  };
+}
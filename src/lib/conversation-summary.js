@@ -0,0 +1,118 @@
+/**
+ * Conversation Summary
+ *
+ * Rolling summaries of long conversations. Older messages are condensed
+ * into one stored summary, and each pass folds the previous summary in with
+ * the messages since. The most recent messages are never summarized, so they
+ * can still be sent verbatim as history. The summary is sent with chat
+ * requests whenever the provider can't see the full history: stateless
+ * providers, and new Dify conversations.
+ */
+
+// Messages kept out of the summary so recent turns stay verbatim
+export const SUMMARY_KEEP_RECENT = 10;
+
+// Unsummarized older messages needed before a scheduled pass rewrites the summary
+export const SUMMARY_MIN_NEW_MESSAGES = 10;
+
+export const MAX_SUMMARY_LENGTH = 2000;
+
+// Long messages are cut so one pass stays within a modest prompt
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_TRANSCRIPT_LENGTH = 12000;
+
+/**
+ * Pick the messages a pass should fold into the summary
+ * Never splits messages that share a timestamp (a prompt and the reply stored with it)
+ * @param {Array} messages - Messages after the current summary, oldest first
+ * @param {Object} options - Options
+ * @param {number} options.keepRecent - Messages to leave out at the end
+ * @returns {Array} Messages to summarize, oldest first
+ */
+export function selectMessagesToSummarize(messages, { keepRecent = SUMMARY_KEEP_RECENT } = {}) {
+  let end = Math.max(messages.length - keepRecent, 0);
+
+  while (end > 0 && end < messages.length &&
+    new Date(messages[end - 1].createdAt).getTime() === new Date(messages[end].createdAt).getTime()) {
+    end -= 1;
+  }
+
+  return messages.slice(0, end);
+}
+
+/**
+ * Render one message as a transcript block
+ * @param {Object} message - Message with role and content
+ * @returns {string} `Role: text`, with long text clipped
+ */
+function formatBlock({ role, content }) {
+  const text = String(content ?? '').trim();
+  const clipped = text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+  return `${role === 'assistant' ? 'Assistant' : 'User'}: ${clipped}`;
+}
+
+/**
+ * Keep the oldest messages whose transcript fits in one pass
+ * Later passes pick up the rest, so no message is skipped. Like selectMessagesToSummarize,
+ * never splits messages that share a timestamp; the first group is always kept.
+ * @param {Array} messages - Messages to summarize, oldest first
+ * @returns {Array} Messages for this pass, oldest first
+ */
+export function fitMessagesToTranscript(messages) {
+  let length = 0;
+  let end = 0;
+
+  while (end < messages.length) {
+    length += formatBlock(messages[end]).length + (end > 0 ? 2 : 0);
+    if (length > MAX_TRANSCRIPT_LENGTH) break;
+    end += 1;
+  }
+
+  const sameTime = (a, b) => new Date(a.createdAt).getTime() === new Date(b.createdAt).getTime();
+
+  while (end > 0 && end < messages.length && sameTime(messages[end - 1], messages[end])) {
+    end -= 1;
+  }
+
+  if (end === 0) {
+    while (end < messages.length && (end === 0 || sameTime(messages[end - 1], messages[end]))) end += 1;
+  }
+
+  return messages.slice(0, end);
+}
+
+/**
+ * Render messages as a plain transcript
+ * @param {Array} messages - Messages, oldest first (see fitMessagesToTranscript)
+ * @returns {string} Transcript with one `Role: text` block per message
+ */
+export function formatTranscript(messages) {
+  return messages.map(formatBlock).join('\n\n');
+}
+
+/**
+ * Build the instruction sent to the model for one summary pass
+ * @param {string|null} previousSummary - The stored summary, if any
+ * @param {Array} messages - Messages to fold in, oldest first
+ * @returns {string} Prompt text
+ */
+export function buildSummaryPrompt(previousSummary, messages) {
+  return [
+    'Summarize this personal finance conversation for the assistant to continue it later.',
+    'Keep every figure the user gave (amounts, frequencies, rates, dates), their goals and concerns, and any advice already given.',
+    `Write plain prose in the third person, at most ${MAX_SUMMARY_LENGTH} characters. Reply with the summary only.`,
+    previousSummary ? `\nSummary so far:\n${previousSummary}` : '',
+    `\nNew messages:\n${formatTranscript(messages)}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Tidy a model's summary for storage
+ * @param {string} text - Answer text
+ * @returns {string|null} Trimmed summary capped at MAX_SUMMARY_LENGTH, or null when empty
+ */
+export function cleanSummary(text) {
+  const summary = String(text ?? '').replace(/^summary:\s*/i, '').trim();
+  if (!summary) return null;
+  return summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : summary;
+}
@@ -0,0 +1,73 @@
+/**
+ * Conversation Threads
+ *
+ * Titles and the status lifecycle for conversation threads. A user can
+ * have any number of threads per chat type:
+ *   open     → accepts new messages
+ *   archived → hidden from the default list, read-only until reopened
+ *   closed   → finished for good; can still be archived
+ */
+
+export const CONVERSATION_STATUSES = ['open', 'archived', 'closed'];
+
+// Allowed status changes, keyed by the current status
+export const STATUS_TRANSITIONS = {
+  open: ['archived', 'closed'],
+  archived: ['open', 'closed'],
+  closed: ['archived']
+};
+
+export const MAX_TITLE_LENGTH = 60;
+
+const CHAT_TYPE_LABELS = {
+  INCOME: 'Income',
+  DEBT: 'Debt',
+  EXPENSES: 'Expenses',
+  SAVINGS: 'Savings',
+  OPEN_CHAT: 'General'
+};
+
+/**
+ * Map a route or client chat type to the ChatType enum
+ * `chat` is the route name for open chat
+ * @param {string} chatType - e.g. 'income', 'INCOME', 'chat', 'open_chat'
+ * @returns {string} ChatType value
+ */
+export function toChatType(chatType) {
+  const value = String(chatType ?? '').toUpperCase();
+  return value === 'CHAT' ? 'OPEN_CHAT' : value;
+}
+
+/**
+ * Title shown for a thread that has no messages yet
+ * @param {string} chatType - ChatType value
+ * @returns {string} e.g. 'Income chat'
+ */
+export function defaultConversationTitle(chatType) {
+  return `${CHAT_TYPE_LABELS[chatType] ?? 'New'} chat`;
+}
+
+/**
+ * Generate a thread title from the first user message
+ * @param {string} text - Message text
+ * @returns {string|null} Title cut at a word boundary, or null for empty text
+ */
+export function generateConversationTitle(text) {
+  const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (!clean) return null;
+  if (clean.length <= MAX_TITLE_LENGTH) return clean;
+
+  const cut = clean.slice(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Whether a thread can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed (or unchanged)
+ */
+export function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] ?? []).includes(to);
+}
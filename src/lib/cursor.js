@@ -0,0 +1,119 @@
+/**
+ * Cursor Pagination
+ *
+ * Keyset pagination over a timestamp column with the row ID as tiebreaker.
+ * Cursors are opaque base64url strings wrapping { value, id } of the row
+ * they point at, so a page stays stable when rows are added while a client
+ * scrolls. `after` returns the rows that follow the cursor in the requested
+ * order, `before` the rows that precede it.
+ */
+
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Encode a row position as an opaque cursor
+ * @param {Date|string} value - Value of the ordering column
+ * @param {string} id - Row ID
+ * @returns {string} Cursor
+ */
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: new Date(value).toISOString(), id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} { value: Date, id }, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const value = new Date(v);
+
+    if (typeof id !== 'string' || id.length === 0 || Number.isNaN(value.getTime())) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read limit, before and after from query parameters
+ * @param {Object} query - Request query
+ * @param {Object} options - Options
+ * @param {number} options.defaultLimit - Limit when none is given
+ * @param {number} options.maxLimit - Largest allowed limit
+ * @returns {Object} { limit, before, after } with decoded cursors
+ */
+export function parsePageParams(query, { defaultLimit = 50, maxLimit = 100 } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  if (query.before && query.after) {
+    throw new ValidationError('Use either before or after, not both', { before: query.before, after: query.after });
+  }
+
+  const decode = (name) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+
+    const position = decodeCursor(query[name]);
+    if (!position) {
+      throw new ValidationError(`${name} must be a cursor returned by a previous page`, { [name]: query[name] });
+    }
+    return position;
+  };
+
+  return { limit, before: decode('before'), after: decode('after') };
+}
+
+/**
+ * Build Prisma query arguments for one page
+ * `before` pages are fetched in reverse and put back in order by cursorPage
+ * @param {Object} options - Options
+ * @param {string} options.field - Ordering column, e.g. 'createdAt'
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {Object} options.before - Decoded cursor
+ * @param {Object} options.after - Decoded cursor
+ * @returns {Object} { where, orderBy, take }
+ */
+export function cursorQuery({ field, order = 'asc', limit, before, after }) {
+  const position = before ?? after;
+  const queryOrder = before ? (order === 'asc' ? 'desc' : 'asc') : order;
+  const op = queryOrder === 'asc' ? 'gt' : 'lt';
+
+  return {
+    where: position
+      ? {
+          OR: [
+            { [field]: { [op]: position.value } },
+            { [field]: position.value, id: { [op]: position.id } }
+          ]
+        }
+      : {},
+    orderBy: [{ [field]: queryOrder }, { id: queryOrder }],
+    // One extra row tells whether another page exists
+    take: limit + 1
+  };
+}
+
+/**
+ * Turn the rows fetched with cursorQuery into a page
+ * @param {Array} rows - Rows from the query
+ * @param {Object} options - The options passed to cursorQuery, plus `offset` for offset paging
+ * @returns {Object} { items, nextCursor, prevCursor }
+ */
+export function cursorPage(rows, { field, limit, before, after, offset = 0 }) {
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (before) items.reverse();
+
+  const cursorFor = (row) => (row ? encodeCursor(row[field], row.id) : null);
+  const hasNext = before ? true : hasMore;
+  const hasPrev = before ? hasMore : Boolean(after) || offset > 0;
+
+  return {
+    items,
+    nextCursor: hasNext ? cursorFor(items.at(-1)) : null,
+    prevCursor: hasPrev ? cursorFor(items[0]) : null
+  };
+}
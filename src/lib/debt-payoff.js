@@ -0,0 +1,278 @@
+/**
+ * Debt Payoff Planner
+ *
+ * Simulates paying down a set of debts month by month. Every debt receives
+ * its minimum payment; the extra payment plus any minimums freed up by
+ * paid-off debts ("rollover") go to the highest-priority debt still open.
+ * The strategy only decides that priority order.
+ *
+ * `interestRate` is an APR expressed as a percentage (19.99 means 19.99%).
+ *
+ * A plan whose monthly payment doesn't cover the first month's interest would
+ * never pay anything off, so it is rejected instead of simulated.
+ */
+
+import { roundCurrency, toAmount } from './financial-summary.js';
+import { ValidationError } from '../errors/index.js';
+
+export const PAYOFF_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+export const DEFAULT_MAX_MONTHS = 600;
+
+// Used when a debt has no minPayment on record
+const FALLBACK_MIN_PAYMENT_RATE = 0.01;
+const FALLBACK_MIN_PAYMENT_FLOOR = 25;
+
+/**
+ * Normalize debt rows into the shape the simulator works with
+ * @param {Array} debts - DebtSource rows
+ * @returns {Array} Debts with numeric balance, APR and minimum payment
+ */
+export function normalizeDebts(debts = []) {
+  return debts
+    .map((debt) => {
+      const balance = roundCurrency(toAmount(debt.amount));
+      const interestRate = toAmount(debt.interestRate);
+      const monthlyInterest = balance * (interestRate / 100 / 12);
+      const recordedMinimum = toAmount(debt.minPayment);
+      const minPayment = recordedMinimum > 0
+        ? recordedMinimum
+        : Math.max(FALLBACK_MIN_PAYMENT_FLOOR, monthlyInterest + balance * FALLBACK_MIN_PAYMENT_RATE);
+
+      return {
+        id: debt.id,
+        sourceName: debt.sourceName,
+        balance,
+        interestRate,
+        minPayment: roundCurrency(Math.min(minPayment, balance)),
+        minPaymentEstimated: !(recordedMinimum > 0)
+      };
+    })
+    .filter((debt) => debt.balance > 0);
+}
+
+/**
+ * Interest a debt accrues in its first month
+ * @param {object} debt - Normalized debt
+ * @returns {number} Interest in currency units
+ */
+function firstMonthInterest(debt) {
+  return debt.balance * (debt.interestRate / 100 / 12);
+}
+
+/**
+ * Order debts according to a payoff strategy
+ * @param {Array} debts - Normalized debts
+ * @param {string} strategy - avalanche, snowball or custom
+ * @param {Array<string>} customOrder - Debt IDs in payoff order (custom strategy only)
+ * @returns {Array} Debts in payoff priority order
+ */
+export function orderDebts(debts, strategy = 'avalanche', customOrder = []) {
+  const byAvalanche = (a, b) => (b.interestRate - a.interestRate) || (a.balance - b.balance);
+  const bySnowball = (a, b) => (a.balance - b.balance) || (b.interestRate - a.interestRate);
+
+  if (strategy === 'snowball') {
+    return [...debts].sort(bySnowball);
+  }
+
+  if (strategy === 'custom') {
+    const position = new Map(customOrder.map((id, index) => [id, index]));
+    // Debts left out of the custom order are paid after the listed ones, avalanche-style
+    return [...debts].sort((a, b) => {
+      const aPos = position.has(a.id) ? position.get(a.id) : Infinity;
+      const bPos = position.has(b.id) ? position.get(b.id) : Infinity;
+      if (aPos !== bPos) return aPos - bPos;
+      return byAvalanche(a, b);
+    });
+  }
+
+  return [...debts].sort(byAvalanche);
+}
+
+/**
+ * Add whole months to a date, returning the first day of the resulting month
+ * @param {Date} start - Starting date
+ * @param {number} months - Months to add
+ * @returns {Date} First day of the target month (UTC)
+ */
+function addMonths(start, months) {
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+}
+
+/**
+ * Run the month-by-month simulation
+ * @param {Array} orderedDebts - Normalized debts in priority order
+ * @param {object} options - Simulation options
+ * @param {number} options.extraPayment - Extra amount paid every month
+ * @param {boolean} options.rollover - Whether freed-up minimums go to the next debt
+ * @param {number} options.maxMonths - Safety cap on the simulation length
+ * @param {Date} options.startDate - Month the plan starts from
+ * @returns {object} Per-debt schedules and totals
+ */
+function simulate(orderedDebts, { extraPayment, rollover, maxMonths, startDate }) {
+  const state = orderedDebts.map((debt) => ({
+    ...debt,
+    remaining: debt.balance,
+    totalInterest: 0,
+    totalPaid: 0,
+    payoffMonth: null,
+    schedule: []
+  }));
+
+  const totalMinimums = state.reduce((sum, debt) => sum + debt.minPayment, 0);
+  let month = 0;
+
+  while (month < maxMonths && state.some((debt) => debt.remaining > 0)) {
+    month += 1;
+    const date = addMonths(startDate, month).toISOString().slice(0, 10);
+
+    // Accrue interest first, then apply payments
+    const rows = new Map();
+    for (const debt of state) {
+      if (debt.remaining <= 0) continue;
+      const interest = roundCurrency(debt.remaining * (debt.interestRate / 100 / 12));
+      debt.remaining = roundCurrency(debt.remaining + interest);
+      debt.totalInterest += interest;
+      rows.set(debt.id, { month, date, payment: 0, interest, principal: 0, balance: 0 });
+    }
+
+    let available = rollover ? totalMinimums + extraPayment : 0;
+
+    for (const debt of state) {
+      if (debt.remaining <= 0) continue;
+      const payment = roundCurrency(Math.min(debt.minPayment, debt.remaining));
+      debt.remaining = roundCurrency(debt.remaining - payment);
+      rows.get(debt.id).payment += payment;
+      if (rollover) available -= payment;
+    }
+
+    if (rollover) {
+      available = roundCurrency(available);
+      for (const debt of state) {
+        if (available <= 0) break;
+        if (debt.remaining <= 0) continue;
+        const payment = roundCurrency(Math.min(available, debt.remaining));
+        debt.remaining = roundCurrency(debt.remaining - payment);
+        rows.get(debt.id).payment += payment;
+        available = roundCurrency(available - payment);
+      }
+    }
+
+    for (const debt of state) {
+      const row = rows.get(debt.id);
+      if (!row) continue;
+      row.payment = roundCurrency(row.payment);
+      row.principal = roundCurrency(row.payment - row.interest);
+      row.balance = debt.remaining;
+      debt.totalPaid += row.payment;
+      debt.schedule.push(row);
+      if (debt.remaining <= 0 && debt.payoffMonth === null) {
+        debt.payoffMonth = month;
+      }
+    }
+  }
+
+  const paidOff = state.every((debt) => debt.remaining <= 0);
+  const totalInterest = roundCurrency(state.reduce((sum, debt) => sum + debt.totalInterest, 0));
+  const totalPaid = roundCurrency(state.reduce((sum, debt) => sum + debt.totalPaid, 0));
+
+  return {
+    months: month,
+    paidOff,
+    payoffDate: paidOff && month > 0 ? addMonths(startDate, month).toISOString().slice(0, 10) : null,
+    totalInterest,
+    totalPaid,
+    debts: state
+  };
+}
+
+/**
+ * Build a debt payoff plan and compare it with paying only the minimums
+ * @param {Array} debts - DebtSource rows (amount, interestRate, minPayment)
+ * @param {object} options - Plan options
+ * @param {string} options.strategy - avalanche, snowball or custom
+ * @param {Array<string>} options.order - Debt IDs in payoff order for the custom strategy
+ * @param {number} options.extraPayment - Extra monthly payment on top of the minimums
+ * @param {number} options.maxMonths - Safety cap on the simulation length
+ * @param {Date} options.startDate - Month the plan starts from (defaults to now)
+ * @returns {object} Plan with per-debt amortization schedules and interest savings. When some minimum
+ *   doesn't cover its debt's interest, the baseline never pays off: it has `neverPaysOff: true` and no totals.
+ * @throws {ValidationError} When the monthly payment doesn't cover the interest, so the plan never pays off
+ */
+export function buildPayoffPlan(debts, {
+  strategy = 'avalanche',
+  order = [],
+  extraPayment = 0,
+  maxMonths = DEFAULT_MAX_MONTHS,
+  startDate = new Date()
+} = {}) {
+  const normalized = normalizeDebts(debts);
+  const ordered = orderDebts(normalized, strategy, order);
+  const extra = roundCurrency(Math.max(0, toAmount(extraPayment)));
+  const monthlyPayment = roundCurrency(ordered.reduce((sum, debt) => sum + debt.minPayment, 0) + extra);
+  const monthlyInterest = roundCurrency(ordered.reduce((sum, debt) => sum + firstMonthInterest(debt), 0));
+
+  if (ordered.length > 0 && monthlyPayment <= monthlyInterest) {
+    const figures = {
+      monthlyPayment,
+      monthlyInterest,
+      shortfall: roundCurrency(monthlyInterest - monthlyPayment)
+    };
+    const error = new ValidationError('The monthly payment does not cover the interest, so the debts would never be paid off. Increase extraPayment or the minimum payments.', figures);
+    // Returned to the client so it can say how much more is needed
+    error.details = figures;
+    throw error;
+  }
+
+  const plan = simulate(ordered, { extraPayment: extra, rollover: true, maxMonths, startDate });
+
+  // Paying only the minimums never clears a debt whose minimum doesn't cover its interest
+  const baselineNeverPaysOff = ordered.some((debt) => debt.minPayment <= firstMonthInterest(debt));
+  const baseline = baselineNeverPaysOff
+    ? null
+    : simulate(ordered, { extraPayment: 0, rollover: false, maxMonths, startDate });
+
+  return {
+    strategy,
+    order: ordered.map((debt) => debt.id),
+    extraPayment: extra,
+    monthlyPayment,
+    months: plan.months,
+    paidOff: plan.paidOff,
+    payoffDate: plan.payoffDate,
+    totalInterest: plan.totalInterest,
+    totalPaid: plan.totalPaid,
+    baseline: baseline
+      ? {
+        months: baseline.months,
+        paidOff: baseline.paidOff,
+        neverPaysOff: false,
+        payoffDate: baseline.payoffDate,
+        totalInterest: baseline.totalInterest,
+        totalPaid: baseline.totalPaid
+      }
+      : {
+        months: null,
+        paidOff: false,
+        neverPaysOff: true,
+        payoffDate: null,
+        totalInterest: null,
+        totalPaid: null
+      },
+    interestSaved: baseline ? roundCurrency(baseline.totalInterest - plan.totalInterest) : null,
+    monthsSaved: baseline ? baseline.months - plan.months : null,
+    debts: plan.debts.map((debt) => ({
+      id: debt.id,
+      sourceName: debt.sourceName,
+      startingBalance: debt.balance,
+      interestRate: debt.interestRate,
+      minPayment: debt.minPayment,
+      minPaymentEstimated: debt.minPaymentEstimated,
+      payoffMonth: debt.payoffMonth,
+      payoffDate: debt.payoffMonth ? addMonths(startDate, debt.payoffMonth).toISOString().slice(0, 10) : null,
+      totalInterest: roundCurrency(debt.totalInterest),
+      totalPaid: roundCurrency(debt.totalPaid),
+      schedule: debt.schedule
+    }))
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Subscription Entitlements
+ *
+ * Maps subscription tiers to the features they unlock. A user without a
+ * subscription, or whose subscription has lapsed, is on the free tier.
+ * Tiers are ordered: each paid tier includes everything below it.
+ */
+
+export const TIERS = ['free', 'plus', 'premium'];
+
+export const DEFAULT_TIER = 'free';
+
+export const FEATURES = {
+  // Chat with the assistant in a stored conversation
+  CHAT: 'chat',
+  // Financial context in chat, editing and regenerating messages, on-demand summaries
+  ADVANCED_CHAT: 'advanced_chat',
+  // Conversation transcript downloads
+  EXPORT: 'export',
+  // Debt payoff plans
+  PLANNING: 'planning'
+};
+
+export const TIER_FEATURES = {
+  free: [FEATURES.CHAT],
+  plus: [FEATURES.CHAT, FEATURES.ADVANCED_CHAT, FEATURES.EXPORT],
+  premium: [FEATURES.CHAT, FEATURES.ADVANCED_CHAT, FEATURES.EXPORT, FEATURES.PLANNING]
+};
+
+// Subscription.status values that grant the subscription's tier
+export const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+/**
+ * Normalize a stored tier name
+ * @param {string} tier - Subscription.tier
+ * @returns {string|null} Known tier, or null
+ */
+export function normalizeTier(tier) {
+  const value = String(tier ?? '').trim().toLowerCase();
+  return TIERS.includes(value) ? value : null;
+}
+
+/**
+ * Whether a subscription currently grants its tier
+ * @param {Object|null} subscription - Subscription row
+ * @param {Date} now - Current time
+ * @returns {boolean} True when active or trialing and not past its end date
+ */
+export function isSubscriptionActive(subscription, now = new Date()) {
+  if (!subscription) return false;
+  if (!ACTIVE_SUBSCRIPTION_STATUSES.includes(String(subscription.status).toLowerCase())) return false;
+  return !subscription.endDate || new Date(subscription.endDate) > now;
+}
+
+/**
+ * Whether a tier includes a feature
+ * @param {string} tier - Tier name
+ * @param {string} feature - Feature name
+ * @returns {boolean} True when the tier unlocks the feature
+ */
+export function tierHasFeature(tier, feature) {
+  return (TIER_FEATURES[tier] ?? []).includes(feature);
+}
+
+/**
+ * The lowest tier that unlocks a feature
+ * @param {string} feature - Feature name
+ * @returns {string|null} Tier name, or null for an unknown feature
+ */
+export function requiredTierFor(feature) {
+  return TIERS.find((tier) => tierHasFeature(tier, feature)) ?? null;
+}
+
+/**
+ * Resolve what a user's current subscription grants
+ * @param {Object|null} subscription - The user's current Subscription row
+ * @param {Date} now - Current time
+ * @returns {Object} { tier, subscribedTier, status, active, endDate, features }
+ */
+export function resolveEntitlements(subscription, now = new Date()) {
+  const subscribedTier = normalizeTier(subscription?.tier);
+  const active = Boolean(subscribedTier) && isSubscriptionActive(subscription, now);
+  const tier = active ? subscribedTier : DEFAULT_TIER;
+
+  return {
+    tier,
+    subscribedTier,
+    status: subscription?.status ?? null,
+    active,
+    endDate: subscription?.endDate ?? null,
+    features: TIER_FEATURES[tier]
+  };
+}
+
+/**
+ * Describe why a feature is unavailable, for the client's upgrade prompt
+ * Returns 403 when the user's own (lapsed) tier would include the feature, so renewing is
+ * enough; otherwise 402, since a higher tier is needed.
+ * @param {Object} entitlements - Output of resolveEntitlements
+ * @param {string} feature - Feature name
+ * @returns {Object|null} { status, code, message, details }, or null when the feature is available
+ */
+export function describeMissingEntitlement(entitlements, feature) {
+  if (entitlements.features.includes(feature)) return null;
+
+  const requiredTier = requiredTierFor(feature);
+  const details = {
+    feature,
+    currentTier: entitlements.tier,
+    requiredTier,
+    upgradeTiers: TIERS.filter((tier) => tierHasFeature(tier, feature)),
+    subscriptionStatus: entitlements.status
+  };
+
+  if (entitlements.subscribedTier && !entitlements.active && tierHasFeature(entitlements.subscribedTier, feature)) {
+    return {
+      status: 403,
+      code: 'SUBSCRIPTION_INACTIVE',
+      message: `Your ${entitlements.subscribedTier} subscription is not active`,
+      details
+    };
+  }
+
+  return {
+    status: 402,
+    code: 'UPGRADE_REQUIRED',
+    message: requiredTier
+      ? `This feature requires the ${requiredTier} plan`
+      : 'This feature is not available on any plan',
+    details
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Export Formatting
+ *
+ * Helpers for turning the account export into portable files: one flat
+ * table per model (for the CSV zip) and RFC 4180 CSV text.
+ */
+
+export const EXPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+// Bumped whenever the shape of the JSON export changes
+export const EXPORT_VERSION = 1;
+
+/**
+ * Serialize a single value for a CSV cell
+ * Dates become ISO strings, Decimals their string form and objects JSON
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function toCsvCell(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && typeof value.toFixed === 'function') {
+    text = value.toString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV, using the union of keys (in first-seen order) as the header
+ * @param {Array<object>} rows - Flat objects
+ * @returns {string} CSV text with a trailing newline
+ */
+export function toCsv(rows = []) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+
+  if (columns.length === 0) return '';
+
+  const lines = [columns.map(toCsvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCsvCell(row[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Split the nested account export into one flat table per model
+ * Nested relations are replaced by their foreign keys
+ * @param {object} data - Output of the export service
+ * @returns {object} Map of table name → rows
+ */
+export function flattenExportTables(data) {
+  const conversations = data.conversations ?? [];
+  const savingsGoals = data.savingsGoals ?? [];
+
+  return {
+    user: [data.user],
+    subscriptions: data.subscriptions ?? [],
+    income_sources: data.incomeSources ?? [],
+    debt_sources: data.debtSources ?? [],
+    expense_sources: data.expenseSources ?? [],
+    savings_sources: data.savingsSources ?? [],
+    budget_categories: data.budgetCategories ?? [],
+    savings_goals: savingsGoals.map(({ savingsSourceIds, ...goal }) => goal),
+    savings_goal_sources: savingsGoals.flatMap((goal) =>
+      (goal.savingsSourceIds ?? []).map((savingsSourceId) => ({ goalId: goal.id, savingsSourceId }))
+    ),
+    financial_snapshots: data.financialSnapshots ?? [],
+    conversations: conversations.map(({ messages, ...conversation }) => conversation),
+    messages: conversations.flatMap((conversation) => conversation.messages ?? [])
+  };
+}
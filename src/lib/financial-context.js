@@ -0,0 +1,158 @@
+/**
+ * Financial Context Builder
+ *
+ * Condenses a user's sources, savings goals and snapshot history into a
+ * compact object that is sent with every chat request, so the assistant
+ * answers with the user's real numbers. Free-text `notes` are never
+ * included. When the context would exceed its token budget, it is rebuilt
+ * with fewer sources, goals and history points per list until it fits; the
+ * summary totals are always kept.
+ */
+
+import { roundCurrency, toAmount, toMonthly } from './financial-summary.js';
+
+export const DEFAULT_CONTEXT_MAX_TOKENS = 1000;
+
+// Detail levels tried in order until the context fits the budget
+const DETAIL_LEVELS = [
+  { sources: 10, goals: 5, history: 6 },
+  { sources: 5, goals: 3, history: 3 },
+  { sources: 3, goals: 2, history: 0 },
+  { sources: 1, goals: 0, history: 0 },
+  { sources: 0, goals: 0, history: 0 }
+];
+
+/**
+ * Rough token estimate for a JSON payload (about four characters per token)
+ * @param {any} value - Value that will be serialized
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/**
+ * Compact one category of sources, largest monthly amounts first
+ * @param {string} category - Source category
+ * @param {Array} sources - Source rows
+ * @returns {Array<Object>} Sources without IDs, timestamps or notes
+ */
+function compactSources(category, sources = []) {
+  return sources
+    .map((source) => {
+      const amount = roundCurrency(toAmount(source.amount));
+
+      if (category === 'debt') {
+        return {
+          name: source.sourceName,
+          balance: amount,
+          interestRate: source.interestRate != null ? toAmount(source.interestRate) : null,
+          minPayment: source.minPayment != null ? roundCurrency(toAmount(source.minPayment)) : null,
+          sortKey: amount
+        };
+      }
+
+      return {
+        name: source.sourceName,
+        amount,
+        frequency: source.frequency,
+        monthly: roundCurrency(toMonthly(amount, source.frequency)),
+        sortKey: toMonthly(amount, source.frequency)
+      };
+    })
+    .sort((a, b) => b.sortKey - a.sortKey)
+    .map(({ sortKey, ...source }) => source);
+}
+
+/**
+ * Compact savings goals to their progress
+ * @param {Array} goals - Goals as returned by getSavingsGoals
+ * @returns {Array<Object>} Goals without notes or linked sources
+ */
+function compactGoals(goals = []) {
+  return goals.map((goal) => ({
+    name: goal.name,
+    target: roundCurrency(toAmount(goal.targetAmount)),
+    current: roundCurrency(toAmount(goal.currentAmount)),
+    targetDate: goal.targetDate ? new Date(goal.targetDate).toISOString().slice(0, 10) : null,
+    status: goal.projection?.status ?? null
+  }));
+}
+
+/**
+ * Limit each list to `limit` entries, counting what was left out
+ * @param {Object} lists - Lists keyed by name
+ * @param {number} limit - Maximum entries per list
+ * @param {Object} omitted - Accumulator of omitted counts
+ * @returns {Object} Limited lists (empty lists are dropped)
+ */
+function limitLists(lists, limit, omitted) {
+  const limited = {};
+
+  for (const [name, items] of Object.entries(lists)) {
+    if (items.length > limit) {
+      omitted[name] = items.length - limit;
+    }
+    if (limit > 0 && items.length > 0) {
+      limited[name] = items.slice(0, limit);
+    }
+  }
+
+  return limited;
+}
+
+/**
+ * Build the chat context for a user
+ * @param {Object} data - Inputs
+ * @param {Object} data.summary - Output of buildFinancialSummary
+ * @param {Object} data.sources - Source rows grouped as { income, debt, expenses, savings }
+ * @param {Array} data.goals - Savings goals with projections
+ * @param {Array} data.history - Monthly snapshot history points, oldest first
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Token budget for the serialized context
+ * @returns {Object} Context object, with `truncated` set when detail was dropped
+ */
+export function buildFinancialContext(
+  { summary, sources = {}, goals = [], history = [] },
+  { maxTokens = DEFAULT_CONTEXT_MAX_TOKENS } = {}
+) {
+  const base = {
+    monthly: summary.monthly,
+    totals: {
+      debt: summary.totalDebt,
+      savings: summary.totalSavings
+    }
+  };
+
+  const allSources = Object.fromEntries(
+    ['income', 'debt', 'expenses', 'savings'].map((category) => [category, compactSources(category, sources[category])])
+  );
+  const allGoals = compactGoals(goals);
+  const allHistory = history.map((point) => ({
+    period: point.period,
+    netWorth: point.netWorth,
+    cashFlow: point.cashFlow
+  }));
+
+  let context;
+  for (const level of DETAIL_LEVELS) {
+    const omitted = {};
+    const limitedSources = limitLists(allSources, level.sources, omitted);
+    const { goals: limitedGoals = [] } = limitLists({ goals: allGoals }, level.goals, omitted);
+    // History keeps the most recent periods
+    const { history: limitedHistory = [] } = limitLists({ history: [...allHistory].reverse() }, level.history, omitted);
+
+    context = {
+      ...base,
+      ...(Object.keys(limitedSources).length > 0 && { sources: limitedSources }),
+      ...(limitedGoals.length > 0 && { goals: limitedGoals }),
+      ...(limitedHistory.length > 0 && { history: limitedHistory.reverse() }),
+      ...(Object.keys(omitted).length > 0 && { omitted }),
+      truncated: Object.keys(omitted).length > 0
+    };
+
+    if (estimateTokens(context) <= maxTokens) break;
+  }
+
+  return context;
+}
@@ -0,0 +1,160 @@
+/**
+ * Financial Summary Engine
+ *
+ * Converts income, debt, expense and savings sources into comparable
+ * monthly and annual figures using the Prisma `Frequency` enum, so a
+ * WEEKLY paycheck and an ANNUAL premium are never added as if they were
+ * the same unit. Every endpoint that reports totals should go through
+ * `buildFinancialSummary` so their numbers stay consistent.
+ */
+
+/**
+ * Multipliers that convert an amount at a given frequency to its monthly equivalent
+ */
+export const MONTHLY_MULTIPLIERS = {
+  WEEKLY: 52 / 12,
+  MONTHLY: 1,
+  ANNUAL: 1 / 12
+};
+
+export const FREQUENCIES = Object.keys(MONTHLY_MULTIPLIERS);
+
+export const SUMMARY_CATEGORIES = ['income', 'debt', 'expenses', 'savings'];
+
+/**
+ * Round a currency value to cents
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to two decimal places
+ */
+export function roundCurrency(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Parse a Prisma Decimal, string or number into a finite number
+ * @param {any} amount - Amount as stored on a source row
+ * @returns {number} Parsed amount, or 0 when it can't be parsed
+ */
+export function toAmount(amount) {
+  const value = parseFloat(amount);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Convert an amount at the given frequency to its monthly equivalent
+ * @param {any} amount - Amount as stored on a source row
+ * @param {string} frequency - WEEKLY, MONTHLY or ANNUAL
+ * @returns {number} Monthly equivalent (unknown frequencies are treated as MONTHLY)
+ */
+export function toMonthly(amount, frequency) {
+  const multiplier = MONTHLY_MULTIPLIERS[String(frequency || '').toUpperCase()] ?? 1;
+  return toAmount(amount) * multiplier;
+}
+
+/**
+ * Convert an amount at the given frequency to its annual equivalent
+ * @param {any} amount - Amount as stored on a source row
+ * @param {string} frequency - WEEKLY, MONTHLY or ANNUAL
+ * @returns {number} Annual equivalent
+ */
+export function toAnnual(amount, frequency) {
+  return toMonthly(amount, frequency) * 12;
+}
+
+/**
+ * Summarize a single category of sources
+ * @param {Array} sources - Source rows with amount and frequency
+ * @returns {object} Raw, monthly and annual totals plus a per-frequency breakdown
+ */
+export function summarizeSources(sources = []) {
+  const byFrequency = Object.fromEntries(
+    FREQUENCIES.map((frequency) => [frequency, { count: 0, raw: 0, monthly: 0, annual: 0 }])
+  );
+
+  let raw = 0;
+  let monthly = 0;
+
+  for (const source of sources) {
+    const amount = toAmount(source.amount);
+    const frequency = FREQUENCIES.includes(source.frequency) ? source.frequency : 'MONTHLY';
+    const monthlyAmount = toMonthly(amount, frequency);
+
+    raw += amount;
+    monthly += monthlyAmount;
+
+    const bucket = byFrequency[frequency];
+    bucket.count += 1;
+    bucket.raw += amount;
+    bucket.monthly += monthlyAmount;
+    bucket.annual += monthlyAmount * 12;
+  }
+
+  for (const bucket of Object.values(byFrequency)) {
+    bucket.raw = roundCurrency(bucket.raw);
+    bucket.monthly = roundCurrency(bucket.monthly);
+    bucket.annual = roundCurrency(bucket.annual);
+  }
+
+  return {
+    count: sources.length,
+    raw: roundCurrency(raw),
+    monthly: roundCurrency(monthly),
+    annual: roundCurrency(monthly * 12),
+    byFrequency
+  };
+}
+
+/**
+ * Build the shared financial summary for a user's sources
+ *
+ * The top-level `total*` fields keep the raw sums the frontend already reads;
+ * `monthly` and `annual` hold the frequency-normalized figures.
+ *
+ * @param {object} sources - Source rows grouped by category
+ * @param {Array} sources.income - IncomeSource rows
+ * @param {Array} sources.debt - DebtSource rows
+ * @param {Array} sources.expenses - ExpenseSource rows
+ * @param {Array} sources.savings - SavingsSource rows
+ * @returns {object} Summary with raw totals, normalized totals and breakdowns
+ */
+export function buildFinancialSummary({ income = [], debt = [], expenses = [], savings = [] } = {}) {
+  const categories = {
+    income: summarizeSources(income),
+    debt: summarizeSources(debt),
+    expenses: summarizeSources(expenses),
+    savings: summarizeSources(savings)
+  };
+
+  const byFrequency = Object.fromEntries(
+    FREQUENCIES.map((frequency) => [
+      frequency,
+      Object.fromEntries(SUMMARY_CATEGORIES.map((category) => [category, categories[category].byFrequency[frequency]]))
+    ])
+  );
+
+  const monthlyNet = categories.income.monthly - categories.expenses.monthly;
+
+  return {
+    totalIncome: categories.income.raw,
+    totalDebt: categories.debt.raw,
+    totalExpenses: categories.expenses.raw,
+    totalSavings: categories.savings.raw,
+    netCashFlow: roundCurrency(categories.income.raw - categories.expenses.raw),
+    monthly: {
+      income: categories.income.monthly,
+      debt: categories.debt.monthly,
+      expenses: categories.expenses.monthly,
+      savings: categories.savings.monthly,
+      netCashFlow: roundCurrency(monthlyNet)
+    },
+    annual: {
+      income: categories.income.annual,
+      debt: categories.debt.annual,
+      expenses: categories.expenses.annual,
+      savings: categories.savings.annual,
+      netCashFlow: roundCurrency(monthlyNet * 12)
+    },
+    byCategory: categories,
+    byFrequency
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Account Import Bundle
+ *
+ * Validates an account bundle (the JSON produced by GET /v1/user/export)
+ * against the Prisma datamodel before it is restored. Each record is reduced
+ * to the writable columns of its model; primary keys, the owning user and
+ * foreign keys are split out so the restore can assign fresh IDs and remap
+ * references between records.
+ */
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Bundle key → Prisma model, in the order records must be created
+export const RESTORABLE_TABLES = {
+  budgetCategories: 'BudgetCategory',
+  incomeSources: 'IncomeSource',
+  debtSources: 'DebtSource',
+  expenseSources: 'ExpenseSource',
+  savingsSources: 'SavingsSource',
+  savingsGoals: 'SavingsGoal',
+  conversations: 'Conversation',
+  messages: 'Message'
+};
+
+// Foreign keys that point at other records in the bundle
+const BUNDLE_REFERENCES = {
+  expenseSources: { categoryId: 'budgetCategories' },
+  messages: { conversationId: 'conversations' }
+};
+
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Check a value against a Prisma scalar or enum type
+ * @param {*} value - Value from the bundle
+ * @param {object} field - DMMF field
+ * @param {Map} enums - Enum name → Set of allowed values
+ * @returns {boolean} Whether the value is acceptable
+ */
+function isValidFieldValue(value, field, enums) {
+  if (field.kind === 'enum') return enums.get(field.type)?.has(value) ?? false;
+
+  switch (field.type) {
+    case 'String':
+      return typeof value === 'string';
+    case 'Int':
+      return Number.isInteger(value);
+    case 'Float':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'Decimal':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'Boolean':
+      return typeof value === 'boolean';
+    case 'DateTime':
+      return (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime());
+    case 'Json':
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Reduce a bundle record to the writable columns of its model
+ * @param {object} record - Record from the bundle
+ * @param {object} model - DMMF model
+ * @param {Map} enums - Enum name → Set of allowed values
+ * @param {string} path - Record path for error messages (e.g. incomeSources[2])
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {object} { originalId, data, refs }
+ */
+function sanitizeRecord(record, model, enums, path, errors) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const foreignKeys = new Set(model.fields.flatMap((field) => field.relationFromFields ?? []));
+  const data = {};
+  const refs = {};
+
+  for (const field of model.fields) {
+    if (field.kind === 'object' || field.isUpdatedAt) continue;
+
+    const value = record[field.name];
+
+    if (field.isId) {
+      if (value !== undefined && typeof value !== 'string') {
+        errors.push(`${path}.${field.name} must be a string`);
+      }
+      continue;
+    }
+
+    if (foreignKeys.has(field.name)) {
+      // The owner is always the importing user; other keys are remapped after IDs are assigned
+      if (field.name !== 'userId' && value !== undefined && value !== null) refs[field.name] = value;
+      continue;
+    }
+
+    if (value === undefined || value === null) {
+      if (field.isRequired && !field.hasDefaultValue) {
+        errors.push(`${path}.${field.name} is required`);
+      }
+      continue;
+    }
+
+    if (!isValidFieldValue(value, field, enums)) {
+      errors.push(`${path}.${field.name} must be a valid ${field.type}`);
+      continue;
+    }
+
+    data[field.name] = field.type === 'DateTime' ? new Date(value) : value;
+  }
+
+  return { originalId: typeof record.id === 'string' ? record.id : null, data, refs };
+}
+
+/**
+ * Pull messages nested under conversations (the export shape) into the flat messages table
+ * @param {object} bundle - Raw bundle
+ * @returns {Array} Messages with their conversationId set
+ */
+function collectMessages(bundle) {
+  const nested = (Array.isArray(bundle.conversations) ? bundle.conversations : [])
+    .flatMap((conversation) => (Array.isArray(conversation?.messages) ? conversation.messages : [])
+      .map((message) => ({ ...message, conversationId: message?.conversationId ?? conversation.id })));
+
+  return [...nested, ...(Array.isArray(bundle.messages) ? bundle.messages : [])];
+}
+
+/**
+ * Validate a bundle against the Prisma datamodel
+ * @param {object} bundle - Parsed JSON bundle
+ * @param {object} datamodel - Prisma.dmmf.datamodel
+ * @returns {object} { tables, errors, errorCount } where tables maps bundle key → sanitized records
+ */
+export function prepareImportBundle(bundle, datamodel) {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { tables: {}, errors: ['Bundle must be a JSON object'], errorCount: 1 };
+  }
+
+  const models = new Map(datamodel.models.map((model) => [model.name, model]));
+  const enums = new Map(datamodel.enums.map((item) => [item.name, new Set(item.values.map((value) => value.name))]));
+  const tables = {};
+
+  for (const [key, modelName] of Object.entries(RESTORABLE_TABLES)) {
+    const rows = key === 'messages' ? collectMessages(bundle) : (bundle[key] ?? []);
+
+    if (!Array.isArray(rows)) {
+      errors.push(`${key} must be an array`);
+      tables[key] = [];
+      continue;
+    }
+
+    tables[key] = rows
+      .map((record, index) => {
+        const prepared = sanitizeRecord(record, models.get(modelName), enums, `${key}[${index}]`, errors);
+        if (prepared && key === 'savingsGoals') {
+          const ids = record.savingsSourceIds ?? [];
+          if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string')) {
+            errors.push(`${key}[${index}].savingsSourceIds must be an array of IDs`);
+          } else {
+            prepared.refs.savingsSourceIds = ids;
+          }
+        }
+        return prepared;
+      })
+      .filter(Boolean);
+  }
+
+  // Every reference has to resolve to a record in the same bundle
+  const knownIds = Object.fromEntries(Object.entries(tables).map(([key, rows]) =>
+    [key, new Set(rows.map((row) => row.originalId).filter(Boolean))]
+  ));
+
+  for (const [key, references] of Object.entries(BUNDLE_REFERENCES)) {
+    tables[key].forEach((row, index) => {
+      for (const [field, target] of Object.entries(references)) {
+        const value = row.refs[field];
+        if (value !== undefined && !knownIds[target].has(value)) {
+          errors.push(`${key}[${index}].${field} references an unknown ${target} record`);
+        }
+      }
+    });
+  }
+
+  tables.savingsGoals.forEach((row, index) => {
+    (row.refs.savingsSourceIds ?? []).forEach((id) => {
+      if (!knownIds.savingsSources.has(id)) {
+        errors.push(`savingsGoals[${index}].savingsSourceIds references an unknown savingsSources record`);
+      }
+    });
+  });
+
+  tables.messages.forEach((row, index) => {
+    if (row.refs.conversationId === undefined) {
+      errors.push(`messages[${index}].conversationId is required`);
+    }
+  });
+
+  return { tables, errors: errors.slice(0, MAX_REPORTED_ERRORS), errorCount: errors.length };
+}
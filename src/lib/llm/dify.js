@@ -0,0 +1,93 @@
+/**
+ * Dify Provider
+ *
+ * Adapter for the Dify chat-messages API. Dify keeps conversation history
+ * itself, so callers only pass the Dify conversation ID (and a parent
+ * message ID to branch from an earlier answer). The model is whatever the
+ * Dify app is configured with.
+ */
+
+import axios from 'axios';
+import { openEventStream, parseSseStream } from '../chat-stream.js';
+
+export const DIFY_CHAT_URL = 'https://api.dify.ai/v1/chat-messages';
+export const DIFY_MESSAGES_URL = 'https://api.dify.ai/v1/messages';
+
+// Conversation IDs issued by the other providers; anything else may be a Dify ID
+const FOREIGN_CONVERSATION_ID = /^(openai|mock)-/;
+
+/**
+ * Create the Dify provider
+ * @param {object} options - Options (default to environment variables)
+ * @param {string} options.apiKey - Dify API key
+ * @param {string} options.appId - Dify app ID
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {object} Chat provider
+ */
+export function createDifyProvider({
+  apiKey = process.env.DIFY_API_KEY,
+  appId = process.env.DIFY_GRAYSON_FINANCE_APP_ID,
+  timeout = 30000
+} = {}) {
+  const headers = {
+    Authorization: `Bearer ${apiKey}`,
+    'Content-Type': 'application/json',
+    'x-api-app-id': appId
+  };
+
+  // parent_message_id answers from an earlier point of the conversation (edit and regenerate)
+  const toPayload = ({ query, inputs = {}, conversationId = null, user, parentMessageId = null }) => ({
+    query,
+    inputs,
+    conversation_id: conversationId,
+    user,
+    ...(conversationId && parentMessageId && { parent_message_id: parentMessageId })
+  });
+
+  return {
+    name: 'dify',
+    label: 'Dify',
+    keepsHistory: true,
+
+    isConfigured: () => Boolean(apiKey && appId),
+
+    ownsConversationId: (conversationId) => Boolean(conversationId) && !FOREIGN_CONVERSATION_ID.test(conversationId),
+
+    async chat(params) {
+      const response = await axios.post(
+        DIFY_CHAT_URL,
+        { ...toPayload(params), response_mode: 'blocking' },
+        { headers, timeout }
+      );
+      return response.data;
+    },
+
+    /**
+     * Send a rating for an answer to Dify's message feedback API
+     * @param {object} feedback - { messageId, rating: 'like'|'dislike'|null, user, content }
+     * @returns {Promise<object>} Dify response body
+     */
+    async sendFeedback({ messageId, rating, user, content = null }) {
+      const response = await axios.post(
+        `${DIFY_MESSAGES_URL}/${encodeURIComponent(messageId)}/feedbacks`,
+        { rating, user, content },
+        { headers, timeout }
+      );
+      return response.data;
+    },
+
+    async openStream(params) {
+      const stream = await openEventStream(
+        DIFY_CHAT_URL,
+        { ...toPayload(params), response_mode: 'streaming' },
+        { headers, timeout }
+      );
+
+      return (async function* () {
+        for await (const event of parseSseStream(stream)) {
+          yield event.event === 'error' ? { ...event, service: 'Dify' } : event;
+        }
+      })();
+    }
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * LLM Provider Registry
+ *
+ * Maps a user's `modelPreference` to a chat provider and model. Every
+ * provider exposes the same interface:
+ *   chat(params)          → Promise<{ answer, conversation_id, message_id, metadata }>
+ *   openStream(params)    → Promise<AsyncIterable<Dify-style event>>
+ *   isConfigured()        → whether credentials are present
+ *   ownsConversationId(id)→ whether a stored conversation ID belongs to it
+ *   keepsHistory          → true if the provider stores history itself
+ * where params is { query, inputs, conversationId, user, model, history,
+ * parentMessageId }. parentMessageId is only used by providers that keep history.
+ * Providers may also implement sendFeedback({ messageId, rating, user, content })
+ * to pass answer ratings upstream.
+ *
+ * Setting LLM_PROVIDER forces every request onto one provider (e.g. `mock`
+ * to run without network access). `provider:model` preferences are only
+ * accepted for models listed in <PROVIDER>_ALLOWED_MODELS (e.g.
+ * OPENAI_ALLOWED_MODELS=llama3.1,gpt-4.1-mini), so users can't pick arbitrary
+ * models on the operator's account.
+ */
+
+import { createDifyProvider } from './dify.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDER_FACTORIES = {
+  dify: createDifyProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+export const LLM_PROVIDERS = Object.keys(PROVIDER_FACTORIES);
+
+export const DEFAULT_MODEL_PREFERENCE = 'gemini-flash';
+
+// Named preferences users can pick; `provider:model` is also accepted for allowed models (e.g. openai:llama3.1)
+export const MODEL_PREFERENCES = {
+  'gemini-flash': { provider: 'dify', model: null },
+  dify: { provider: 'dify', model: null },
+  'gpt-4o': { provider: 'openai', model: 'gpt-4o' },
+  'gpt-4o-mini': { provider: 'openai', model: 'gpt-4o-mini' },
+  mock: { provider: 'mock', model: null }
+};
+
+const providers = new Map();
+
+/**
+ * Get a provider instance, creating it on first use so environment variables are read after dotenv loads
+ * @param {string} name - Provider name
+ * @returns {object} Chat provider
+ */
+export function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Models a provider accepts in `provider:model` preferences, from <PROVIDER>_ALLOWED_MODELS
+ * @param {string} provider - Provider name
+ * @param {object} env - Environment variables
+ * @returns {Array<string>} Allowed model names (empty when only named preferences are allowed)
+ */
+export function allowedProviderModels(provider, env = process.env) {
+  return (env[`${provider.toUpperCase()}_ALLOWED_MODELS`] ?? '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a `provider:model` preference, keeping only allowed models
+ * @param {string} preference - Preference value
+ * @returns {object|null} { provider, model }, or null when malformed or not allowed
+ */
+function parseProviderModel(preference) {
+  if (typeof preference !== 'string' || !preference.includes(':')) return null;
+
+  // Model names can contain colons themselves (e.g. llama3.1:8b)
+  const [provider, ...rest] = preference.split(':');
+  const model = rest.join(':');
+
+  if (!LLM_PROVIDERS.includes(provider) || !allowedProviderModels(provider).includes(model)) return null;
+  return { provider, model };
+}
+
+/**
+ * Whether a model preference can be stored on a user
+ * @param {string} preference - Preference value
+ * @returns {boolean} True for named preferences and allowed `provider:model` values
+ */
+export function isSupportedModelPreference(preference) {
+  if (typeof preference !== 'string') return false;
+  return Boolean(MODEL_PREFERENCES[preference] || parseProviderModel(preference));
+}
+
+/**
+ * Resolve a model preference to a provider and model
+ * @param {string} preference - User.modelPreference (unknown or no longer allowed values fall back to the default)
+ * @param {object} options - Options
+ * @param {string} options.override - Provider forced for every request (defaults to LLM_PROVIDER)
+ * @returns {object} { provider, model } where model is null for the provider's default
+ */
+export function resolveModelPreference(preference, { override = process.env.LLM_PROVIDER } = {}) {
+  const resolved = MODEL_PREFERENCES[preference]
+    ?? parseProviderModel(preference)
+    ?? MODEL_PREFERENCES[DEFAULT_MODEL_PREFERENCE];
+
+  if (override && LLM_PROVIDERS.includes(override) && override !== resolved.provider) {
+    return { provider: override, model: null };
+  }
+
+  return { ...resolved };
+}
+
+/**
+ * Get the provider and model to use for a chat request
+ * @param {string} preference - User.modelPreference, or undefined for public requests
+ * @returns {object} { provider, model }
+ */
+export function getChatProvider(preference) {
+  const { provider, model } = resolveModelPreference(preference);
+  return { provider: getProvider(provider), model };
+}
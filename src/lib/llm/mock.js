@@ -0,0 +1,52 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic, offline provider for local development and tests. It echoes
+ * the query (or returns LLM_MOCK_RESPONSE) without any network calls.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Create the mock provider
+ * @param {object} options - Options
+ * @param {string} options.response - Fixed answer to return instead of the echo
+ * @returns {object} Chat provider
+ */
+export function createMockProvider({ response = process.env.LLM_MOCK_RESPONSE } = {}) {
+  const chat = async ({ query, conversationId }) => ({
+    answer: response || `Mock response to: ${query}`,
+    conversation_id: conversationId || `mock-${randomUUID()}`,
+    message_id: `mock-${randomUUID()}`,
+    metadata: { model: 'mock' }
+  });
+
+  return {
+    name: 'mock',
+    label: 'Mock',
+    keepsHistory: false,
+
+    isConfigured: () => true,
+
+    ownsConversationId: (conversationId) => Boolean(conversationId?.startsWith('mock-')),
+
+    chat,
+
+    async openStream(params) {
+      const result = await chat(params);
+
+      return (async function* () {
+        // Split on word boundaries so clients see several token events
+        for (const piece of result.answer.split(/(?<=\s)/)) {
+          yield { event: 'message', answer: piece, conversation_id: result.conversation_id, message_id: result.message_id };
+        }
+        yield {
+          event: 'message_end',
+          conversation_id: result.conversation_id,
+          message_id: result.message_id,
+          metadata: result.metadata
+        };
+      })();
+    }
+  };
+}
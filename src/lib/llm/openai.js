@@ -0,0 +1,125 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Adapter for any `/chat/completions` endpoint that follows the OpenAI API
+ * (OpenAI, Azure-style gateways, OpenRouter, Ollama, vLLM, ...). These APIs
+ * are stateless, so the caller passes recent history and the adapter issues
+ * its own `openai-` prefixed conversation IDs. Responses are returned in the
+ * Dify shape so they flow through normalizeDifyResponse unchanged.
+ */
+
+import { randomUUID } from 'node:crypto';
+import axios from 'axios';
+import { openEventStream, parseSseStream } from '../chat-stream.js';
+
+const DEFAULT_SYSTEM_PROMPT = 'You are Grayson, a friendly personal finance assistant. ' +
+  'Help the user understand their income, debt, expenses and savings. Be concise and practical.';
+
+/**
+ * Build the chat messages for a request
+ * @param {object} params - Chat params
+ * @param {string} systemPrompt - System prompt
+ * @returns {Array<object>} OpenAI chat messages
+ */
+function buildMessages({ query, inputs = {}, history = [] }, systemPrompt) {
+  // String inputs (e.g. the serialized financial_context) are passed through as-is
+  const context = Object.entries(inputs)
+    .map(([name, value]) => `\n\n${name}:\n${typeof value === 'string' ? value : JSON.stringify(value, null, 2)}`)
+    .join('');
+
+  return [
+    { role: 'system', content: systemPrompt + context },
+    ...history.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: query }
+  ];
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * @param {object} options - Options (default to environment variables)
+ * @param {string} options.apiKey - API key
+ * @param {string} options.baseUrl - API base URL (default https://api.openai.com/v1)
+ * @param {string} options.defaultModel - Model used when the preference doesn't name one
+ * @param {string} options.systemPrompt - System prompt
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {object} Chat provider
+ */
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  defaultModel = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  systemPrompt = process.env.OPENAI_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+  timeout = 30000
+} = {}) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = {
+    Authorization: `Bearer ${apiKey}`,
+    'Content-Type': 'application/json'
+  };
+
+  const toBody = (params) => ({
+    model: params.model || defaultModel,
+    messages: buildMessages(params, systemPrompt),
+    user: params.user
+  });
+
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+    keepsHistory: false,
+
+    isConfigured: () => Boolean(apiKey),
+
+    ownsConversationId: (conversationId) => Boolean(conversationId?.startsWith('openai-')),
+
+    async chat(params) {
+      const response = await axios.post(url, toBody(params), { headers, timeout });
+      const { id, model, usage, choices = [] } = response.data;
+
+      return {
+        answer: choices[0]?.message?.content ?? '',
+        conversation_id: params.conversationId || `openai-${randomUUID()}`,
+        message_id: id ?? null,
+        metadata: { model, usage }
+      };
+    },
+
+    async openStream(params) {
+      const stream = await openEventStream(
+        url,
+        { ...toBody(params), stream: true, stream_options: { include_usage: true } },
+        { headers, timeout }
+      );
+      const conversationId = params.conversationId || `openai-${randomUUID()}`;
+
+      return (async function* () {
+        let messageId = null;
+        let model = null;
+        let usage = null;
+
+        for await (const chunk of parseSseStream(stream)) {
+          if (chunk.error) {
+            yield { event: 'error', service: 'OpenAI', message: chunk.error.message, code: chunk.error.code };
+            return;
+          }
+
+          messageId = chunk.id ?? messageId;
+          model = chunk.model ?? model;
+          usage = chunk.usage ?? usage;
+
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            yield { event: 'message', answer: delta, conversation_id: conversationId, message_id: messageId };
+          }
+        }
+
+        yield {
+          event: 'message_end',
+          conversation_id: conversationId,
+          message_id: messageId,
+          metadata: { model, usage }
+        };
+      })();
+    }
+  };
+}
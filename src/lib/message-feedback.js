@@ -0,0 +1,77 @@
+/**
+ * Message Feedback
+ *
+ * Ratings users leave on assistant replies, and the per-chat-type report
+ * built from them. Each row keeps the chat type it was given in, so the
+ * report still counts feedback after the message itself is deleted.
+ */
+
+export const FEEDBACK_RATINGS = ['like', 'dislike'];
+
+// Reasons a user can pick when disliking a reply
+export const FEEDBACK_REASONS = ['inaccurate', 'unhelpful', 'wrong_numbers', 'too_vague', 'off_topic', 'other'];
+
+export const MAX_FEEDBACK_COMMENT_LENGTH = 1000;
+
+export const REPORT_CHAT_TYPES = ['INCOME', 'DEBT', 'EXPENSES', 'SAVINGS', 'OPEN_CHAT'];
+
+/**
+ * Empty counters for one chat type
+ * @returns {Object} { total, likes, dislikes, likeRate, reasons }
+ */
+function emptyStats() {
+  return {
+    total: 0,
+    likes: 0,
+    dislikes: 0,
+    likeRate: null,
+    reasons: Object.fromEntries(FEEDBACK_REASONS.map((reason) => [reason, 0]))
+  };
+}
+
+/**
+ * Add grouped counts to a stats object
+ * @param {Object} stats - Stats to update
+ * @param {Object} group - { rating, reason, count }
+ */
+function addGroup(stats, { rating, reason, count }) {
+  stats.total += count;
+  if (rating === 'like') stats.likes += count;
+  if (rating === 'dislike') {
+    stats.dislikes += count;
+    if (reason && reason in stats.reasons) stats.reasons[reason] += count;
+  }
+}
+
+/**
+ * Share of likes, rounded to three decimals
+ * @param {Object} stats - Stats object
+ * @returns {Object} Stats with likeRate set (null when there is no feedback)
+ */
+function withLikeRate(stats) {
+  return {
+    ...stats,
+    likeRate: stats.total > 0 ? Math.round((stats.likes / stats.total) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Build the feedback report from grouped counts
+ * @param {Array<Object>} groups - Rows of { chatType, rating, reason, count }
+ * @returns {Object} { chatTypes: { INCOME: stats, ... }, overall: stats }
+ */
+export function buildFeedbackReport(groups = []) {
+  const chatTypes = Object.fromEntries(REPORT_CHAT_TYPES.map((chatType) => [chatType, emptyStats()]));
+  const overall = emptyStats();
+
+  for (const group of groups) {
+    chatTypes[group.chatType] ??= emptyStats();
+    addGroup(chatTypes[group.chatType], group);
+    addGroup(overall, group);
+  }
+
+  return {
+    chatTypes: Object.fromEntries(Object.entries(chatTypes).map(([chatType, stats]) => [chatType, withLikeRate(stats)])),
+    overall: withLikeRate(overall)
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * PDF Report Rendering
+ *
+ * Small layout helpers on top of pdfkit plus the printable financial
+ * report used by the account export and the conversation transcript.
+ * Callers create the document, pipe it to a stream, render into it and
+ * call `doc.end()`.
+ */
+
+import PDFDocument from 'pdfkit';
+import { defaultConversationTitle } from './conversation-threads.js';
+import { formatTimestamp, metaLines, roleLabel } from './transcript.js';
+
+const MARGIN = 50;
+
+const currencyFormatter = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+});
+
+/**
+ * Format a number (or Decimal) as US dollars
+ * @param {number|object} value - Amount
+ * @returns {string} Formatted currency
+ */
+export function formatCurrency(value) {
+  const amount = Number(value ?? 0);
+  return currencyFormatter.format(Number.isFinite(amount) ? amount : 0);
+}
+
+/**
+ * Create a letter-sized PDF document with standard margins and metadata
+ * @param {object} options - Options
+ * @param {string} options.title - Document title
+ * @returns {PDFDocument} pdfkit document
+ */
+export function createPdfDocument({ title }) {
+  return new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: { Title: title, Author: 'Grayson Finance' }
+  });
+}
+
+/**
+ * Write a section heading
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {string} text - Heading text
+ */
+export function writeHeading(doc, text) {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).text(text).moveDown(0.3);
+  doc.font('Helvetica').fontSize(10);
+}
+
+/**
+ * Write a simple table with a bold header row
+ * Starts a new page when the next row would run past the bottom margin
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Array<object>} columns - { label, width, align }
+ * @param {Array<Array<string>>} rows - Cell text per row
+ */
+export function writeTable(doc, columns, rows) {
+  const rowHeight = 16;
+  const left = doc.page.margins.left;
+
+  const writeRow = (cells, bold = false) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    columns.forEach((column, index) => {
+      doc.text(cells[index] ?? '', x, y, {
+        width: column.width,
+        align: column.align ?? 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  writeRow(columns.map((column) => column.label), true);
+  rows.forEach((cells) => writeRow(cells));
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').text('None recorded', left).font('Helvetica');
+  }
+}
+
+/**
+ * Render the printable financial report
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {object} report - Report data
+ * @param {object} report.user - User profile
+ * @param {object} report.summary - Output of buildFinancialSummary
+ * @param {object} report.sources - { income, debt, expenses, savings } source rows
+ * @param {Date} report.generatedAt - Report time
+ */
+export function renderFinancialReport(doc, { user, summary, sources, generatedAt }) {
+  doc.font('Helvetica-Bold').fontSize(20).text('Grayson Finance Report');
+  doc.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text(`Prepared for ${user.firstName || user.email || 'you'} on ${generatedAt.toISOString().slice(0, 10)}`)
+    .fillColor('#000000');
+
+  writeHeading(doc, 'Overview');
+  writeTable(doc, [
+    { label: '', width: 160 },
+    { label: 'Monthly', width: 120, align: 'right' },
+    { label: 'Annual', width: 120, align: 'right' }
+  ], [
+    ['Income', formatCurrency(summary.monthly.income), formatCurrency(summary.annual.income)],
+    ['Expenses', formatCurrency(summary.monthly.expenses), formatCurrency(summary.annual.expenses)],
+    ['Debt payments', formatCurrency(summary.monthly.debt), formatCurrency(summary.annual.debt)],
+    ['Savings', formatCurrency(summary.monthly.savings), formatCurrency(summary.annual.savings)],
+    ['Net cash flow', formatCurrency(summary.monthly.netCashFlow), formatCurrency(summary.annual.netCashFlow)]
+  ]);
+
+  doc.moveDown(0.5).text(
+    `Total debt: ${formatCurrency(summary.totalDebt)}    Total savings: ${formatCurrency(summary.totalSavings)}`,
+    doc.page.margins.left
+  );
+
+  const sourceColumns = [
+    { label: 'Source', width: 220 },
+    { label: 'Frequency', width: 100 },
+    { label: 'Amount', width: 120, align: 'right' }
+  ];
+  const sourceRows = (rows) => rows.map((source) => [
+    source.sourceName,
+    String(source.frequency ?? '').toLowerCase(),
+    formatCurrency(source.amount)
+  ]);
+
+  writeHeading(doc, 'Income');
+  writeTable(doc, sourceColumns, sourceRows(sources.income));
+
+  writeHeading(doc, 'Expenses');
+  writeTable(doc, sourceColumns, sourceRows(sources.expenses));
+
+  writeHeading(doc, 'Debt');
+  writeTable(doc, [
+    { label: 'Source', width: 200 },
+    { label: 'Balance', width: 100, align: 'right' },
+    { label: 'APR', width: 70, align: 'right' },
+    { label: 'Min. payment', width: 100, align: 'right' }
+  ], sources.debt.map((debt) => [
+    debt.sourceName,
+    formatCurrency(debt.amount),
+    `${Number(debt.interestRate ?? 0).toFixed(2)}%`,
+    debt.minPayment === null || debt.minPayment === undefined ? '-' : formatCurrency(debt.minPayment)
+  ]));
+
+  writeHeading(doc, 'Savings');
+  writeTable(doc, sourceColumns, sourceRows(sources.savings));
+}
+
+/**
+ * Render a conversation transcript
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {object} transcript - Output of buildTranscript
+ */
+export function renderTranscript(doc, { exportedAt, conversation, messages }) {
+  const left = doc.page.margins.left;
+
+  doc.font('Helvetica-Bold').fontSize(20).text(conversation.title);
+  doc.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text(`${defaultConversationTitle(conversation.chatType)} · started ${formatTimestamp(conversation.createdAt)} · exported ${formatTimestamp(exportedAt)}`)
+    .fillColor('#000000');
+
+  if (messages.length === 0) {
+    doc.moveDown().font('Helvetica-Oblique').text('No messages yet').font('Helvetica');
+    return;
+  }
+
+  for (const message of messages) {
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11)
+      .text(`${roleLabel(message.role)}  `, left, doc.y, { continued: true })
+      .font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`${formatTimestamp(message.createdAt)}${message.edited ? ' (edited)' : ''}`)
+      .fillColor('#000000');
+
+    doc.moveDown(0.2).font('Helvetica').fontSize(10).text(message.content.trim(), left);
+
+    if (message.meta) {
+      doc.moveDown(0.2).font('Helvetica').fontSize(8).fillColor('#555555');
+      metaLines(message.meta).forEach((line) => doc.text(line, left + 12));
+      doc.fillColor('#000000').fontSize(10);
+    }
+  }
+}
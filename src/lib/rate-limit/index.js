@@ -0,0 +1,255 @@
+/**
+ * Rate Limiting
+ *
+ * Sliding-window limits for the public (unauthenticated) chat endpoints,
+ * which all reach the LLM provider as the same anonymous user. Every policy
+ * limits three buckets:
+ *   ip          → the client IP (set TRUST_PROXY behind a load balancer)
+ *   fingerprint → the client's X-Client-Fingerprint header, or a hash of its
+ *                 browser headers and IP prefix
+ *   global      → all clients together, a ceiling on the route's total spend;
+ *                 only requests the client's own buckets allow are counted
+ * Each bucket can have several windows (e.g. per minute and per hour).
+ *
+ * Windows use the sliding window counter approximation: the previous fixed
+ * window's count is weighted by how much of it still overlaps the sliding
+ * window. Stores only keep one counter per key and window.
+ *
+ * RATE_LIMIT_STORE picks the store: `memory` (default, per process),
+ * `postgres` (shared by every instance) or `off`. RATE_LIMIT_POLICIES
+ * overrides limits as JSON, e.g. {"public-analyze":{"ip":[{"windowSeconds":60,"max":5}]}}.
+ */
+
+import { createHash } from 'node:crypto';
+import { isIP } from 'node:net';
+import { createMemoryStore } from './memory.js';
+import { createPostgresStore } from './postgres.js';
+
+export const RATE_LIMIT_BUCKETS = ['ip', 'fingerprint', 'global'];
+
+export const DEFAULT_RATE_LIMIT_POLICIES = {
+  // POST /v1/dify/:type/analyze
+  'public-analyze': {
+    ip: [{ windowSeconds: 60, max: 10 }, { windowSeconds: 3600, max: 60 }],
+    fingerprint: [{ windowSeconds: 60, max: 10 }, { windowSeconds: 3600, max: 60 }],
+    global: [{ windowSeconds: 60, max: 300 }, { windowSeconds: 86400, max: 20000 }]
+  },
+  // POST /v1/conversations/debt (each call starts a provider conversation)
+  'public-conversation': {
+    ip: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 3600, max: 30 }],
+    fingerprint: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 3600, max: 30 }],
+    global: [{ windowSeconds: 60, max: 100 }, { windowSeconds: 86400, max: 5000 }]
+  },
+  // POST /v1/messages/:conversationId/messages for provider-only and anonymous conversations
+  'public-message': {
+    ip: [{ windowSeconds: 60, max: 20 }, { windowSeconds: 3600, max: 200 }],
+    fingerprint: [{ windowSeconds: 60, max: 20 }, { windowSeconds: 3600, max: 200 }],
+    global: [{ windowSeconds: 60, max: 300 }, { windowSeconds: 86400, max: 20000 }]
+  },
+  // POST /v1/anonymous/session (each call stores a session row)
+  'anonymous-session': {
+    ip: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 3600, max: 20 }],
+    fingerprint: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 3600, max: 20 }],
+    global: [{ windowSeconds: 60, max: 200 }, { windowSeconds: 86400, max: 20000 }]
+  }
+};
+
+const FINGERPRINT_HEADER_PATTERN = /^[\w-]{8,128}$/;
+
+let policies = null;
+let store;
+
+/**
+ * Load the policy table, applying RATE_LIMIT_POLICIES overrides
+ * A bucket listed in the override replaces that bucket's default windows.
+ * @param {string} overrides - JSON from the environment
+ * @returns {Object} Policies by name, then bucket
+ */
+export function loadRateLimitPolicies(overrides = process.env.RATE_LIMIT_POLICIES) {
+  if (!overrides) return DEFAULT_RATE_LIMIT_POLICIES;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(overrides);
+  } catch (error) {
+    console.warn('[RateLimit] ⚠️ RATE_LIMIT_POLICIES is not valid JSON, using defaults:', error.message);
+    return DEFAULT_RATE_LIMIT_POLICIES;
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_RATE_LIMIT_POLICIES).map(([name, buckets]) => [
+    name,
+    Object.fromEntries(RATE_LIMIT_BUCKETS.map((bucket) => [
+      bucket,
+      Array.isArray(parsed?.[name]?.[bucket]) ? parsed[name][bucket] : buckets[bucket]
+    ]))
+  ]));
+}
+
+/**
+ * Get a policy by name
+ * @param {string} name - Policy name
+ * @returns {Object} { ip, fingerprint, global } window lists
+ */
+export function getRateLimitPolicy(name) {
+  policies ??= loadRateLimitPolicies();
+
+  const policy = policies[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+  return policy;
+}
+
+/**
+ * Get the configured store, creating it on first use so environment variables are read after dotenv loads
+ * @returns {Object|null} Store with hit(entries, now), or null when RATE_LIMIT_STORE is `off`
+ */
+export function getRateLimitStore() {
+  if (store === undefined) {
+    const kind = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+    if (kind === 'off') {
+      store = null;
+    } else if (kind === 'postgres') {
+      store = createPostgresStore();
+    } else {
+      if (kind !== 'memory') {
+        console.warn(`[RateLimit] ⚠️ Unknown RATE_LIMIT_STORE "${kind}", using memory`);
+      }
+      store = createMemoryStore();
+    }
+  }
+
+  return store;
+}
+
+/**
+ * Reduce an IP to its network prefix (/24 for IPv4, /48 for IPv6)
+ * @param {string} ip - Client IP
+ * @returns {string} Prefix
+ */
+function ipPrefix(ip = '') {
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+
+  if (isIP(address) === 4) return address.split('.').slice(0, 3).join('.');
+  if (isIP(address) === 6) return address.split(':').slice(0, 3).join(':');
+  return address;
+}
+
+/**
+ * Identify the client for the fingerprint bucket
+ * Uses X-Client-Fingerprint when the client sends a well-formed one, otherwise its browser
+ * headers and IP prefix. Either way the IP bucket still applies, so rotating fingerprints
+ * doesn't lift the per-IP limit.
+ * @param {Object} req - Express request
+ * @returns {string} Hashed fingerprint
+ */
+export function clientFingerprint(req) {
+  const supplied = req.get('x-client-fingerprint');
+
+  const source = supplied && FINGERPRINT_HEADER_PATTERN.test(supplied)
+    ? `client:${supplied}`
+    : [
+      req.get('user-agent') ?? '',
+      req.get('accept-language') ?? '',
+      req.get('accept-encoding') ?? '',
+      ipPrefix(req.ip)
+    ].join('|');
+
+  return createHash('sha256').update(source).digest('hex').slice(0, 32);
+}
+
+/**
+ * Build the counters one request touches
+ * @param {string} name - Policy name
+ * @param {Object} policy - Window lists by bucket
+ * @param {Object} ids - { ip, fingerprint } for the client
+ * @returns {Array} [{ key, bucket, windowSeconds, max }]
+ */
+export function rateLimitEntries(name, policy, ids) {
+  return RATE_LIMIT_BUCKETS.flatMap((bucket) => (policy[bucket] ?? []).map(({ windowSeconds, max }) => ({
+    key: `${name}:${bucket}:${bucket === 'global' ? '*' : ids[bucket]}:${windowSeconds}`,
+    bucket,
+    windowSeconds,
+    max
+  })));
+}
+
+/**
+ * Start of the fixed window containing a time
+ * @param {number} now - Epoch milliseconds
+ * @param {number} windowMs - Window length
+ * @returns {number} Window start in epoch milliseconds
+ */
+export function windowStart(now, windowMs) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Estimate the requests in the sliding window ending now
+ * @param {Object} counts - { current, previous } fixed-window counts
+ * @param {number} windowMs - Window length
+ * @param {number} now - Epoch milliseconds
+ * @returns {number} Weighted count
+ */
+export function slidingCount({ current, previous }, windowMs, now) {
+  const elapsed = (now - windowStart(now, windowMs)) / windowMs;
+  return previous * (1 - elapsed) + current;
+}
+
+/**
+ * Seconds until the next request would fit in a window, assuming no other requests arrive
+ * @param {Object} counts - { current, previous } fixed-window counts
+ * @param {number} windowMs - Window length
+ * @param {number} max - Requests allowed per window
+ * @param {number} now - Epoch milliseconds
+ * @returns {number} Whole seconds, at least 1
+ */
+export function retryAfterSeconds({ current, previous }, windowMs, max, now) {
+  const elapsed = (now - windowStart(now, windowMs)) / windowMs;
+  const room = max - 1;
+  let waitFraction;
+
+  if (current <= room && previous > 0) {
+    // The previous window's weight drops as time passes
+    waitFraction = Math.max(1 - elapsed - (room - current) / previous, 0);
+  } else {
+    // Wait for the next window, where this window's count becomes the weighted one
+    waitFraction = (1 - elapsed) + (current > 0 ? Math.max(1 - room / current, 0) : 0);
+  }
+
+  return Math.max(Math.ceil((waitFraction * windowMs) / 1000), 1);
+}
+
+/**
+ * Count a request against every entry and decide whether it is allowed
+ * @param {Array} entries - Output of rateLimitEntries
+ * @param {Array} counts - Store results, one { current, previous } per entry (including this request)
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object} { allowed, limited, tightest } — limited is the first exceeded entry with retryAfter,
+ *   tightest the entry with the least room left, for RateLimit-* headers
+ */
+export function evaluateRateLimit(entries, counts, now) {
+  let limited = null;
+  let tightest = null;
+
+  entries.forEach((entry, index) => {
+    const windowMs = entry.windowSeconds * 1000;
+    const used = slidingCount(counts[index], windowMs, now);
+    const remaining = Math.max(Math.floor(entry.max - used), 0);
+    const resetSeconds = Math.ceil((windowStart(now, windowMs) + windowMs - now) / 1000);
+
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = { ...entry, remaining, resetSeconds };
+    }
+
+    if (!limited && used > entry.max) {
+      limited = {
+        ...entry,
+        retryAfter: retryAfterSeconds(counts[index], windowMs, entry.max, now)
+      };
+    }
+  });
+
+  return { allowed: !limited, limited, tightest };
+}
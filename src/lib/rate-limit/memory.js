@@ -0,0 +1,53 @@
+// In-process rate limit store. Counters are lost on restart and not shared between instances.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory store
+ * @returns {Object} { name, hit(entries, now) }
+ */
+export function createMemoryStore() {
+  // key → { start, count, previousCount, windowMs }
+  const counters = new Map();
+
+  // Drop counters whose window and the one after it have both ended
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.start + 2 * counter.windowMs <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Count a request against each entry
+     * @param {Array} entries - [{ key, windowSeconds }]
+     * @param {number} now - Epoch milliseconds
+     * @returns {Promise<Array>} [{ current, previous }] in entry order
+     */
+    async hit(entries, now = Date.now()) {
+      return entries.map(({ key, windowSeconds }) => {
+        const windowMs = windowSeconds * 1000;
+        const start = Math.floor(now / windowMs) * windowMs;
+        const counter = counters.get(key);
+
+        if (counter?.start === start) {
+          counter.count += 1;
+        } else {
+          counters.set(key, {
+            start,
+            count: 1,
+            previousCount: counter?.start === start - windowMs ? counter.count : 0,
+            windowMs
+          });
+        }
+
+        const { count, previousCount } = counters.get(key);
+        return { current: count, previous: previousCount };
+      });
+    }
+  };
+}
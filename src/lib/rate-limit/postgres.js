@@ -0,0 +1,74 @@
+// Postgres rate limit store, shared by every instance. One row per key and fixed window.
+
+import { PrismaClient, Prisma } from '@prisma/client';
+
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Create a Postgres-backed store (rate_limit_counters)
+ * @returns {Object} { name, hit(entries, now) }
+ */
+export function createPostgresStore() {
+  const prisma = new PrismaClient();
+
+  const cleanup = setInterval(async () => {
+    try {
+      await prisma.rateLimitCounter.deleteMany({ where: { expiresAt: { lt: BigInt(Date.now()) } } });
+    } catch (error) {
+      console.error('[RateLimit] ⚠️ Failed to delete expired counters:', error.message);
+    }
+  }, CLEANUP_INTERVAL_MS);
+  cleanup.unref();
+
+  return {
+    name: 'postgres',
+
+    /**
+     * Count a request against each entry in one round trip
+     * @param {Array} entries - [{ key, windowSeconds }]
+     * @param {number} now - Epoch milliseconds
+     * @returns {Promise<Array>} [{ current, previous }] in entry order
+     */
+    async hit(entries, now = Date.now()) {
+      const keys = [];
+      const starts = [];
+      const previousStarts = [];
+      const expiries = [];
+
+      for (const { key, windowSeconds } of entries) {
+        const windowMs = windowSeconds * 1000;
+        const start = Math.floor(now / windowMs) * windowMs;
+        keys.push(key);
+        starts.push(String(start));
+        previousStarts.push(String(start - windowMs));
+        // Kept through the next window, where it is the weighted previous count
+        expiries.push(String(start + 2 * windowMs));
+      }
+
+      const rows = await prisma.$queryRaw(Prisma.sql`
+        WITH input AS (
+          SELECT *
+          FROM unnest(${keys}::text[], ${starts}::text[]::bigint[], ${previousStarts}::text[]::bigint[], ${expiries}::text[]::bigint[])
+            AS t(key, window_start, previous_start, expires_at)
+        ),
+        upserted AS (
+          INSERT INTO "rate_limit_counters" ("key", "window_start", "count", "expires_at")
+          SELECT key, window_start, 1, expires_at FROM input
+          ON CONFLICT ("key", "window_start") DO UPDATE SET "count" = "rate_limit_counters"."count" + 1
+          RETURNING "key", "count"
+        )
+        SELECT input.key, upserted.count AS current, COALESCE(previous.count, 0) AS previous
+        FROM input
+        JOIN upserted ON upserted.key = input.key
+        LEFT JOIN "rate_limit_counters" previous
+          ON previous.key = input.key AND previous.window_start = input.previous_start
+      `);
+
+      const byKey = new Map(rows.map((row) => [row.key, row]));
+      return keys.map((key) => ({
+        current: Number(byKey.get(key)?.current ?? 1),
+        previous: Number(byKey.get(key)?.previous ?? 0)
+      }));
+    }
+  };
+}
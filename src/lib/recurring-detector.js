@@ -0,0 +1,145 @@
+/**
+ * Recurring Payee Detector
+ *
+ * Groups parsed statement transactions by normalized payee and direction,
+ * then infers a WEEKLY/MONTHLY/ANNUAL frequency from the spacing between
+ * occurrences. Each recurring group becomes a proposed income or expense
+ * source.
+ */
+
+import { createHash } from 'node:crypto';
+import { roundCurrency } from './financial-summary.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Median interval (in days) ranges mapped to a frequency
+// Bi-weekly payees are folded into MONTHLY with their amount scaled by 26/12
+const INTERVAL_RULES = [
+  { min: 5, max: 9, frequency: 'WEEKLY', cadence: 'weekly', multiplier: 1 },
+  { min: 12, max: 16, frequency: 'MONTHLY', cadence: 'biweekly', multiplier: 26 / 12 },
+  { min: 26, max: 35, frequency: 'MONTHLY', cadence: 'monthly', multiplier: 1 },
+  { min: 350, max: 380, frequency: 'ANNUAL', cadence: 'annual', multiplier: 1 }
+];
+
+// Amounts within this fraction of the median count as "the same" payment
+const AMOUNT_TOLERANCE = 0.2;
+
+const PAYEE_NOISE = [
+  /\b(pos|ach|debit|credit|card|purchase|payment|pmt|recurring|online|web|ppd|ccd|id|ref|xx+|ext|trn)\b/g,
+  /\b\d{2}\/\d{2}\b/g,
+  /[#*]\S*/g,
+  /\d+/g,
+  /[^a-z&' ]/g
+];
+
+/**
+ * Normalize a transaction description to a stable payee key
+ * @param {string} description - Raw description
+ * @returns {string} Lowercased payee with card/reference noise removed
+ */
+export function normalizePayee(description) {
+  let payee = String(description ?? '').toLowerCase();
+  for (const pattern of PAYEE_NOISE) {
+    payee = payee.replace(pattern, ' ');
+  }
+  payee = payee.replace(/\s+/g, ' ').trim();
+  return payee || String(description ?? '').trim().toLowerCase();
+}
+
+/**
+ * Turn a normalized payee into a display name
+ * @param {string} payee - Normalized payee
+ * @returns {string} Title-cased name
+ */
+function toSourceName(payee) {
+  return payee.replace(/\b[a-z]/g, (char) => char.toUpperCase());
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Stable key for a proposal so previews and commits agree across re-uploads
+ * @param {string} type - 'income' or 'expense'
+ * @param {string} payee - Normalized payee
+ * @returns {string} Short hash
+ */
+export function proposalKey(type, payee) {
+  return createHash('sha256').update(`${type}:${payee}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Detect recurring payees in a list of transactions
+ * @param {Array} transactions - Parsed transactions ({ date, description, amount })
+ * @param {object} options - Options
+ * @param {number} options.minOccurrences - Minimum matching transactions (default 2)
+ * @returns {Array} Proposals sorted by confidence, highest first
+ */
+export function detectRecurring(transactions, { minOccurrences = 2 } = {}) {
+  const groups = new Map();
+
+  for (const transaction of transactions) {
+    const type = transaction.amount > 0 ? 'income' : 'expense';
+    const payee = normalizePayee(transaction.description);
+    const key = `${type}:${payee}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { type, payee, transactions: [] });
+    }
+    groups.get(key).transactions.push(transaction);
+  }
+
+  const proposals = [];
+
+  for (const { type, payee, transactions: group } of groups.values()) {
+    const typical = median(group.map((transaction) => Math.abs(transaction.amount)));
+
+    // Ignore one-off amounts under the same payee (e.g. a refund or a single large purchase)
+    const matching = group
+      .filter((transaction) => Math.abs(Math.abs(transaction.amount) - typical) <= typical * AMOUNT_TOLERANCE)
+      .sort((a, b) => a.date - b.date);
+
+    if (matching.length < minOccurrences) continue;
+
+    const intervals = [];
+    for (let i = 1; i < matching.length; i += 1) {
+      intervals.push(Math.round((matching[i].date - matching[i - 1].date) / DAY_MS));
+    }
+
+    const medianInterval = median(intervals);
+    const rule = INTERVAL_RULES.find(({ min, max }) => medianInterval >= min && medianInterval <= max);
+    if (!rule) continue;
+
+    const regularIntervals = intervals.filter((days) => days >= rule.min && days <= rule.max).length;
+    const amount = median(matching.map((transaction) => Math.abs(transaction.amount)));
+    const amountSpread = Math.max(...matching.map((transaction) => Math.abs(transaction.amount))) -
+      Math.min(...matching.map((transaction) => Math.abs(transaction.amount)));
+
+    // Regular spacing, consistent amounts and more occurrences all raise confidence
+    const confidence = roundCurrency(
+      (regularIntervals / intervals.length) * 0.6 +
+      (amount > 0 ? Math.max(0, 1 - amountSpread / amount) : 0) * 0.25 +
+      Math.min(matching.length / 6, 1) * 0.15
+    );
+
+    proposals.push({
+      key: proposalKey(type, payee),
+      type,
+      sourceName: toSourceName(payee),
+      payee,
+      amount: roundCurrency(amount * rule.multiplier),
+      frequency: rule.frequency,
+      cadence: rule.cadence,
+      occurrences: matching.length,
+      firstDate: matching[0].date,
+      lastDate: matching[matching.length - 1].date,
+      confidence,
+      sampleDescriptions: [...new Set(matching.map((transaction) => transaction.description))].slice(0, 3)
+    });
+  }
+
+  return proposals.sort((a, b) => b.confidence - a.confidence || b.occurrences - a.occurrences);
+}
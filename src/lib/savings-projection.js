@@ -0,0 +1,183 @@
+/**
+ * Savings Goal Projection
+ *
+ * Each linked SavingsSource is treated as a recurring contribution of
+ * `amount` at its `frequency`. When a source funds several goals, its
+ * contribution goes to the highest-priority unfinished goal first (lower
+ * `priority` numbers win) and spills over to the next one once that goal
+ * is reached. The simulation runs month by month from `startDate`.
+ */
+
+import { roundCurrency, toAmount, toMonthly } from './financial-summary.js';
+
+export const DEFAULT_MAX_PROJECTION_MONTHS = 600;
+
+/**
+ * Number of monthly contributions made after `from` that land on or before `to`
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Whole months from `from` to `to`, never negative
+ */
+export function monthsBetween(from, to) {
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  const incomplete = to.getUTCDate() < from.getUTCDate() ? 1 : 0;
+  return Math.max(0, months - incomplete);
+}
+
+/**
+ * Add whole months to a date
+ * @param {Date} date - Starting date
+ * @param {number} months - Months to add
+ * @returns {Date} New date (UTC)
+ */
+function addMonths(date, months) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate()));
+}
+
+/**
+ * Order goals by priority, then by target date, then by creation time
+ * @param {Array} goals - SavingsGoal rows
+ * @returns {Array} Goals in funding order
+ */
+export function orderGoals(goals = []) {
+  const time = (value) => (value ? new Date(value).getTime() : Infinity);
+  return [...goals].sort((a, b) =>
+    ((a.priority ?? 0) - (b.priority ?? 0)) ||
+    (time(a.targetDate) - time(b.targetDate)) ||
+    (time(a.createdAt) - time(b.createdAt))
+  );
+}
+
+/**
+ * Project completion for every goal of a user
+ * @param {Array} goals - SavingsGoal rows with `sources: [{ savingsSource }]`
+ * @param {object} options - Projection options
+ * @param {Date} options.startDate - Date the projection starts from (defaults to now)
+ * @param {number} options.maxMonths - Safety cap on the simulation length
+ * @returns {Map<string, object>} Projection keyed by goal ID
+ */
+export function projectSavingsGoals(goals = [], {
+  startDate = new Date(),
+  maxMonths = DEFAULT_MAX_PROJECTION_MONTHS
+} = {}) {
+  const ordered = orderGoals(goals);
+
+  const state = ordered.map((goal) => {
+    const targetAmount = roundCurrency(toAmount(goal.targetAmount));
+    const currentAmount = roundCurrency(toAmount(goal.currentAmount));
+    const targetDate = goal.targetDate ? new Date(goal.targetDate) : null;
+    const monthsUntilTarget = targetDate ? monthsBetween(startDate, targetDate) : null;
+
+    return {
+      goal,
+      targetAmount,
+      currentAmount,
+      saved: currentAmount,
+      targetDate,
+      monthsUntilTarget,
+      // No contribution lands before a target date less than a month away
+      savedByTarget: monthsUntilTarget === 0 ? currentAmount : null,
+      completedMonth: currentAmount >= targetAmount ? 0 : null,
+      firstMonthContribution: 0
+    };
+  });
+
+  // Map each source to the goals it funds, in priority order
+  const sources = new Map();
+  for (const entry of state) {
+    for (const link of entry.goal.sources ?? []) {
+      const source = link.savingsSource;
+      if (!source) continue;
+      if (!sources.has(source.id)) {
+        sources.set(source.id, { monthly: toMonthly(source.amount, source.frequency), goals: [] });
+      }
+      sources.get(source.id).goals.push(entry);
+    }
+  }
+
+  const hasContributions = [...sources.values()].some((source) => source.monthly > 0);
+
+  for (let month = 1; hasContributions && month <= maxMonths; month += 1) {
+    if (state.every((entry) => entry.completedMonth !== null)) break;
+
+    for (const source of sources.values()) {
+      let available = source.monthly;
+      for (const entry of source.goals) {
+        if (available <= 0) break;
+        const needed = entry.targetAmount - entry.saved;
+        if (needed <= 0) continue;
+        const contribution = Math.min(available, needed);
+        entry.saved += contribution;
+        available -= contribution;
+        if (month === 1) entry.firstMonthContribution += contribution;
+      }
+    }
+
+    for (const entry of state) {
+      if (entry.completedMonth === null && entry.saved >= entry.targetAmount - 0.005) {
+        entry.completedMonth = month;
+      }
+      if (entry.monthsUntilTarget === month) {
+        entry.savedByTarget = entry.saved;
+      }
+    }
+  }
+
+  const projections = new Map();
+
+  for (const entry of state) {
+    const remaining = roundCurrency(Math.max(0, entry.targetAmount - entry.currentAmount));
+    const monthlyContribution = roundCurrency(
+      (entry.goal.sources ?? []).reduce((sum, link) => (
+        link.savingsSource ? sum + toMonthly(link.savingsSource.amount, link.savingsSource.frequency) : sum
+      ), 0)
+    );
+    const expectedCompletionDate = entry.completedMonth !== null
+      ? addMonths(startDate, entry.completedMonth).toISOString().slice(0, 10)
+      : null;
+
+    let requiredMonthly = null;
+    let monthlyShortfall = null;
+    let onTrack = null;
+
+    if (entry.targetDate) {
+      const monthsLeft = entry.monthsUntilTarget;
+      // Goals whose target is further out than the simulation never got a savedByTarget
+      const savedByTarget = entry.savedByTarget ?? entry.saved;
+      const gapAtTarget = Math.max(0, entry.targetAmount - savedByTarget);
+
+      requiredMonthly = monthsLeft > 0 ? roundCurrency(remaining / monthsLeft) : remaining;
+      monthlyShortfall = monthsLeft > 0 ? roundCurrency(gapAtTarget / monthsLeft) : roundCurrency(gapAtTarget);
+      onTrack = gapAtTarget <= 0.005;
+    }
+
+    let status;
+    if (entry.completedMonth === 0) status = 'complete';
+    else if (onTrack === true) status = 'on_track';
+    else if (onTrack === false) status = 'behind';
+    // Contributing goals that don't finish within the simulation still just lack a target date
+    else if (monthlyContribution <= 0) status = 'no_contributions';
+    else status = 'no_target_date';
+
+    projections.set(entry.goal.id, {
+      status,
+      targetAmount: entry.targetAmount,
+      currentAmount: entry.currentAmount,
+      remaining,
+      percentComplete: entry.targetAmount > 0
+        ? roundCurrency(Math.min(100, (entry.currentAmount / entry.targetAmount) * 100))
+        : 100,
+      monthlyContribution,
+      allocatedMonthly: roundCurrency(entry.firstMonthContribution),
+      monthsToComplete: entry.completedMonth,
+      expectedCompletionDate,
+      targetDate: entry.targetDate ? entry.targetDate.toISOString().slice(0, 10) : null,
+      monthsUntilTarget: entry.monthsUntilTarget,
+      requiredMonthly,
+      monthlyShortfall,
+      onTrack
+    });
+  }
+
+  return projections;
+}
@@ -0,0 +1,46 @@
+/**
+ * Scheduler
+ *
+ * In-process interval jobs (scheduled snapshots and summaries). The first
+ * run happens shortly after startup rather than a full interval later, so
+ * frequent restarts can't keep postponing a job. A run still in progress
+ * when the next one is due is skipped instead of overlapped, so a slow pass
+ * never does (or pays for) the same work twice.
+ */
+
+// Delay before the first run, so it doesn't compete with startup
+export const STARTUP_DELAY_MS = 60 * 1000;
+
+/**
+ * Run a job shortly after startup and then every intervalHours
+ * @param {string} name - Job name for log messages
+ * @param {Function} job - Async job; handles and logs its own errors
+ * @param {Object} options - Options
+ * @param {number} options.intervalHours - Hours between runs
+ * @param {number} options.startupDelayMs - Delay before the first run
+ * @returns {NodeJS.Timeout} The interval handle
+ */
+export function scheduleJob(name, job, { intervalHours, startupDelayMs = STARTUP_DELAY_MS }) {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      console.warn(`[Scheduler] ⚠️ Skipping ${name}: the previous run is still in progress`);
+      return;
+    }
+
+    running = true;
+    try {
+      await job();
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(run, startupDelayMs).unref();
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
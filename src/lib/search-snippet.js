@@ -0,0 +1,49 @@
+/**
+ * Search Snippets
+ *
+ * Postgres `ts_headline` wraps matches in whatever markers it is given but
+ * does not escape the surrounding text. Snippets are generated with plain
+ * text markers, HTML-escaped here, and only then turned into `<mark>` tags,
+ * so message content can never inject markup into the client.
+ */
+
+export const HIGHLIGHT_START = '[[hl]]';
+export const HIGHLIGHT_STOP = '[[/hl]]';
+
+// ts_headline options; MaxFragments > 0 returns the best-matching fragments instead of the leading words
+export const HEADLINE_OPTIONS = [
+  `StartSel="${HIGHLIGHT_START}"`,
+  `StopSel="${HIGHLIGHT_STOP}"`,
+  'MaxFragments=2',
+  'MaxWords=24',
+  'MinWords=8',
+  'FragmentDelimiter=" … "'
+].join(', ');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for safe HTML rendering
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Turn a raw ts_headline result into an escaped snippet with `<mark>` highlights
+ * @param {string} headline - ts_headline output using HIGHLIGHT_START/HIGHLIGHT_STOP
+ * @returns {string} HTML-safe snippet
+ */
+export function formatSnippet(headline) {
+  return escapeHtml(headline)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
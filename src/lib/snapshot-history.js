@@ -0,0 +1,74 @@
+/**
+ * Snapshot History
+ *
+ * Turns stored financial snapshots into a chartable time series. Snapshots
+ * are grouped into day, week (ISO, Monday start) or month buckets and the
+ * last snapshot in each bucket represents that period.
+ */
+
+import { roundCurrency, toAmount } from './financial-summary.js';
+
+export const HISTORY_GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Derive the headline snapshot figures from a financial summary
+ * @param {object} summary - Output of buildFinancialSummary
+ * @returns {object} Net worth, debt, savings and monthly cash flow figures
+ */
+export function snapshotFiguresFromSummary(summary) {
+  return {
+    netWorth: roundCurrency(summary.totalSavings - summary.totalDebt),
+    totalDebt: summary.totalDebt,
+    totalSavings: summary.totalSavings,
+    monthlyIncome: summary.monthly.income,
+    monthlyExpenses: summary.monthly.expenses,
+    monthlyCashFlow: summary.monthly.netCashFlow
+  };
+}
+
+/**
+ * Get the start of the bucket a date falls into
+ * @param {Date} date - Snapshot time
+ * @param {string} granularity - day, week or month
+ * @returns {Date} Bucket start (UTC midnight)
+ */
+export function bucketStart(date, granularity) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (granularity === 'month') {
+    start.setUTCDate(1);
+  } else if (granularity === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+
+  return start;
+}
+
+/**
+ * Collapse snapshots into one point per bucket
+ * @param {Array} snapshots - FinancialSnapshot rows ordered by capturedAt ascending
+ * @param {string} granularity - day, week or month
+ * @returns {Array} History points ordered by period
+ */
+export function bucketSnapshots(snapshots = [], granularity = 'day') {
+  const buckets = new Map();
+
+  for (const snapshot of snapshots) {
+    const capturedAt = new Date(snapshot.capturedAt);
+    const key = bucketStart(capturedAt, granularity).toISOString();
+    // Later snapshots overwrite earlier ones, so each bucket ends on its latest state
+    buckets.set(key, snapshot);
+  }
+
+  return [...buckets.entries()].map(([period, snapshot]) => ({
+    period: period.slice(0, 10),
+    capturedAt: snapshot.capturedAt,
+    netWorth: roundCurrency(toAmount(snapshot.netWorth)),
+    totalDebt: roundCurrency(toAmount(snapshot.totalDebt)),
+    totalSavings: roundCurrency(toAmount(snapshot.totalSavings)),
+    monthlyIncome: roundCurrency(toAmount(snapshot.monthlyIncome)),
+    monthlyExpenses: roundCurrency(toAmount(snapshot.monthlyExpenses)),
+    cashFlow: roundCurrency(toAmount(snapshot.monthlyCashFlow))
+  }));
+}
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * Bank Statement Parser
+ *
+ * Parses CSV exports (with a configurable column mapping) and OFX/QFX
+ * statements into a flat list of transactions:
+ *   { date: Date, description: string, amount: number, externalId: string|null }
+ * Amounts are signed: positive for money in, negative for money out.
+ */
+
+import { ValidationError } from '../errors/index.js';
+
+export const STATEMENT_FORMATS = ['csv', 'ofx'];
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// Header names tried, in order, when no explicit mapping is given
+const HEADER_ALIASES = {
+  date: ['date', 'transaction date', 'posted date', 'posting date', 'post date'],
+  description: ['description', 'payee', 'name', 'merchant', 'details', 'memo'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'money out'],
+  credit: ['credit', 'deposit', 'deposits', 'money in']
+};
+
+/**
+ * Guess the statement format from the content and file name
+ * @param {string} content - File content
+ * @param {string} fileName - Optional original file name
+ * @returns {string} 'csv' or 'ofx'
+ */
+export function detectStatementFormat(content, fileName = '') {
+  if (/\.(ofx|qfx)$/i.test(fileName)) return 'ofx';
+  if (/OFXHEADER:|<OFX>/i.test(content.slice(0, 2048))) return 'ofx';
+  return 'csv';
+}
+
+/**
+ * Split CSV text into rows, honoring quoted fields and escaped quotes
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of trimmed cell values
+ */
+export function parseCsvRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field.trim());
+      if (row.some((cell) => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some((cell) => cell !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Parse a money string such as "$1,234.50", "(45.00)" or "-12.3"
+ * @param {string} value - Raw cell value
+ * @returns {number|null} Parsed amount or null if empty/invalid
+ */
+export function parseMoney(value) {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim();
+  if (raw === '') return null;
+
+  const negative = /^\(.*\)$/.test(raw) || /^-/.test(raw) || /-$/.test(raw);
+  const digits = raw.replace(/[^0-9.]/g, '');
+  const amount = parseFloat(digits);
+
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Parse a date string in one of the supported formats
+ * @param {string} value - Raw date value
+ * @param {string} dateFormat - One of DATE_FORMATS, or undefined to guess
+ * @returns {Date|null} Parsed date (UTC midnight) or null if invalid
+ */
+export function parseStatementDate(value, dateFormat) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+
+  let year;
+  let month;
+  let day;
+
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const slashed = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+
+  if (iso && dateFormat !== 'MM/DD/YYYY' && dateFormat !== 'DD/MM/YYYY') {
+    [, year, month, day] = iso.map(Number);
+  } else if (slashed) {
+    const [, first, second, last] = slashed.map(Number);
+    year = last < 100 ? 2000 + last : last;
+    if (dateFormat === 'DD/MM/YYYY' || (!dateFormat && first > 12)) {
+      day = first;
+      month = second;
+    } else {
+      month = first;
+      day = second;
+    }
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== month - 1) return null;
+  return date;
+}
+
+/**
+ * Resolve a mapping entry (header name or zero-based index) to a column index
+ * @param {Array<string>} headers - Header row (lowercased), or null when there is none
+ * @param {string|number|undefined} ref - Column reference from the mapping
+ * @param {Array<string>} aliases - Header aliases to fall back on
+ * @returns {number} Column index, or -1 if not found
+ */
+function resolveColumn(headers, ref, aliases = []) {
+  if (typeof ref === 'number') return ref;
+  if (typeof ref === 'string' && /^\d+$/.test(ref)) return Number(ref);
+  if (!headers) return -1;
+  if (typeof ref === 'string') return headers.indexOf(ref.trim().toLowerCase());
+
+  for (const alias of aliases) {
+    const index = headers.indexOf(alias);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * Parse a CSV statement
+ * @param {string} content - CSV content
+ * @param {object} mapping - Column mapping
+ * @param {string|number} mapping.date - Date column
+ * @param {string|number} mapping.description - Description/payee column
+ * @param {string|number} mapping.amount - Signed amount column
+ * @param {string|number} mapping.debit - Money-out column (instead of amount)
+ * @param {string|number} mapping.credit - Money-in column (instead of amount)
+ * @param {boolean} mapping.hasHeader - Whether the first row is a header (default true)
+ * @param {string} mapping.delimiter - Field delimiter (default ',')
+ * @param {string} mapping.dateFormat - One of DATE_FORMATS (guessed when omitted)
+ * @param {boolean} mapping.invertAmounts - Flip signs for banks that export spending as positive
+ * @returns {object} { transactions, skippedRows }
+ */
+export function parseCsvStatement(content, mapping = {}) {
+  const { hasHeader = true, delimiter = ',', dateFormat, invertAmounts = false } = mapping;
+
+  if (dateFormat && !DATE_FORMATS.includes(dateFormat)) {
+    throw new ValidationError('Invalid dateFormat. Must be one of: ' + DATE_FORMATS.join(', '), { dateFormat });
+  }
+
+  const rows = parseCsvRows(content, delimiter);
+  if (rows.length === 0) {
+    throw new ValidationError('CSV file contains no rows');
+  }
+
+  const headers = hasHeader ? rows[0].map((header) => header.toLowerCase()) : null;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  const columns = {
+    date: resolveColumn(headers, mapping.date, HEADER_ALIASES.date),
+    description: resolveColumn(headers, mapping.description, HEADER_ALIASES.description),
+    amount: resolveColumn(headers, mapping.amount, HEADER_ALIASES.amount),
+    debit: resolveColumn(headers, mapping.debit, HEADER_ALIASES.debit),
+    credit: resolveColumn(headers, mapping.credit, HEADER_ALIASES.credit)
+  };
+
+  const hasAmount = columns.amount !== -1;
+  const hasDebitCredit = columns.debit !== -1 || columns.credit !== -1;
+
+  if (columns.date === -1 || columns.description === -1 || (!hasAmount && !hasDebitCredit)) {
+    throw new ValidationError('Could not resolve CSV columns; provide a mapping for date, description and amount (or debit/credit)', {
+      headers,
+      resolved: columns
+    });
+  }
+
+  const transactions = [];
+  let skippedRows = 0;
+
+  for (const row of dataRows) {
+    const date = parseStatementDate(row[columns.date], dateFormat);
+    const description = (row[columns.description] ?? '').trim();
+
+    let amount = null;
+    if (hasAmount) {
+      amount = parseMoney(row[columns.amount]);
+    } else {
+      const debit = parseMoney(row[columns.debit]);
+      const credit = parseMoney(row[columns.credit]);
+      if (debit !== null || credit !== null) {
+        amount = Math.abs(credit ?? 0) - Math.abs(debit ?? 0);
+      }
+    }
+
+    if (!date || !description || amount === null || amount === 0) {
+      skippedRows += 1;
+      continue;
+    }
+
+    transactions.push({
+      date,
+      description,
+      amount: invertAmounts ? -amount : amount,
+      externalId: null
+    });
+  }
+
+  return { transactions, skippedRows };
+}
+
+/**
+ * Read the value of an OFX tag from an SGML or XML fragment
+ * @param {string} block - OFX fragment
+ * @param {string} tag - Tag name
+ * @returns {string|null} Tag value or null
+ */
+function readOfxTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse an OFX date such as 20250115120000.000[-5:EST]
+ * @param {string} value - OFX date value
+ * @returns {Date|null} Parsed date (UTC midnight) or null
+ */
+function parseOfxDate(value) {
+  const match = String(value ?? '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse an OFX/QFX statement (SGML 1.x or XML 2.x)
+ * @param {string} content - OFX content
+ * @returns {object} { transactions, skippedRows }
+ */
+export function parseOfxStatement(content) {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) ?? [];
+
+  if (blocks.length === 0) {
+    throw new ValidationError('OFX file contains no transactions');
+  }
+
+  const transactions = [];
+  let skippedRows = 0;
+
+  for (const block of blocks) {
+    const date = parseOfxDate(readOfxTag(block, 'DTPOSTED'));
+    const amount = parseMoney(readOfxTag(block, 'TRNAMT'));
+    const description = readOfxTag(block, 'NAME') || readOfxTag(block, 'PAYEE') || readOfxTag(block, 'MEMO');
+
+    if (!date || !description || amount === null || amount === 0) {
+      skippedRows += 1;
+      continue;
+    }
+
+    transactions.push({
+      date,
+      description,
+      amount,
+      externalId: readOfxTag(block, 'FITID')
+    });
+  }
+
+  return { transactions, skippedRows };
+}
+
+/**
+ * Parse a statement in the given format
+ * @param {string} content - File content
+ * @param {string} format - 'csv' or 'ofx'
+ * @param {object} mapping - CSV column mapping (ignored for OFX)
+ * @returns {object} { transactions, skippedRows }
+ */
+export function parseStatement(content, format, mapping = {}) {
+  if (format === 'ofx') return parseOfxStatement(content);
+  return parseCsvStatement(content, mapping);
+}
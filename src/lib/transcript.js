@@ -0,0 +1,125 @@
+/**
+ * Conversation Transcripts
+ *
+ * Shareable transcripts of one conversation as JSON or Markdown (the PDF
+ * layout lives in pdf-report.js). Structured message `meta`, such as income
+ * submission data, is kept; provider bookkeeping and superseded versions
+ * of edited messages are left out.
+ */
+
+import { defaultConversationTitle } from './conversation-threads.js';
+
+export const TRANSCRIPT_FORMATS = ['md', 'pdf', 'json'];
+
+export const TRANSCRIPT_VERSION = 1;
+
+// Meta keys that describe provider calls or edit history rather than the conversation
+const INTERNAL_META_KEYS = ['versions', 'provider', 'model', 'providerMessageId', 'usage'];
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Grayson',
+  system: 'System'
+};
+
+/**
+ * Label for a message role
+ * @param {string} role - Message role
+ * @returns {string} Display label
+ */
+export function roleLabel(role) {
+  return ROLE_LABELS[role] ?? role;
+}
+
+/**
+ * Strip internal keys from a message's meta
+ * @param {Object|null} meta - Message meta
+ * @returns {Object|null} Shareable meta, or null when nothing is left
+ */
+export function transcriptMeta(meta) {
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) return null;
+
+  const entries = Object.entries(meta).filter(([key, value]) => !INTERNAL_META_KEYS.includes(key) && value !== null && value !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Build the transcript of a conversation
+ * @param {Object} conversation - Conversation row
+ * @param {Array} messages - Messages, oldest first
+ * @param {Object} options - Options
+ * @param {Date} options.exportedAt - Export time
+ * @returns {Object} { version, exportedAt, conversation, messages }
+ */
+export function buildTranscript(conversation, messages, { exportedAt = new Date() } = {}) {
+  return {
+    version: TRANSCRIPT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    conversation: {
+      id: conversation.id,
+      title: conversation.title ?? defaultConversationTitle(conversation.chatType),
+      chatType: conversation.chatType,
+      status: conversation.status,
+      createdAt: new Date(conversation.createdAt).toISOString(),
+      updatedAt: new Date(conversation.updatedAt).toISOString()
+    },
+    messages: messages.map((message) => ({
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      createdAt: new Date(message.createdAt).toISOString(),
+      edited: Array.isArray(message.meta?.versions) && message.meta.versions.length > 0,
+      meta: transcriptMeta(message.meta)
+    }))
+  };
+}
+
+/**
+ * Format an ISO timestamp for display
+ * @param {string} value - ISO timestamp
+ * @returns {string} e.g. '2025-09-02 14:05 UTC'
+ */
+export function formatTimestamp(value) {
+  return `${value.slice(0, 10)} ${value.slice(11, 16)} UTC`;
+}
+
+/**
+ * Render meta values as `key: value` lines
+ * @param {Object} meta - Shareable meta
+ * @returns {Array<string>} One line per key; nested values are JSON
+ */
+export function metaLines(meta) {
+  return Object.entries(meta ?? {}).map(([key, value]) =>
+    `${key}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}`
+  );
+}
+
+/**
+ * Render a transcript as Markdown
+ * @param {Object} transcript - Output of buildTranscript
+ * @returns {string} Markdown document
+ */
+export function renderMarkdownTranscript({ exportedAt, conversation, messages }) {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `- Type: ${defaultConversationTitle(conversation.chatType)}`,
+    `- Started: ${formatTimestamp(conversation.createdAt)}`,
+    `- Exported: ${formatTimestamp(exportedAt)}`,
+    `- Messages: ${messages.length}`,
+    ''
+  ];
+
+  for (const message of messages) {
+    lines.push(`## ${roleLabel(message.role)} — ${formatTimestamp(message.createdAt)}${message.edited ? ' (edited)' : ''}`, '');
+    lines.push(message.content.trim(), '');
+
+    if (message.meta) {
+      lines.push('<details><summary>Details</summary>', '');
+      lines.push(...metaLines(message.meta).map((line) => `- ${line}`));
+      lines.push('', '</details>', '');
+    }
+  }
+
+  return lines.join('\n');
+}
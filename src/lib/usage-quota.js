@@ -0,0 +1,179 @@
+/**
+ * Usage Quotas
+ *
+ * Chat usage is metered per user in UTC days and UTC months: one request per
+ * answered turn, plus the tokens the provider reports in `metadata.usage`.
+ * Each subscription tier has a request and token limit per period. Limits
+ * can be overridden with USAGE_QUOTAS (JSON in the same shape as
+ * DEFAULT_USAGE_QUOTAS); `null` means unlimited.
+ */
+
+import { DEFAULT_TIER } from './entitlements.js';
+
+export const USAGE_PERIODS = ['day', 'month'];
+
+export const USAGE_METRICS = ['requests', 'tokens'];
+
+export const DEFAULT_USAGE_QUOTAS = {
+  free: {
+    day: { requests: 25, tokens: 50000 },
+    month: { requests: 300, tokens: 600000 }
+  },
+  plus: {
+    day: { requests: 200, tokens: 400000 },
+    month: { requests: 3000, tokens: 6000000 }
+  },
+  premium: {
+    day: { requests: 1000, tokens: 2000000 },
+    month: { requests: 20000, tokens: 40000000 }
+  }
+};
+
+/**
+ * Load the quota table, applying USAGE_QUOTAS overrides
+ * @param {string} overrides - JSON from the environment
+ * @returns {Object} Quotas by tier, then period, then metric
+ */
+export function loadUsageQuotas(overrides = process.env.USAGE_QUOTAS) {
+  if (!overrides) return DEFAULT_USAGE_QUOTAS;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(overrides);
+  } catch (error) {
+    console.warn('[UsageQuota] ⚠️ USAGE_QUOTAS is not valid JSON, using defaults:', error.message);
+    return DEFAULT_USAGE_QUOTAS;
+  }
+
+  return Object.fromEntries(Object.entries(DEFAULT_USAGE_QUOTAS).map(([tier, periods]) => [
+    tier,
+    Object.fromEntries(USAGE_PERIODS.map((period) => [
+      period,
+      { ...periods[period], ...parsed?.[tier]?.[period] }
+    ]))
+  ]));
+}
+
+/**
+ * Start of the UTC period containing a time
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} now - Time within the period
+ * @returns {Date} Period start
+ */
+export function periodStart(period, now = new Date()) {
+  return period === 'month'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * When the UTC period containing a time resets
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} now - Time within the period
+ * @returns {Date} Start of the next period
+ */
+export function periodReset(period, now = new Date()) {
+  return period === 'month'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Read token counts from a provider result's metadata
+ * Dify and OpenAI-compatible providers both report prompt_tokens, completion_tokens and total_tokens.
+ * @param {Object} metadata - Provider result metadata
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+export function extractTokenUsage(metadata) {
+  const usage = metadata?.usage ?? {};
+  const count = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Math.round(Number(value)) : 0);
+
+  const promptTokens = count(usage.prompt_tokens);
+  const completionTokens = count(usage.completion_tokens);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: count(usage.total_tokens) || promptTokens + completionTokens
+  };
+}
+
+/**
+ * Compare a user's usage with their tier's quotas
+ * @param {Object} options - Options
+ * @param {string} options.tier - Subscription tier
+ * @param {Object} options.counters - { day, month } counter rows (or null when unused)
+ * @param {Object} options.quotas - Output of loadUsageQuotas
+ * @param {Date} options.now - Current time
+ * @returns {Object} { tier, allowed, exceeded, periods } where periods.<period>.<metric> is { used, limit, remaining }
+ */
+export function evaluateQuota({ tier, counters = {}, quotas = loadUsageQuotas(), now = new Date() }) {
+  const limits = quotas[tier] ?? quotas[DEFAULT_TIER];
+  const periods = {};
+  let exceeded = null;
+
+  for (const period of USAGE_PERIODS) {
+    const used = {
+      requests: counters[period]?.requests ?? 0,
+      tokens: counters[period]?.totalTokens ?? 0
+    };
+    const resetsAt = periodReset(period, now);
+
+    periods[period] = { resetsAt };
+
+    for (const metric of USAGE_METRICS) {
+      const limit = limits[period]?.[metric] ?? null;
+      periods[period][metric] = {
+        used: used[metric],
+        limit,
+        remaining: limit === null ? null : Math.max(limit - used[metric], 0)
+      };
+
+      if (!exceeded && limit !== null && used[metric] >= limit) {
+        exceeded = { period, metric, limit, used: used[metric], resetsAt };
+      }
+    }
+  }
+
+  return { tier, allowed: !exceeded, exceeded, periods };
+}
+
+/**
+ * Response headers describing the remaining quota
+ * Request counts include the request being answered; token counts are as of its start.
+ * Unlimited metrics are left out.
+ * @param {Object} status - Output of evaluateQuota
+ * @returns {Object} Header name → value
+ */
+export function quotaHeaders(status) {
+  const headers = {};
+
+  for (const period of USAGE_PERIODS) {
+    const label = period === 'day' ? 'Day' : 'Month';
+    const { requests, tokens, resetsAt } = status.periods[period];
+
+    if (requests.limit !== null) {
+      headers[`X-Quota-Requests-Limit-${label}`] = String(requests.limit);
+      headers[`X-Quota-Requests-Remaining-${label}`] = String(Math.max(requests.remaining - (status.allowed ? 1 : 0), 0));
+    }
+    if (tokens.limit !== null) {
+      headers[`X-Quota-Tokens-Limit-${label}`] = String(tokens.limit);
+      headers[`X-Quota-Tokens-Remaining-${label}`] = String(tokens.remaining);
+    }
+    headers[`X-Quota-Reset-${label}`] = resetsAt.toISOString();
+  }
+
+  return headers;
+}
+
+// Every header quotaHeaders can set, for CORS exposedHeaders
+export const QUOTA_HEADER_NAMES = USAGE_PERIODS.flatMap((period) => {
+  const label = period === 'day' ? 'Day' : 'Month';
+  return [
+    `X-Quota-Requests-Limit-${label}`,
+    `X-Quota-Requests-Remaining-${label}`,
+    `X-Quota-Tokens-Limit-${label}`,
+    `X-Quota-Tokens-Remaining-${label}`,
+    `X-Quota-Reset-${label}`
+  ];
+});
@@ -23,5 +23,11 @@ export function errorMiddleware(err, req, res, _next) {
     requestId: req?.id
   });
 
-  res.status(status).json({ error: { code, message } });
+  res.status(status).json({
+    error: {
+      code,
+      message,
+      ...(isApp && err.details && { details: err.details })
+    }
+  });
 }
\ No newline at end of file
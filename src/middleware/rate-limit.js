@@ -0,0 +1,110 @@
+// src/middleware/rate-limit.js
+import {
+  clientFingerprint,
+  evaluateRateLimit,
+  getRateLimitPolicy,
+  getRateLimitStore,
+  rateLimitEntries
+} from '../lib/rate-limit/index.js';
+import { RateLimitError } from '../errors/index.js';
+
+// Response headers set by rate-limited routes, for CORS exposedHeaders
+export const RATE_LIMIT_HEADER_NAMES = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
+
+/**
+ * Count a request against some of a policy's counters
+ * @param {Object} store - Rate limit store
+ * @param {string} policyName - Policy name, for logging
+ * @param {Array} entries - Output of rateLimitEntries
+ * @param {number} now - Epoch milliseconds
+ * @returns {Promise<Array|null>} Counts in entry order, or null when the store failed
+ */
+const hitCounters = async (store, policyName, entries, now) => {
+  if (entries.length === 0) return [];
+
+  try {
+    return await store.hit(entries, now);
+  } catch (error) {
+    console.error('[RateLimit] ⚠️ Store unavailable, allowing request:', {
+      policy: policyName,
+      store: store.name,
+      message: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Count a request against a rate limit policy
+ * The client's own buckets are checked first; the shared global bucket only counts requests
+ * they let through, so one client hammering a route can't use up everyone else's allowance.
+ * Sets RateLimit-Limit/-Remaining/-Reset for the window closest to its limit. A store failure
+ * lets the request through, so an outage of the shared store doesn't take the routes down.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} policyName - Policy from DEFAULT_RATE_LIMIT_POLICIES
+ * @returns {Promise<void>} Throws RateLimitError (429, with Retry-After set) when a limit is exceeded
+ */
+export const enforceRateLimit = async (req, res, policyName) => {
+  const store = getRateLimitStore();
+  if (!store) return;
+
+  const entries = rateLimitEntries(policyName, getRateLimitPolicy(policyName), {
+    ip: req.ip ?? 'unknown',
+    fingerprint: clientFingerprint(req)
+  });
+  const clientEntries = entries.filter(({ bucket }) => bucket !== 'global');
+  const globalEntries = entries.filter(({ bucket }) => bucket === 'global');
+  const now = Date.now();
+
+  const clientCounts = await hitCounters(store, policyName, clientEntries, now);
+  if (!clientCounts) return;
+
+  let evaluated = evaluateRateLimit(clientEntries, clientCounts, now);
+
+  if (!evaluated.limited && globalEntries.length > 0) {
+    const globalCounts = await hitCounters(store, policyName, globalEntries, now);
+    if (globalCounts) {
+      evaluated = evaluateRateLimit([...clientEntries, ...globalEntries], [...clientCounts, ...globalCounts], now);
+    }
+  }
+
+  const { limited, tightest } = evaluated;
+
+  if (tightest) {
+    res.set({
+      'RateLimit-Limit': String(tightest.max),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(tightest.resetSeconds)
+    });
+  }
+
+  if (limited) {
+    res.set('Retry-After', String(limited.retryAfter));
+
+    console.warn('[RateLimit] 🚫 Request limited:', {
+      policy: policyName,
+      bucket: limited.bucket,
+      windowSeconds: limited.windowSeconds,
+      route: `${req.method} ${req.originalUrl}`
+    });
+
+    throw new RateLimitError('Too many requests, please try again later', {
+      policy: policyName,
+      bucket: limited.bucket,
+      windowSeconds: limited.windowSeconds,
+      limit: limited.max,
+      retryAfter: limited.retryAfter
+    });
+  }
+};
+
+/**
+ * Route middleware that applies a rate limit policy
+ * @param {string} policyName - Policy from DEFAULT_RATE_LIMIT_POLICIES
+ * @returns {Function} Express middleware function
+ */
+export const rateLimit = (policyName) =>
+  (req, res, next) => {
+    enforceRateLimit(req, res, policyName).then(() => next(), next);
+  };
@@ -0,0 +1,35 @@
+// src/middleware/snapshot.js
+import { recordSnapshotForAuthId } from '../../services/snapshotService.js';
+
+const MUTATION_ACTIONS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+/**
+ * Router middleware that records a financial snapshot after every successful mutation
+ * The snapshot is taken once the response has been sent, so it never delays or fails the request
+ * @param {string} category - Snapshot trigger prefix (e.g. 'income')
+ * @param {Object} options - Options
+ * @param {Array<string>} options.ignorePaths - Router-relative paths that don't change financial data
+ * @returns {Function} Express middleware function
+ */
+export const snapshotOnMutation = (category, { ignorePaths = [] } = {}) =>
+  (req, res, next) => {
+    const action = MUTATION_ACTIONS[req.method];
+
+    if (action && !ignorePaths.includes(req.path)) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+
+        const authId = req.auth?.()?.userId;
+        if (!authId) return;
+
+        recordSnapshotForAuthId(authId, `${category}.${action}`);
+      });
+    }
+
+    next();
+  };
\ No newline at end of file
@@ -0,0 +1,19 @@
+// src/utils/queryParams.js
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|undefined} Parsed date, or undefined if not provided
+ */
+export const parseDateParam = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`, { [name]: value });
+  }
+
+  return date;
+};